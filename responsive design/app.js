@@ -4,32 +4,121 @@
 // =============================================================================
 
 class AirAuthApp {
-    constructor() {
+    constructor(config = {}) {
+        // Configuration
+        this.config = {
+            authCaptureDuration: 4000, // How long the auth camera is analysed per attempt (ms)
+            camera: {
+                width: 1280,             // Ideal capture size and rate; the picker's modes override them
+                height: 720,
+                frameRate: 30,
+                facingMode: 'user'       // Used while no particular camera has been chosen
+            },
+            recording: {
+                countdown: 3,            // Seconds counted down before capture; 0 starts straight away
+                autoStart: true,         // Wait for the fingertip to move instead of capturing from the end of the countdown
+                startDistance: 0.03,     // Movement that starts capture (frame fractions)
+                stillDistance: 0.005,    // Movement per frame below this counts as holding still (frame fractions)
+                stillnessTimeout: 1200,  // Capture stops after holding still this long (ms); 0 leaves stopping to the user
+                maxDuration: 12000,      // Capture always stops after this long (ms), inside enrollmentQuality.maxDuration
+                showTrace: true          // Draw the tracked trail over the video while capturing
+            },
+            trackerOptions: {},        // FingertipTracker options, e.g. { markerColor: { r: 0, g: 200, b: 80 } }
+            recognizer: 'dtw',         // Name in RECOGNIZERS, or an object implementing enroll()/verify()
+            recognizerOptions: {},
+            enrollmentQuality: {
+                minDuration: 1000,       // ms
+                maxDuration: 15000,      // ms
+                minPoints: 15,           // Tracked fingertip positions
+                minPathLength: 0.4,      // In frame widths
+                minExtent: 0.1,          // Largest bounding-box side, in frame widths
+                maxTemplateDistance: 0.2 // Mean distance to already enrolled signatures
+            },
+            sessionTtl: 8 * 60 * 60 * 1000,       // Absolute session lifetime (ms)
+            sessionIdleTimeout: 30 * 60 * 1000,   // Session ends after this long without activity (ms)
+            stepUpTimeout: 5 * 60 * 1000,         // Time allowed between the password and the air signature (ms)
+            // Opt in with the whole object, e.g. { enabled: true, minScore: 90, maxDrift: 0.15 }: each
+            // adapted sample replaces a stored template, so an accepted impostor would be learned from
+            templateAdaptation: {
+                enabled: false,
+                minScore: 90,            // Only high-confidence successes are folded in
+                maxDrift: 0.15           // Mean distance allowed from the original enrollment
+            },
+            liveness: {
+                startRadius: 0.2,        // How close to the start dot a signature must begin (frame fractions)
+                minFrameDifference: 1,   // Median brightness change per frame a live camera shows
+                replayDistance: 0.01,    // Attempts closer than this to an earlier one are replays
+                historySize: 10          // Earlier attempts kept per user for the replay check
+            },
+            attemptLimits: {
+                maxFailures: 5,                  // Failures within the window before a lockout
+                window: 15 * 60 * 1000,          // (ms)
+                lockoutDuration: 15 * 60 * 1000, // (ms)
+                baseDelay: 1000,                 // Wait after the first failure, doubled after each further one (ms)
+                maxDelay: 60 * 1000,             // (ms)
+                scopeLimits: { device: 20 }      // Failures across all accounts before this browser is locked out
+            },
+            replayAttempts: 20,        // Air signature attempts kept with their trajectories for the replay viewer
+            // e.g. 'http://localhost:3001' for server/server.js. Unset keeps everything local: accounts then live on
+            // this device only, and their air signatures are checked and their sessions issued in this browser, so
+            // they are only as trustworthy as the device. Server verification covers server accounts alone.
+            apiBaseUrl: null,
+            ...config
+        };
+
         // Application state
         this.currentUser = null;
         this.currentPage = 'home';
         this.webcamStream = null;
+        this.cameraContext = null;            // Page whose video shows the running camera
+        this.cameraDevices = [];              // Video inputs as last listed
         this.mediaRecorder = null;
         this.recordedChunks = [];
-        this.signatureCount = 0;
+        this.recordedTrajectory = [];
+        this.recordingStartedAt = null;
+        this.recordingDuration = 0;
+        this.tracker = null;
+        this.recordingGuide = null;           // Countdown and auto start/stop state of the recording being made
+        this.traceOverlay = null;
+        this.signatureCount = 0;              // Signatures of the gesture being enrolled
+        this.enrollmentGestureId = null;
         this.isRecording = false;
-        this.authHistory = [];
         this.users = new Map();
         this.isAuthenticated = false;
+        this.authTrajectory = null; // Fingertip points captured for the current auth attempt
+        this.passwordHasher = new PasswordHasher();
+        this.livenessChecker = new LivenessChecker(this.config.liveness);
+        this.attemptLimiter = new AttemptLimiter(this.config.attemptLimits);
+        this.vault = new UserVault();
+        this.vaultKeys = new Map();           // username -> unlocked data key
+        this.signatureStore = new SignatureStore();
+        this.sessionManager = new SessionManager({
+            ttl: this.config.sessionTtl,
+            idleTimeout: this.config.sessionIdleTimeout
+        });
+        this.sessionToken = null;
+        this.session = null;                  // Claims of the validated session token
+        this.lastActivityRecorded = 0;
+        this.pendingSave = Promise.resolve();
+        this.signatureUploads = new Map();    // signature id -> upload not yet confirmed by the server
+        this.api = this.config.apiBaseUrl ? new AirAuthApiClient(this.config.apiBaseUrl) : null;
 
         // Initialize the application
-        this.init();
+        this.ready = this.init();
     }
 
     // ==========================================================================
     // Initialization and Setup
     // ==========================================================================
 
-    init() {
+    async init() {
         console.log('🚀 AirAuth Application Starting...');
         this.setupEventListeners();
-        this.loadUserData();
-        this.checkAuthStatus();
+        await this.loadUserData();
+        await this.checkAuthStatus();
+
+        // Enforce expiry and idle timeout while the page stays open
+        setInterval(() => this.checkAuthStatus(), 60 * 1000);
         this.showPage('home');
         this.showNotification('Welcome to AirAuth! Your secure gesture authentication system.', 'info');
     }
@@ -48,6 +137,34 @@ class AirAuthApp {
 
         if (loginForm) {
             loginForm.addEventListener('submit', this.handleLogin.bind(this));
+
+            // The login page's "forgot password" link opens account recovery
+            let recoveryLink = loginForm.querySelector('.forgot-password');
+            if (!recoveryLink) {
+                recoveryLink = document.createElement('a');
+                recoveryLink.href = '#';
+                recoveryLink.className = 'forgot-password';
+                loginForm.insertAdjacentElement('afterend', recoveryLink);
+            }
+            recoveryLink.textContent = 'Forgot your password or air signature?';
+            recoveryLink.addEventListener('click', event => {
+                event.preventDefault();
+                this.showRecovery();
+            });
+
+            // Enrollments exported from another browser's dashboard come in here
+            if (!document.getElementById('import-enrollment-link')) {
+                const importLink = document.createElement('a');
+                importLink.href = '#';
+                importLink.id = 'import-enrollment-link';
+                importLink.className = 'forgot-password';
+                importLink.textContent = 'Import an enrollment from another browser';
+                importLink.addEventListener('click', event => {
+                    event.preventDefault();
+                    this.showImportEnrollment();
+                });
+                recoveryLink.insertAdjacentElement('afterend', importLink);
+            }
         }
 
         // Real-time validation
@@ -59,6 +176,24 @@ class AirAuthApp {
             airAuthBtn.addEventListener('click', this.handleAirAuth.bind(this));
         }
 
+        // Passkey sign-in, offered next to the air signature where the browser supports it
+        const loginPage = document.getElementById('login');
+        if (loginPage && Passkeys.isSupported() && !document.getElementById('passkey-login-btn')) {
+            const passkeyBtn = document.createElement('button');
+            passkeyBtn.type = 'button';
+            passkeyBtn.id = 'passkey-login-btn';
+            passkeyBtn.className = 'btn btn-outline';
+            passkeyBtn.innerHTML = '<i class="fas fa-key"></i> Sign In with a Passkey';
+            passkeyBtn.addEventListener('click', this.handlePasskeyLogin.bind(this));
+
+            const anchor = airAuthBtn || document.querySelector('#login .forgot-password') || loginForm;
+            if (anchor) {
+                anchor.insertAdjacentElement('afterend', passkeyBtn);
+            } else {
+                loginPage.appendChild(passkeyBtn);
+            }
+        }
+
         // Enrollment controls
         this.setupEnrollmentControls();
 
@@ -79,6 +214,16 @@ class AirAuthApp {
 
         // Keyboard shortcuts
         document.addEventListener('keydown', this.handleKeyboard.bind(this));
+
+        // Cameras plugged in or out while the page is open
+        if (navigator.mediaDevices && typeof navigator.mediaDevices.addEventListener === 'function') {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+        }
+
+        // Activity keeps the session from idling out
+        ['click', 'keydown', 'pointermove'].forEach(type => {
+            document.addEventListener(type, this.recordActivity.bind(this), { passive: true });
+        });
     }
 
     setupFormValidation() {
@@ -229,33 +374,56 @@ class AirAuthApp {
         }
 
         // Check if user already exists
-        if (this.users.has(username) || Array.from(this.users.values()).some(user => user.email === email)) {
+        if (await this.findUser(username) || await this.findUser(email)) {
             this.showNotification('Username or email already exists!', 'error');
             return;
         }
 
-        // Create new user
-        const newUser = {
-            id: Date.now().toString(),
-            username: username,
-            email: email,
-            password: password, // In real app, this would be hashed
-            signatures: [],
-            enrollmentComplete: false,
-            createdAt: new Date().toISOString(),
-            lastLogin: null,
-            authHistory: []
-        };
+        // With a server configured the account is created there; if it is unreachable, on this device only
+        let serverUser = null;
+        let recoveryCodes = null;
+        if (this.api) {
+            try {
+                const response = await this.api.register(username, email, password);
+                this.setServerToken(response.token);
+                serverUser = response.user;
+                recoveryCodes = response.recoveryCodes;
+            } catch (error) {
+                if (!error.offline) {
+                    this.showNotification(`Registration failed: ${error.message}`, 'error');
+                    return;
+                }
+                console.warn('📴 AirAuth server unreachable, registering on this device only');
+            }
+        }
 
-        this.users.set(username, newUser);
-        this.saveUserData();
+        let newUser;
+        try {
+            newUser = await this.createLocalUser({
+                id: serverUser ? serverUser.id : Date.now().toString(),
+                username: username,
+                email: email,
+                gestures: serverUser ? serverUser.gestures : null
+            }, password, Boolean(serverUser));
+            if (!serverUser) recoveryCodes = await this.createRecoveryCodes(newUser);
+        } catch (error) {
+            console.error('Credential setup error:', error);
+            this.showNotification('Registration failed: secure password hashing is unavailable in this browser.', 'error');
+            return;
+        }
 
-        this.showNotification('Registration successful! Please complete enrollment.', 'success');
+        this.showNotification(this.api && !serverUser
+            ? 'Registration successful! The server is unreachable, so this account is stored on this device only.'
+            : 'Registration successful! Please complete enrollment.', 'success');
 
         // Auto login and redirect to enrollment
         this.currentUser = newUser;
         this.isAuthenticated = true;
+        await this.startSession(newUser);
+        this.addAuditEntry('Registration', true, serverUser ? 'Account created on the AirAuth server' : 'Account created on this device',
+            { kind: 'account' });
         this.updateAuthStatus();
+        if (recoveryCodes) this.showRecoveryCodes(recoveryCodes);
 
         setTimeout(() => {
             this.showPage('enrollment');
@@ -270,23 +438,147 @@ class AirAuthApp {
         const username = formData.get('username').trim();
         const password = formData.get('password');
 
+        this.cancelPendingLogin();
+
+        const known = await this.findUser(username);
+        const attemptKeys = this.attemptKeys('password', known ? known.username : username);
+        const blocked = this.attemptBlocked(attemptKeys);
+        if (blocked) {
+            this.showNotification(blocked, 'error');
+            return;
+        }
+
+        // With a server configured it decides for the accounts it holds; local records answer for the
+        // rest and for everyone while it is unreachable
+        let serverUser = null;
+        let serverRejected = false;
+        let stepUpToken = null;
+        if (this.api) {
+            try {
+                const response = await this.api.login(username, password);
+                if (response.stepUpRequired) {
+                    stepUpToken = response.stepUpToken;
+                } else {
+                    this.setServerToken(response.token);
+                }
+                serverUser = response.user;
+            } catch (error) {
+                if (error.status === 401) {
+                    // May still be an account created while the server was unreachable
+                    serverRejected = true;
+                } else if (!error.offline) {
+                    this.showNotification(`Login failed: ${error.message}`, 'error');
+                    return;
+                } else {
+                    console.warn('📴 AirAuth server unreachable, signing in with local records');
+                }
+            }
+        }
+
+        // The server has the final say over the accounts it holds: reject before their vault is touched
+        if (serverRejected && known && known.serverAccount) {
+            this.recordFailedAttempt(attemptKeys);
+            this.showNotification('Invalid username/email or password!', 'error');
+            this.addAuditEntry('Password Login', false, 'Invalid credentials');
+            return;
+        }
+
         // Find user
-        const user = this.users.get(username) || Array.from(this.users.values()).find(u => u.email === username);
+        let user = null;
+        let passwordValid = false;
+        try {
+            user = await this.findUser(username);
+            passwordValid = await this.verifyUserPassword(user, password);
+
+        } catch (error) {
+            console.error('Password verification error:', error);
+        }
+
+        // First sign-in on this device, or the password was changed elsewhere
+        if (serverUser && (!user || !passwordValid)) {
+            try {
+                user = await this.mirrorServerUser(serverUser, password);
+                passwordValid = true;
+            } catch (error) {
+                console.error('Failed to copy account from the server:', error);
+                this.setServerToken(null);
+                this.showNotification(`Login failed: ${error.message}`, 'error');
+                return;
+            }
+        }
 
-        if (!user || user.password !== password) {
+        if (!passwordValid) {
+            this.recordFailedAttempt(attemptKeys);
             this.showNotification('Invalid username/email or password!', 'error');
-            this.addAuthHistory('Password Login', false, 'Invalid credentials');
+            this.addAuditEntry('Password Login', false, 'Invalid credentials');
+            return;
+        }
+
+        // Rehash plaintext records left from before passwords were hashed
+        if (!user.passwordHash || this.passwordHasher.needsRehash(user.passwordHash)) {
+            user.passwordHash = await this.passwordHasher.hash(password);
+            delete user.password;
+            console.log(`🔑 Upgraded stored password for ${user.username}`);
+        }
+
+        try {
+            await this.unlockVault(user, password);
+        } catch (error) {
+            console.error('Vault unlock error:', error);
+            this.showNotification('Your account data could not be decrypted.', 'error');
+            return;
+        }
+
+        // Signatures erased through account recovery on another device
+        if (serverUser && serverUser.signatureCount < (user.signatures || []).length) {
+            try {
+                user = await this.mirrorServerUser(serverUser, password);
+            } catch (error) {
+                console.error('Failed to refresh account from the server:', error);
+            }
+        }
+
+        if (serverUser) {
+            user.requireAirSignature = serverUser.requireAirSignature;
+            user.passkeys = serverUser.passkeys || [];
+        }
+
+        // Lockouts that happened while the account's history was encrypted
+        this.recordLockouts(user);
+
+        // Step-up accounts are not signed in until their air signature also matches
+        if (user.requireAirSignature && user.enrollmentComplete) {
+            this.clearAttempts(['password'], user.username);
+            // The vault stays open in memory only, so the air signature can be checked; it is locked
+            // again if the second factor is abandoned or not given in time
+            this.pendingLogin = {
+                user: user,
+                stepUpToken: stepUpToken,
+                timer: setTimeout(() => this.expirePendingLogin(), this.config.stepUpTimeout)
+            };
+            const passkeyHint = (user.passkeys || []).length > 0 && Passkeys.isSupported() ? ', or use your passkey,' : '';
+            this.showNotification(`Password accepted. Draw your air signature${passkeyHint} to finish signing in.`, 'info');
+            this.showAirSignatureLogin();
+            this.updateAirLoginStatus(`Password accepted for ${user.username}. Draw your air signature${passkeyHint} to finish signing in.`, 'info');
             return;
         }
 
-        // Successful login
+        await this.completeLogin(user, ['password']);
+    }
+
+    // Start the session once every required factor is satisfied
+    async completeLogin(user, factors, details = 'Successful login', claims = {}, historyExtra = {}) {
+        // A completed sign-in lifts lockouts on every factor of the account
+        this.clearAttempts(['password', 'airsign', 'passkey'], user.username);
+
         this.currentUser = user;
         this.isAuthenticated = true;
+        await this.startSession(user, { factors: factors, ...claims });
         user.lastLogin = new Date().toISOString();
         this.updateAuthStatus();
         this.saveUserData();
 
-        this.addAuthHistory('Password Login', true, 'Successful login');
+        this.addAuditEntry(this.describeFactors(factors), true, details, historyExtra);
         this.showNotification(`Welcome back, ${user.username}!`, 'success');
 
         setTimeout(() => {
@@ -298,856 +590,6036 @@ class AirAuthApp {
         }, 1500);
     }
 
-    async handleAirAuth() {
-        console.log('✋ Starting air authentication...');
+    // History method / profile label for a set of satisfied factors
+    describeFactors(factors = []) {
+        if (factors.includes('password') && factors.includes('airsign')) return 'Password + Air Signature';
+        if (factors.includes('password') && factors.includes('passkey')) return 'Password + Passkey';
+        if (factors.includes('passkey')) return 'Passkey Login';
+        return factors.includes('airsign') ? 'Air Signature Login' : 'Password Login';
+    }
 
-        if (!this.currentUser || !this.currentUser.enrollmentComplete) {
-            this.showNotification('Please complete enrollment first!', 'error');
-            this.showPage('enrollment');
+    // Second step of a step-up login: the air signature, verified where the account lives
+    async completeStepUp() {
+        const { user, stepUpToken } = this.pendingLogin;
+
+        if (user.serverAccount && !stepUpToken) {
+            this.updateAirLoginStatus('Your air signature can only be checked by the AirAuth server, which is unreachable. Please try again later.', 'error');
             return;
         }
 
-        this.showPage('auth-test');
-    }
+        const attemptKeys = this.attemptKeys('airsign', user.username);
+        const blocked = this.attemptBlocked(attemptKeys);
+        if (blocked) {
+            this.updateAirLoginStatus(blocked, 'error');
+            return;
+        }
 
-    checkLoginRedirect() {
-        if (this.isAuthenticated && this.currentUser) {
-            this.showPage('dashboard');
+        if (!this.webcamStream) {
+            await this.startCamera('login');
+            if (!this.webcamStream) return;
         }
-    }
 
-    // ==========================================================================
-    // Form Validation
-    // ==========================================================================
+        let result;
+        let attempt;
+        try {
+            const challenge = await this.createLivenessChallenge(user);
 
-    validateRegistrationForm(username, email, password, confirmPassword) {
-        let isValid = true;
+            this.updateAirLoginStatus(`Recording... Start at the ${challenge.start.label} dot and draw your air signature now!`, 'info');
+            attempt = await this.captureAuthTrajectory(this.config.authCaptureDuration, 'login', challenge.start);
 
-        // Username validation
-        if (!this.validateUsername(null, username)) isValid = false;
+            if (attempt.trajectory.length < 2) {
+                this.updateAirLoginStatus('No gesture was captured. Draw your signature in front of the camera and try again.', 'error');
+                return;
+            }
 
-        // Email validation
-        if (!this.validateEmail(null, email)) isValid = false;
+            this.updateAirLoginStatus('Verifying...', 'info');
 
-        // Password validation
-        if (!this.validatePassword(null, password)) isValid = false;
+            if (user.serverAccount) {
+                const { token, session, ...response } = await this.api.completeStepUp(stepUpToken, attempt, challenge.challenge);
+                if (token) this.setServerToken(token);
+                result = { ...response, restricted: Boolean(session && session.restricted) };
+            } else {
+                result = this.verifyLocally(user, { ...attempt, start: challenge.start });
+            }
+        } catch (error) {
+            console.error('Step-up verification error:', error);
+            if (error.status === 401) this.cancelPendingLogin();
+            this.updateAirLoginStatus(`Sign-in failed: ${error.message}`, 'error');
+            return;
+        }
 
-        // Confirm password validation
-        if (!this.validateConfirmPassword(null, confirmPassword, password)) isValid = false;
+        if (result.decision !== 'accept') {
+            // The server keeps the history of its accounts
+            const historyUser = user.serverAccount ? null : user;
+            if (historyUser) {
+                this.addAuditEntry('Password + Air Signature', false, this.describeRejection(result), { trajectory: attempt.trajectory }, historyUser);
+            }
+            const status = this.recordFailedAttempt(attemptKeys, historyUser);
+            this.updateAirLoginStatus(status.lockedOut
+                ? this.attemptLimiter.describe(status)
+                : `${result.reasons.join(' ')} ${this.describeLiveness(result.liveness)} Please try again.`, 'error');
+            this.showNotification('❌ Air signature not recognized.', 'error');
+            return;
+        }
 
-        return isValid;
+        this.endPendingLogin();
+        this.stopCamera();
+        this.updateAirLoginStatus(`Signature recognized! ${this.describeLiveness(result.liveness)}`, 'success');
+        if (result.duress) this.recordDuress(user, result, 'Password + Air Signature');
+        await this.completeLogin(user, ['password', 'airsign'], this.describeMatch(result),
+            result.duress || result.restricted ? { restricted: true } : {}, { trajectory: attempt.trajectory });
     }
 
-    validateUsername(e, value = null) {
-        const input = e ? e.target : document.getElementById('reg-username');
-        const username = value || (input ? input.value.trim() : '');
-        const errorElement = input ? input.parentNode.querySelector('.form-error') : null;
+    // Abandon a login that passed the password but not yet the air signature
+    cancelPendingLogin() {
+        if (!this.pendingLogin) return;
 
-        let isValid = true;
-        let message = '';
+        this.lockVault(this.pendingLogin.user);
+        this.endPendingLogin();
+    }
 
-        if (username.length < 3) {
-            isValid = false;
-            message = 'Username must be at least 3 characters long';
-        } else if (!/^[a-zA-Z0-9_]+$/.test(username)) {
-            isValid = false;
-            message = 'Username can only contain letters, numbers, and underscores';
-        } else if (this.users.has(username)) {
-            isValid = false;
-            message = 'Username already exists';
-        }
+    // Stop waiting for the second factor, leaving the vault as it is
+    endPendingLogin() {
+        clearTimeout(this.pendingLogin.timer);
+        this.pendingLogin = null;
+    }
 
-        if (input && errorElement) {
-            input.classList.toggle('error', !isValid);
-            errorElement.textContent = message;
-        }
+    expirePendingLogin() {
+        if (!this.pendingLogin) return;
 
-        return isValid;
+        this.cancelPendingLogin();
+        this.stopCamera();
+        this.updateAirLoginStatus('The sign-in timed out. Enter your password again.', 'error');
+        this.showNotification('Sign-in timed out. Please enter your password again.', 'error');
     }
 
-    validateEmail(e, value = null) {
-        const input = e ? e.target : document.getElementById('reg-email');
-        const email = value || (input ? input.value.trim() : '');
-        const errorElement = input ? input.parentNode.querySelector('.form-error') : null;
+    // Create and unlock the local, encrypted record for a new account
+    async createLocalUser(profile, password, serverAccount = false) {
+        const vault = await this.vault.create(password);
+        const user = {
+            id: profile.id,
+            username: profile.username,
+            email: profile.email,
+            emailDigest: await this.vault.digest(profile.email),
+            passwordHash: await this.passwordHasher.hash(password),
+            vault: { keys: vault.keys },
+            signatures: [],
+            // Server accounts keep the server's gesture ids so uploads land in the right gesture
+            gestures: profile.gestures
+                ? profile.gestures.map(({ signatureCount, ...gesture }) => gesture)
+                : [GestureCredentials.create(GestureCredentials.defaultName)],
+            passkeys: [],
+            enrollmentComplete: false,
+            createdAt: profile.createdAt || new Date().toISOString(),
+            lastLogin: null,
+            auditLog: AuditLog.create(),
+            serverAccount: serverAccount // Also held by the server, which then decides logins
+        };
 
-        let isValid = true;
-        let message = '';
+        this.users.set(user.username, user);
+        this.vaultKeys.set(user.username, vault.key);
+        return user;
+    }
 
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            isValid = false;
-            message = 'Please enter a valid email address';
-        } else if (Array.from(this.users.values()).some(user => user.email === email)) {
-            isValid = false;
-            message = 'Email already registered';
+    // Rebuild the local record of a server account, including its signature templates. Only an
+    // earlier copy of the same account is replaced, as the server holds its history; a device-only
+    // account of that name is never overwritten.
+    async mirrorServerUser(profile, password) {
+        const previous = this.users.get(profile.username);
+        if (previous && !(previous.serverAccount && previous.id === profile.id)) {
+            throw new Error(`A local account named ${profile.username} already exists on this device`);
+        }
+        if (previous) {
+            this.lockVault(previous);
+            this.users.delete(profile.username);
+            this.signatureStore.clear(previous.id).catch(error => console.error('Failed to clear stored signatures:', error));
         }
 
-        if (input && errorElement) {
-            input.classList.toggle('error', !isValid);
-            errorElement.textContent = message;
+        const user = await this.createLocalUser(profile, password, true);
+        user.enrollmentComplete = profile.enrollmentComplete;
+        user.requireAirSignature = profile.requireAirSignature;
+        user.passkeys = profile.passkeys || [];
+
+        const { signatures } = await this.api.signatures();
+        for (const { id, gestureId, timestamp, duration, trajectory } of signatures) {
+            const signature = { id, gestureId, timestamp, duration, trajectory };
+            await this.storeSignature(user, signature);
+            user.signatures.push(signature);
         }
+        GestureCredentials.enrolled(user).forEach(gesture => {
+            gesture.enrollmentTemplates = this.getTemplates(user, gesture.id);
+        });
 
-        return isValid;
+        console.log(`☁️ Copied ${user.username} from the server (${signatures.length} signatures)`);
+        return user;
     }
 
-    validatePassword(e, value = null) {
-        const input = e ? e.target : document.getElementById('reg-password');
-        const password = value || (input ? input.value : '');
-        const errorElement = input ? input.parentNode.querySelector('.form-error') : null;
-        const strengthBar = input ? input.parentNode.querySelector('.strength-bar') : null;
-        const strengthText = input ? input.parentNode.querySelector('.strength-text') : null;
+    // Look a user up by username, or by email through its stored digest
+    async findUser(identifier) {
+        if (this.users.has(identifier)) return this.users.get(identifier);
 
-        let isValid = true;
-        let message = '';
-        let strength = 0;
-        let strengthLabel = '';
+        // Usernames are unique regardless of case, as on the server
+        const name = String(identifier).toLowerCase();
+        const digest = await this.vault.digest(identifier);
+        return Array.from(this.users.values()).find(user =>
+            user.username.toLowerCase() === name || user.emailDigest === digest || user.email === identifier) || null;
+    }
 
-        if (password.length < 8) {
-            isValid = false;
-            message = 'Password must be at least 8 characters long';
-        } else {
-            // Calculate password strength
-            if (password.length >= 8) strength += 20;
-            if (/[a-z]/.test(password)) strength += 20;
-            if (/[A-Z]/.test(password)) strength += 20;
-            if (/\d/.test(password)) strength += 20;
-            if (/[^\w\s]/.test(password)) strength += 20;
+    async verifyUserPassword(user, password) {
+        if (!user) {
+            // Spend the same effort on unknown accounts so timing does not reveal them
+            await this.passwordHasher.hash(password);
+            return false;
+        }
 
-            if (strength <= 40) {
-                strengthLabel = 'Weak';
-            } else if (strength <= 60) {
-                strengthLabel = 'Fair';
-            } else if (strength <= 80) {
-                strengthLabel = 'Good';
-            } else {
-                strengthLabel = 'Strong';
-            }
+        if (user.passwordHash) {
+            return this.passwordHasher.verify(password, user.passwordHash);
         }
 
-        if (input && errorElement) {
-            input.classList.toggle('error', !isValid);
-            errorElement.textContent = message;
+        // Legacy plaintext record
+        const encoder = new TextEncoder();
+        return typeof user.password === 'string' &&
+            CryptoUtils.constantTimeEqual(encoder.encode(password), encoder.encode(user.password));
+    }
+
+    async handleAirAuth() {
+        console.log('✋ Starting air authentication...');
+
+        // Signed out: the button on the login page starts a passwordless sign-in
+        if (!this.isAuthenticated) {
+            this.showAirSignatureLogin();
+            return;
         }
 
-        if (strengthBar && strengthText) {
-            strengthBar.style.setProperty('--strength', `${strength}%`);
-            strengthBar.className = `strength-bar strength-${strengthLabel.toLowerCase()}`;
-            strengthText.textContent = `Password strength: ${strengthLabel}`;
+        if (!this.currentUser || !this.currentUser.enrollmentComplete) {
+            this.showNotification('Please complete enrollment first!', 'error');
+            this.showPage('enrollment');
+            return;
+        }
 
-            // Update strength bar color
-            let color = '#ef4444'; // red
-            if (strength > 40) color = '#f59e0b'; // yellow
-            if (strength > 60) color = '#3b82f6'; // blue
-            if (strength > 80) color = '#10b981'; // green
+        this.showPage('auth-test');
+    }
 
-            strengthBar.style.background = `linear-gradient(to right, ${color} ${strength}%, #e5e7eb ${strength}%)`;
+    // Webcam panel for signing in with the air signature alone, added below the login page's button
+    showAirSignatureLogin() {
+        let panel = document.getElementById('air-login-panel');
+
+        if (!panel) {
+            const airAuthBtn = document.getElementById('air-auth-btn');
+            if (!airAuthBtn) return;
+
+            panel = document.createElement('div');
+            panel.id = 'air-login-panel';
+            panel.className = 'air-login-panel';
+            panel.innerHTML = `
+                <div class="video-container">
+                    <video id="login-video" class="video-feed" autoplay muted playsinline></video>
+                    <div class="video-overlay">
+                        <div class="camera-status">
+                            <i class="fas fa-hand-paper"></i>
+                            <p>Enter your username above, then draw your air signature</p>
+                        </div>
+                    </div>
+                </div>
+                <div class="auth-controls">
+                    <button type="button" id="air-login-btn" class="btn btn-primary">
+                        <i class="fas fa-signature"></i> Sign In with Air Signature
+                    </button>
+                </div>
+                <div id="air-login-status" class="status-message info">Your signature is checked by the AirAuth server.</div>
+            `;
+            airAuthBtn.insertAdjacentElement('afterend', panel);
+            panel.querySelector('#air-login-btn').addEventListener('click', () => {
+                if (this.pendingLogin) {
+                    this.completeStepUp();
+                } else {
+                    this.handleAirSignatureLogin();
+                }
+            });
         }
 
-        return isValid;
+        panel.classList.remove('hidden');
+        if (!this.webcamStream) this.startCamera('login');
     }
 
-    validateConfirmPassword(e, value = null, originalPassword = null) {
-        const input = e ? e.target : document.getElementById('reg-confirm-password');
-        const confirmPassword = value || (input ? input.value : '');
-        const password = originalPassword || (document.getElementById('reg-password') ? document.getElementById('reg-password').value : '');
-        const errorElement = input ? input.parentNode.querySelector('.form-error') : null;
+    async handleAirSignatureLogin() {
+        const usernameInput = document.querySelector('#login-form [name="username"]');
+        const username = usernameInput ? usernameInput.value.trim() : '';
 
-        let isValid = true;
-        let message = '';
+        if (!username) {
+            this.updateAirLoginStatus('Enter your username above first.', 'error');
+            return;
+        }
 
-        if (confirmPassword !== password) {
-            isValid = false;
-            message = 'Passwords do not match';
+        // Without the password the local vault cannot be opened, so only the server can vouch for the user
+        if (!this.api) {
+            this.updateAirLoginStatus('Air signature sign-in needs the AirAuth server, which is not configured.', 'error');
+            return;
         }
 
-        if (input && errorElement) {
-            input.classList.toggle('error', !isValid);
-            errorElement.textContent = message;
+        if (!this.webcamStream) {
+            await this.startCamera('login');
+            if (!this.webcamStream) return;
         }
 
-        return isValid;
-    }
+        const attemptKeys = this.attemptKeys('airsign', username);
+        const blocked = this.attemptBlocked(attemptKeys);
+        if (blocked) {
+            this.updateAirLoginStatus(blocked, 'error');
+            return;
+        }
 
-    resetRegistrationForm() {
-        const form = document.getElementById('register-form');
-        if (form) {
-            form.reset();
-            // Clear all error states
-            const inputs = form.querySelectorAll('input');
-            const errors = form.querySelectorAll('.form-error');
+        console.log(`✋ Passwordless sign-in for ${username}...`);
 
-            inputs.forEach(input => input.classList.remove('error'));
-            errors.forEach(error => error.textContent = '');
+        let response;
+        let attempt;
+        try {
+            const { challenge, start } = await this.api.challenge(username);
 
-            // Reset password strength indicator
-            const strengthBar = form.querySelector('.strength-bar');
-            const strengthText = form.querySelector('.strength-text');
-            if (strengthBar) strengthBar.style.background = '#e5e7eb';
-            if (strengthText) strengthText.textContent = 'Password strength';
+            this.updateAirLoginStatus(`Recording... Start at the ${start.label} dot and draw your air signature now!`, 'info');
+            attempt = await this.captureAuthTrajectory(this.config.authCaptureDuration, 'login', start);
+
+            if (attempt.trajectory.length < 2) {
+                this.updateAirLoginStatus('No gesture was captured. Draw your signature in front of the camera and try again.', 'error');
+                return;
+            }
+
+            this.updateAirLoginStatus('Verifying...', 'info');
+            response = await this.api.airSignatureLogin(username, attempt, challenge);
+        } catch (error) {
+            console.error('Air signature sign-in error:', error);
+            this.updateAirLoginStatus(`Sign-in failed: ${error.message}`, 'error');
+            return;
+        }
+
+        if (response.decision !== 'accept') {
+            const status = this.recordFailedAttempt(attemptKeys);
+            this.updateAirLoginStatus(status.lockedOut
+                ? this.attemptLimiter.describe(status)
+                : `${response.reasons.join(' ')} ${this.describeLiveness(response.liveness)} Please try again.`, 'error');
+            this.showNotification('❌ Air signature not recognized.', 'error');
+            return;
+        }
+
+        this.setServerToken(response.token);
+        this.stopCamera();
+        this.clearAttempts(['airsign', 'password'], username);
+
+        const restricted = Boolean(response.session && response.session.restricted);
+        this.currentUser = await this.loadServerUser(response.user, restricted);
+        this.isAuthenticated = true;
+        await this.startSession(this.currentUser, { passwordless: true, factors: ['airsign'], ...(restricted ? { restricted: true } : {}) });
+        this.updateAuthStatus();
+
+        this.addAuditEntry('Air Signature Login', true, this.describeMatch(response), { trajectory: attempt.trajectory });
+        this.updateAirLoginStatus(`Signature recognized! ${this.describeLiveness(response.liveness)}`, 'success');
+        this.showNotification(`Welcome back, ${this.currentUser.username}!`, 'success');
+
+        setTimeout(() => {
+            this.showPage('dashboard');
+        }, 1500);
+    }
+
+    updateAirLoginStatus(message, type = 'info') {
+        const statusElement = document.getElementById('air-login-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = `status-message ${type}`;
+        }
+    }
+
+    /**
+     * In-memory user for a passwordless sign-in, built from the server's copy.
+     * The local record stays encrypted, so nothing of it is saved on this device.
+     * Restricted sessions may not read the templates, so theirs has none.
+     */
+    async loadServerUser(profile, restricted = false) {
+        const { signatures } = restricted ? { signatures: [] } : await this.api.signatures();
+
+        return {
+            ...profile,
+            signatures: signatures.map(({ id, gestureId, timestamp, duration, trajectory }) => ({ id, gestureId, timestamp, duration, trajectory })),
+            auditLog: AuditLog.create(),
+            serverAccount: true,
+            passwordless: true
+        };
+    }
+
+    checkLoginRedirect() {
+        if (this.isAuthenticated && this.currentUser) {
+            this.showPage('dashboard');
         }
     }
 
     // ==========================================================================
-    // Webcam and Video Management
+    // Passkeys
     // ==========================================================================
 
-    async startCamera(context = 'enrollment') {
-        console.log(`📹 Starting camera for: ${context}`);
+    // The login page's passkey button: the second factor while a step-up login waits, otherwise a sign-in of its own
+    handlePasskeyLogin() {
+        if (this.pendingLogin) {
+            this.completePasskeyStepUp();
+        } else {
+            this.passkeyLogin();
+        }
+    }
+
+    // Sign in with a passkey alone. As with the air signature, only the server can vouch for the account
+    async passkeyLogin() {
+        if (!this.api) {
+            this.showNotification('Passkey sign-in needs the AirAuth server, which is not configured. Sign in with your password instead.', 'error');
+            return;
+        }
+
+        // The passkey picks the account, so failures are counted for this browser
+        const attemptKeys = [`device:${this.getDeviceId()}`];
+        const blocked = this.attemptBlocked(attemptKeys);
+        if (blocked) {
+            this.showNotification(blocked, 'error');
+            return;
+        }
+
+        console.log('🔑 Passkey sign-in...');
 
+        let response;
         try {
-            // Request camera permissions
-            this.webcamStream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 },
-                    facingMode: 'user'
-                },
-                audio: false
-            });
+            const { options } = await this.api.passkeyLoginOptions();
+            const credential = await Passkeys.get(options);
+            response = await this.api.passkeyLogin(credential, options.challenge);
+        } catch (error) {
+            console.error('Passkey sign-in error:', error);
+            this.showNotification(this.describePasskeyError(error, 'Passkey sign-in'), 'error');
+            return;
+        }
 
-            // Get video element based on context
-            const videoElement = context === 'enrollment' 
-                ? document.getElementById('enrollment-video')
-                : document.getElementById('auth-video');
+        if (response.decision !== 'accept') {
+            const status = this.recordFailedAttempt(attemptKeys);
+            this.showNotification(status.lockedOut ? this.attemptLimiter.describe(status) : `❌ ${response.reasons.join(' ')}`, 'error');
+            return;
+        }
 
-            if (videoElement) {
-                videoElement.srcObject = this.webcamStream;
+        this.setServerToken(response.token);
+        this.stopCamera();
+        this.clearAttempts(['password', 'passkey'], response.user.username);
 
-                // Hide overlay
-                const overlay = videoElement.parentNode.querySelector('.video-overlay');
-                if (overlay) {
-                    overlay.classList.add('hidden');
+        this.currentUser = await this.loadServerUser(response.user);
+        this.isAuthenticated = true;
+        await this.startSession(this.currentUser, { passwordless: true, factors: ['passkey'] });
+        this.updateAuthStatus();
+
+        this.addAuditEntry('Passkey Login', true, `Passkey "${response.passkey.name}"`);
+        this.showNotification(`Welcome back, ${this.currentUser.username}!`, 'success');
+
+        setTimeout(() => {
+            this.showPage('dashboard');
+        }, 1500);
+    }
+
+    // A passkey in place of the air signature, for step-up logins on a device without a working camera
+    async completePasskeyStepUp() {
+        const { user, stepUpToken } = this.pendingLogin;
+
+        if (user.serverAccount && !stepUpToken) {
+            this.updateAirLoginStatus('Your passkey can only be checked by the AirAuth server, which is unreachable. Please try again later.', 'error');
+            return;
+        }
+
+        const attemptKeys = this.attemptKeys('passkey', user.username);
+        const blocked = this.attemptBlocked(attemptKeys);
+        if (blocked) {
+            this.updateAirLoginStatus(blocked, 'error');
+            return;
+        }
+
+        let result;
+        try {
+            if (user.serverAccount) {
+                const { options } = await this.api.passkeyLoginOptions(stepUpToken);
+                const credential = await Passkeys.get(options);
+                const { token, ...response } = await this.api.completeStepUpWithPasskey(stepUpToken, credential, options.challenge);
+                if (token) this.setServerToken(token);
+                if (response.user) user.passkeys = response.user.passkeys;
+                result = response;
+            } else {
+                result = await this.verifyPasskeyLocally(user);
+            }
+        } catch (error) {
+            console.error('Passkey step-up error:', error);
+            if (error.status === 401) this.cancelPendingLogin();
+            this.updateAirLoginStatus(this.describePasskeyError(error, 'Sign-in'), 'error');
+            return;
+        }
+
+        if (result.decision !== 'accept') {
+            // The server keeps the history of its accounts
+            const historyUser = user.serverAccount ? null : user;
+            if (historyUser) this.addAuditEntry('Password + Passkey', false, result.reasons.join(' '), {}, historyUser);
+
+            const status = this.recordFailedAttempt(attemptKeys, historyUser);
+            this.updateAirLoginStatus(status.lockedOut
+                ? this.attemptLimiter.describe(status)
+                : `${result.reasons.join(' ')} Please try again.`, 'error');
+            this.showNotification('❌ Passkey not accepted.', 'error');
+            return;
+        }
+
+        this.endPendingLogin();
+        this.stopCamera();
+        this.updateAirLoginStatus('Passkey accepted!', 'success');
+        await this.completeLogin(user, ['password', 'passkey'], `Passkey "${result.passkey.name}"`);
+    }
+
+    // Check a passkey against those kept in a device-only account, whose vault the password has opened
+    async verifyPasskeyLocally(user) {
+        const passkeys = user.passkeys || [];
+        if (passkeys.length === 0) {
+            return { decision: 'reject', reasons: ['No passkey has been added to this account.'] };
+        }
+
+        const rpId = location.hostname;
+        const challenge = Passkeys.createChallenge();
+        const credential = await Passkeys.get(Passkeys.requestOptions({ rpId, challenge, allow: passkeys.map(passkey => passkey.id) }));
+        const passkey = passkeys.find(entry => entry.id === credential.id);
+
+        try {
+            if (!passkey) throw new Error('This passkey does not belong to your account.');
+
+            const { signCount } = await Passkeys.verifyAssertion(passkey, credential, { challenge, rpId });
+            passkey.signCount = signCount;
+            passkey.lastUsed = new Date().toISOString();
+            return { decision: 'accept', reasons: [], passkey: Passkeys.summary(passkey) };
+        } catch (error) {
+            return { decision: 'reject', reasons: [error.message] };
+        }
+    }
+
+    // Register a passkey for the signed-in user, with the server for its accounts
+    async addPasskey() {
+        const user = this.currentUser;
+        if (!user) return;
+
+        if (!Passkeys.isSupported()) {
+            this.showNotification('This browser does not support passkeys.', 'error');
+            return;
+        }
+
+        let passkey;
+        try {
+            if (user.serverAccount) {
+                if (!this.isServerSession()) {
+                    throw new Error('This account\'s passkeys are kept by the AirAuth server. Please sign in again while it is reachable.');
                 }
 
-                this.showNotification('Camera started successfully!', 'success');
-                this.updateEnrollmentStatus('Camera ready. You can now start recording.', 'info');
+                const { options } = await this.api.passkeyRegistrationOptions();
+                const credential = await Passkeys.create(options);
+                const response = await this.api.addPasskey(credential, options.challenge);
+                user.passkeys = response.user.passkeys;
+                passkey = response.passkey;
+            } else {
+                const rpId = location.hostname;
+                const challenge = Passkeys.createChallenge();
+                const options = Passkeys.creationOptions(user, {
+                    rpId, challenge, exclude: (user.passkeys || []).map(entry => entry.id)
+                });
+                const credential = await Passkeys.create(options);
+
+                passkey = { ...(await Passkeys.verifyRegistration(credential, { challenge, rpId })), name: Passkeys.nextName(user) };
+                user.passkeys = [...(user.passkeys || []), passkey];
+                this.addAuditEntry('Passkey', true, `Passkey "${passkey.name}" added`, { kind: 'passkey' });
+            }
+        } catch (error) {
+            console.error('Passkey registration error:', error);
+            this.showNotification(this.describePasskeyError(error, 'Adding the passkey'), 'error');
+            return;
+        }
 
-                // Enable recording controls
-                this.updateControlStates(context, 'camera-ready');
+        this.saveUserData();
+        this.updateDashboard();
+        console.log(`🔑 Added passkey "${passkey.name}" for ${user.username}`);
+        this.showNotification(`Passkey "${passkey.name}" added. You can now sign in with it.`, 'success');
+    }
+
+    // Profile text for a user's passkeys
+    describePasskeys(passkeys = []) {
+        if (passkeys.length === 0) return 'None';
+
+        const lastUsed = passkeys.map(passkey => passkey.lastUsed).filter(Boolean).sort().pop();
+        const names = passkeys.map(passkey => passkey.name).join(', ');
+        return lastUsed ? `${names} (last used ${new Date(lastUsed).toLocaleString()})` : names;
+    }
+
+    // WebAuthn reports a cancelled or timed-out prompt as NotAllowedError, a passkey already present as InvalidStateError
+    describePasskeyError(error, action) {
+        if (error.name === 'NotAllowedError') return `${action} was cancelled or timed out.`;
+        if (error.name === 'InvalidStateError') return 'This authenticator already holds a passkey for your account.';
+        return `${action} failed: ${error.message}`;
+    }
+
+    // ==========================================================================
+    // Enrollment Export & Import
+    // ==========================================================================
+
+    /**
+     * Download the signed-in account's enrollment as an EnrollmentBundle.
+     * Server accounts already follow the user to any browser, so only
+     * device-only accounts are exported.
+     */
+    showExportEnrollment() {
+        if (this.currentUser.serverAccount) {
+            this.showNotification('Your enrollment is kept on the AirAuth server: sign in on the other browser and it is there.', 'info');
+            return;
+        }
+
+        const modal = this.getModal('export-modal', 'Export Your Enrollment');
+        const body = modal.querySelector('.modal-body');
+
+        if (!body.querySelector('#export-form')) {
+            body.innerHTML = `
+                <form id="export-form">
+                    <p>The bundle holds your profile, gestures, signature templates and login settings, but not
+                    your videos or history. Import it on another browser's login page with your password.</p>
+                    <div class="form-group">
+                        <label for="export-password">Your Password</label>
+                        <input type="password" id="export-password" name="password" autocomplete="current-password" required>
+                    </div>
+                    <label class="checkbox-container">
+                        <input type="checkbox" name="encrypt" checked> Encrypt the bundle: without it the file is still signed, but anyone who has it can read your signature templates
+                    </label>
+                    <button type="submit" class="btn btn-primary btn-full"><i class="fas fa-download"></i> Download Bundle</button>
+                </form>
+                <div id="export-status" class="status-message info"></div>
+            `;
+            body.querySelector('#export-form').addEventListener('submit', this.exportEnrollment.bind(this));
+        }
+
+        this.updateTransferStatus('export-status', 'Your password signs the bundle, so only you can import it.');
+        this.showModal(modal);
+    }
+
+    async exportEnrollment(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        const password = form.elements.password.value;
+        const encrypt = form.elements.encrypt.checked;
+        const user = this.currentUser;
+
+        try {
+            if (!await this.passwordHasher.verify(password, user.passwordHash)) {
+                this.updateTransferStatus('export-status', 'That is not your password.', 'error');
+                return;
             }
 
+            this.updateTransferStatus('export-status', 'Preparing the bundle...');
+            const bundle = await EnrollmentBundle.create(user, password, { encrypt: encrypt });
+
+            const url = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `airauth-${user.username}-enrollment.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
         } catch (error) {
-            console.error('Camera access error:', error);
-            let message = 'Unable to access camera. ';
+            console.error('Enrollment export error:', error);
+            this.updateTransferStatus('export-status', `The bundle could not be created: ${error.message}`, 'error');
+            return;
+        }
 
-            if (error.name === 'NotAllowedError') {
-                message += 'Please grant camera permissions and try again.';
-            } else if (error.name === 'NotFoundError') {
-                message += 'No camera found on this device.';
+        this.addAuditEntry('Enrollment Export', true, encrypt ? 'Encrypted bundle downloaded' : 'Signed bundle downloaded', { kind: 'transfer' });
+        form.reset();
+        this.hideModal(document.getElementById('export-modal'));
+        this.showNotification('Enrollment exported. Keep the file somewhere safe.', 'success');
+    }
+
+    showImportEnrollment() {
+        const modal = this.getModal('import-modal', 'Import an Enrollment');
+        const body = modal.querySelector('.modal-body');
+
+        if (!body.querySelector('#import-form')) {
+            body.innerHTML = `
+                <form id="import-form">
+                    <div class="form-group">
+                        <label for="import-file">Enrollment Bundle</label>
+                        <input type="file" id="import-file" name="bundle" accept="application/json,.json" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="import-password">Password of the Exported Account</label>
+                        <input type="password" id="import-password" name="password" autocomplete="current-password" required>
+                    </div>
+                    <button type="submit" class="btn btn-primary btn-full"><i class="fas fa-file-import"></i> Import</button>
+                </form>
+                <div id="import-status" class="status-message info"></div>
+            `;
+            body.querySelector('#import-form').addEventListener('submit', this.importEnrollment.bind(this));
+        }
+
+        this.updateTransferStatus('import-status', 'Choose a bundle exported from an AirAuth dashboard.');
+        this.showModal(modal);
+    }
+
+    /**
+     * Check a bundle and merge it into `users`. A new account is created on
+     * this device with fresh recovery codes; an account already here with the
+     * same id takes the bundle's gestures, signatures and settings and keeps
+     * its own history and videos. A different account with the same name or
+     * email is never overwritten.
+     */
+    async importEnrollment(e) {
+        e.preventDefault();
+
+        if (this.currentUser) {
+            this.updateTransferStatus('import-status', 'Please sign out before importing an enrollment.', 'error');
+            return;
+        }
+
+        const form = e.target;
+        const file = form.elements.bundle.files[0];
+        const password = form.elements.password.value;
+        let imported;
+        let recoveryCodes = null;
+
+        try {
+            let bundle;
+            try {
+                bundle = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error('The file is not valid JSON.');
+            }
+
+            this.updateTransferStatus('import-status', 'Checking the bundle...');
+            const profile = await EnrollmentBundle.open(bundle, password);
+
+            const existing = await this.findUser(profile.username);
+            const sameEmail = await this.findUser(profile.email);
+            if ((existing && existing.id !== profile.id) || (sameEmail && sameEmail.id !== profile.id)) {
+                throw new Error(`Another account named "${profile.username}" or with the same email already exists on this device.`);
+            }
+
+            if (existing) {
+                imported = await this.mergeImportedUser(existing, profile, password);
             } else {
-                message += 'Please check your camera and try again.';
+                imported = await this.createImportedUser(profile, password);
+                recoveryCodes = await this.createRecoveryCodes(imported);
             }
 
-            this.showNotification(message, 'error');
-            this.updateEnrollmentStatus(message, 'error');
+            this.addAuditEntry('Enrollment Import', true, `Bundle exported ${new Date(bundle.exportedAt).toLocaleString()}`,
+                { kind: 'transfer' }, imported);
+            await this.saveUserData();
+            this.lockVault(imported);
+        } catch (error) {
+            console.error('Enrollment import error:', error);
+            if (imported) this.lockVault(imported);
+            this.updateTransferStatus('import-status', error.message, 'error');
+            return;
+        }
+
+        form.reset();
+        this.hideModal(document.getElementById('import-modal'));
+
+        const usernameInput = document.querySelector('#login-form [name="username"]');
+        if (usernameInput) usernameInput.value = imported.username;
+
+        this.showNotification(`Enrollment for ${imported.username} imported. Sign in with your password.`, 'success');
+        if (recoveryCodes) this.showRecoveryCodes(recoveryCodes);
+        console.log(`📦 Imported enrollment for ${imported.username}`);
+    }
+
+    async createImportedUser(profile, password) {
+        const user = await this.createLocalUser(profile, password);
+        user.enrollmentComplete = profile.enrollmentComplete;
+        user.requireAirSignature = profile.requireAirSignature;
+
+        for (const signature of profile.signatures) {
+            await this.storeSignature(user, signature);
+            user.signatures.push(signature);
+        }
+        return user;
+    }
+
+    // Gestures and signatures are matched by id; the bundle's copy wins, anything only on this device stays
+    async mergeImportedUser(user, profile, password) {
+        try {
+            await this.unlockVault(user, password);
+        } catch (error) {
+            throw new Error(`The password opens the bundle but not the copy of ${user.username} on this device.`);
+        }
+
+        const importedGestures = profile.gestures.map(({ signatureCount, ...gesture }) => gesture);
+        user.gestures = [
+            ...user.gestures.filter(gesture => !importedGestures.some(imported => imported.id === gesture.id)),
+            ...importedGestures
+        ];
+
+        for (const signature of profile.signatures) {
+            if (user.signatures.some(existing => existing.id === signature.id)) continue;
+            await this.storeSignature(user, signature);
+            user.signatures.push(signature);
+        }
+
+        user.enrollmentComplete = user.enrollmentComplete || profile.enrollmentComplete;
+        user.requireAirSignature = profile.requireAirSignature;
+        return user;
+    }
+
+    updateTransferStatus(id, message, type = 'info') {
+        const statusElement = document.getElementById(id);
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = `status-message ${type}`;
+        }
+    }
+
+    // ==========================================================================
+    // Account Recovery
+    // ==========================================================================
+
+    /**
+     * Recovery codes for a device-only account. Each wraps a copy of the
+     * vault's data key, so the account's data survives a forgotten password.
+     * Server accounts get their codes from the server instead.
+     */
+    async createRecoveryCodes(user) {
+        const key = this.vaultKeys.get(user.username);
+        if (!key) throw new Error(`Vault for ${user.username} is locked`);
+
+        const codes = RecoveryCodes.generate();
+        user.vault.keys.recovery = await this.vault.wrapRecoveryKeys(key, codes);
+        return codes;
+    }
+
+    async regenerateRecoveryCodes() {
+        let codes;
+        try {
+            if (this.currentUser.serverAccount) {
+                if (!this.isServerSession()) {
+                    this.showNotification('New recovery codes come from the AirAuth server. Please sign in again while it is reachable.', 'error');
+                    return;
+                }
+                ({ recoveryCodes: codes } = await this.api.regenerateRecoveryCodes());
+            } else {
+                codes = await this.createRecoveryCodes(this.currentUser);
+                this.addAuditEntry('Account Recovery', true, 'New recovery codes issued', { kind: 'recovery' });
+            }
+        } catch (error) {
+            console.error('Recovery code error:', error);
+            this.showNotification(`Could not create recovery codes: ${error.message}`, 'error');
+            return;
+        }
+
+        this.showRecoveryCodes(codes);
+        if (this.currentPage === 'dashboard') this.updateDashboard();
+    }
+
+    showRecoveryCodes(codes) {
+        const modal = this.getModal('recovery-codes-modal', 'Save Your Recovery Codes');
+        const body = modal.querySelector('.modal-body');
+
+        body.innerHTML = `
+            <p>Each code works once. Keep them somewhere safe: they let you back in if you forget your
+            password or can no longer draw your air signature. Earlier codes no longer work.</p>
+            <ol class="recovery-codes">${codes.map(code => `<li>${code}</li>`).join('')}</ol>
+            <div class="auth-controls">
+                <button type="button" class="btn btn-outline" data-action="copy"><i class="fas fa-copy"></i> Copy Codes</button>
+                <button type="button" class="btn btn-primary" data-action="close">I Have Saved Them</button>
+            </div>
+        `;
+        body.querySelector('[data-action="copy"]').addEventListener('click', () => {
+            navigator.clipboard.writeText(codes.join('\n'))
+                .then(() => this.showNotification('Recovery codes copied.', 'success'))
+                .catch(() => this.showNotification('Copying failed; please write the codes down.', 'error'));
+        });
+        body.querySelector('[data-action="close"]').addEventListener('click', () => this.hideModal(modal));
+
+        this.showModal(modal);
+    }
+
+    showRecovery() {
+        const modal = this.getModal('recovery-modal', 'Recover Your Account');
+        const body = modal.querySelector('.modal-body');
+
+        if (!body.querySelector('#recovery-form')) {
+            body.innerHTML = `
+                <form id="recovery-form">
+                    <div class="form-group">
+                        <label for="recovery-identifier">Username or Email</label>
+                        <input type="text" id="recovery-identifier" name="identifier" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="recovery-proof">Recovery Code or Reset Token</label>
+                        <input type="text" id="recovery-proof" name="proof" autocomplete="one-time-code" required>
+                        <button type="button" id="recovery-email-btn" class="btn btn-outline">Email Me a Reset Token</button>
+                    </div>
+                    <label class="checkbox-container">
+                        <input type="checkbox" name="resetPassword"> Set a new password
+                    </label>
+                    <div id="recovery-password-fields" class="hidden">
+                        <div class="form-group">
+                            <label for="recovery-password">New Password</label>
+                            <input type="password" id="recovery-password" name="newPassword" autocomplete="new-password">
+                        </div>
+                        <div class="form-group">
+                            <label for="recovery-confirm-password">Confirm New Password</label>
+                            <input type="password" id="recovery-confirm-password" name="confirmPassword" autocomplete="new-password">
+                        </div>
+                    </div>
+                    <label class="checkbox-container">
+                        <input type="checkbox" name="resetSignatures"> Erase my air signatures so I can record new ones
+                    </label>
+                    <button type="submit" class="btn btn-primary btn-full">Recover Account</button>
+                </form>
+                <div id="recovery-status" class="status-message info"></div>
+            `;
+
+            const form = body.querySelector('#recovery-form');
+            form.addEventListener('submit', this.handleRecovery.bind(this));
+            form.elements.resetPassword.addEventListener('change', event => {
+                body.querySelector('#recovery-password-fields').classList.toggle('hidden', !event.target.checked);
+            });
+            body.querySelector('#recovery-email-btn').addEventListener('click', () => this.sendRecoveryEmail());
+        }
+
+        const usernameInput = document.querySelector('#login-form [name="username"]');
+        if (usernameInput && usernameInput.value) body.querySelector('#recovery-identifier').value = usernameInput.value.trim();
+
+        this.updateRecoveryStatus('Use a recovery code you saved at registration, or a reset token from your email.');
+        this.showModal(modal);
+    }
+
+    async sendRecoveryEmail() {
+        const identifier = document.getElementById('recovery-identifier').value.trim();
+
+        if (!identifier) {
+            this.updateRecoveryStatus('Enter your username or email first.', 'error');
+            return;
+        }
+        if (!this.api) {
+            this.updateRecoveryStatus('Reset emails are sent by the AirAuth server, which is not configured. Please use a recovery code.', 'error');
+            return;
+        }
+
+        try {
+            await this.api.sendRecoveryEmail(identifier);
+            this.updateRecoveryStatus('If that account exists, a reset token is on its way to its email address.', 'success');
+        } catch (error) {
+            this.updateRecoveryStatus(`Could not send the reset email: ${error.message}`, 'error');
+        }
+    }
+
+    async handleRecovery(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        const identifier = form.elements.identifier.value.trim();
+        const proof = form.elements.proof.value.trim();
+        const newPassword = form.elements.resetPassword.checked ? form.elements.newPassword.value : null;
+        const resetSignatures = form.elements.resetSignatures.checked;
+
+        if (!form.elements.resetPassword.checked && !resetSignatures) {
+            this.updateRecoveryStatus('Choose a new password, erasing your signatures, or both.', 'error');
+            return;
+        }
+        if (newPassword !== null && newPassword.length < 8) {
+            this.updateRecoveryStatus('Password must be at least 8 characters long.', 'error');
+            return;
+        }
+        if (newPassword !== null && newPassword !== form.elements.confirmPassword.value) {
+            this.updateRecoveryStatus('Passwords do not match.', 'error');
+            return;
+        }
+
+        const attemptKeys = this.attemptKeys('recovery', identifier);
+        const blocked = this.attemptBlocked(attemptKeys);
+        if (blocked) {
+            this.updateRecoveryStatus(blocked, 'error');
+            return;
+        }
+
+        // Codes are ten characters from RecoveryCodes.alphabet; anything else is an emailed token
+        const isCode = RecoveryCodes.normalize(proof).length === 10;
+        const request = { newPassword: newPassword, resetSignatures: resetSignatures };
+        const user = await this.findUser(identifier);
+
+        this.updateRecoveryStatus('Recovering your account...', 'info');
+
+        // Locked records only show their vault; device-only accounts are the ones holding recovery keys
+        const localAccount = Boolean(user && user.vault && user.vault.keys.recovery);
+
+        try {
+            if (localAccount || (user && !this.api)) {
+                if (!isCode) {
+                    this.updateRecoveryStatus('Reset tokens are emailed by the AirAuth server, and this account is stored on this device only. Please use a recovery code.', 'error');
+                    return;
+                }
+                await this.recoverLocally(user, proof, request);
+            } else if (this.api) {
+                await this.api.recover({ identifier, ...(isCode ? { code: proof } : { token: proof }), ...request });
+
+                // This device's copy is rebuilt from the server at the next sign-in
+                if (user) this.sessionManager.revokeAll(user.id);
+            } else {
+                this.updateRecoveryStatus('No account with that username or email is stored on this device.', 'error');
+                return;
+            }
+        } catch (error) {
+            console.error('Account recovery error:', error);
+            if (error.status === 401 || error.name === 'RecoveryError') this.recordFailedAttempt(attemptKeys);
+            this.updateRecoveryStatus(error.message, 'error');
+            return;
+        }
+
+        this.clearAttempts(['recovery'], identifier);
+        form.reset();
+        form.querySelector('#recovery-password-fields').classList.add('hidden');
+        this.hideModal(document.getElementById('recovery-modal'));
+
+        const usernameInput = document.querySelector('#login-form [name="username"]');
+        if (usernameInput) usernameInput.value = user ? user.username : identifier;
+
+        this.showNotification(resetSignatures
+            ? 'Account recovered. Sign in, then record five new air signatures.'
+            : 'Account recovered. Sign in with your new password.', 'success');
+    }
+
+    // Open the vault of a device-only account with a recovery code and apply the chosen resets
+    async recoverLocally(user, code, { newPassword, resetSignatures }) {
+        const records = (user.vault && user.vault.keys.recovery) || [];
+        if (records.length === 0) {
+            throw new Error('This account has no recovery codes. They can be created from the dashboard once you are signed in.');
+        }
+
+        const opened = await this.vault.unwrapRecoveryKey(records, code);
+        if (!opened) {
+            const error = new Error('The recovery code is not valid for this account or has already been used.');
+            error.name = 'RecoveryError';
+            throw error;
+        }
+
+        Object.assign(user, await this.vault.decrypt(opened.key, user.vault));
+        this.vaultKeys.set(user.username, opened.key);
+        await this.loadSignatures(user);
+
+        // Each code works once
+        user.vault.keys.recovery = records.filter((record, index) => index !== opened.index);
+
+        const actions = [];
+        if (newPassword) {
+            user.passwordHash = await this.passwordHasher.hash(newPassword);
+            user.vault.keys.password = await this.vault.wrapKey(opened.key, newPassword);
+            actions.push('password reset');
+        }
+        if (resetSignatures) {
+            await this.eraseSignatures(user);
+            actions.push('signatures erased');
+        }
+
+        this.sessionManager.revokeAll(user.id);
+        this.addAuditEntry('Account Recovery', true, `Recovery code used: ${actions.join(', ')}`, { kind: 'recovery' }, user);
+        await this.saveUserData();
+        this.lockVault(user);
+        console.log(`🛟 Recovered ${user.username}: ${actions.join(', ')}`);
+    }
+
+    // Back to an unenrolled account with one empty gesture; air signature step-up is switched off with it
+    async eraseSignatures(user) {
+        (user.signatures || []).forEach(signature => {
+            if (signature.videoUrl) URL.revokeObjectURL(signature.videoUrl);
+        });
+        await this.signatureStore.clear(user.id);
+
+        user.signatures = [];
+        user.gestures = [GestureCredentials.create(GestureCredentials.defaultName)];
+        user.enrollmentComplete = false;
+        user.requireAirSignature = false;
+        user.recentAttempts = [];
+    }
+
+    updateRecoveryStatus(message, type = 'info') {
+        const statusElement = document.getElementById('recovery-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = `status-message ${type}`;
+        }
+    }
+
+    // A modal dialog with the given title, created on first use
+    getModal(id, title) {
+        let modal = document.getElementById(id);
+
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = id;
+            modal.className = 'modal';
+            modal.innerHTML = `
+                <div class="modal-overlay"></div>
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>${title}</h3>
+                        <button type="button" class="modal-close" aria-label="Close">&times;</button>
+                    </div>
+                    <div class="modal-body"></div>
+                </div>
+            `;
+            modal.querySelector('.modal-overlay').addEventListener('click', () => this.hideModal(modal));
+            modal.querySelector('.modal-close').addEventListener('click', () => this.hideModal(modal));
+            document.body.appendChild(modal);
+        }
+
+        return modal;
+    }
+
+    showModal(modal) {
+        modal.classList.remove('hidden');
+        modal.classList.add('show');
+    }
+
+    hideModal(modal) {
+        if (!modal) return;
+        modal.classList.remove('show');
+        modal.classList.add('hidden');
+    }
+
+    // ==========================================================================
+    // Form Validation
+    // ==========================================================================
+
+    validateRegistrationForm(username, email, password, confirmPassword) {
+        let isValid = true;
+
+        // Username validation
+        if (!this.validateUsername(null, username)) isValid = false;
+
+        // Email validation
+        if (!this.validateEmail(null, email)) isValid = false;
+
+        // Password validation
+        if (!this.validatePassword(null, password)) isValid = false;
+
+        // Confirm password validation
+        if (!this.validateConfirmPassword(null, confirmPassword, password)) isValid = false;
+
+        return isValid;
+    }
+
+    validateUsername(e, value = null) {
+        const input = e ? e.target : document.getElementById('reg-username');
+        const username = value || (input ? input.value.trim() : '');
+        const errorElement = input ? input.parentNode.querySelector('.form-error') : null;
+
+        let isValid = true;
+        let message = '';
+
+        if (username.length < 3) {
+            isValid = false;
+            message = 'Username must be at least 3 characters long';
+        } else if (!/^[a-zA-Z0-9_]+$/.test(username)) {
+            isValid = false;
+            message = 'Username can only contain letters, numbers, and underscores';
+        } else if (Array.from(this.users.keys()).some(name => name.toLowerCase() === username.toLowerCase())) {
+            isValid = false;
+            message = 'Username already exists';
+        }
+
+        if (input && errorElement) {
+            input.classList.toggle('error', !isValid);
+            errorElement.textContent = message;
+        }
+
+        return isValid;
+    }
+
+    validateEmail(e, value = null) {
+        const input = e ? e.target : document.getElementById('reg-email');
+        const email = value || (input ? input.value.trim() : '');
+        const errorElement = input ? input.parentNode.querySelector('.form-error') : null;
+
+        let isValid = true;
+        let message = '';
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            isValid = false;
+            message = 'Please enter a valid email address';
+        } else if (Array.from(this.users.values()).some(user => user.email === email)) {
+            isValid = false;
+            message = 'Email already registered';
+        }
+
+        if (input && errorElement) {
+            input.classList.toggle('error', !isValid);
+            errorElement.textContent = message;
+        }
+
+        return isValid;
+    }
+
+    validatePassword(e, value = null) {
+        const input = e ? e.target : document.getElementById('reg-password');
+        const password = value || (input ? input.value : '');
+        const errorElement = input ? input.parentNode.querySelector('.form-error') : null;
+        const strengthBar = input ? input.parentNode.querySelector('.strength-bar') : null;
+        const strengthText = input ? input.parentNode.querySelector('.strength-text') : null;
+
+        let isValid = true;
+        let message = '';
+        let strength = 0;
+        let strengthLabel = '';
+
+        if (password.length < 8) {
+            isValid = false;
+            message = 'Password must be at least 8 characters long';
+        } else {
+            // Calculate password strength
+            if (password.length >= 8) strength += 20;
+            if (/[a-z]/.test(password)) strength += 20;
+            if (/[A-Z]/.test(password)) strength += 20;
+            if (/\d/.test(password)) strength += 20;
+            if (/[^\w\s]/.test(password)) strength += 20;
+
+            if (strength <= 40) {
+                strengthLabel = 'Weak';
+            } else if (strength <= 60) {
+                strengthLabel = 'Fair';
+            } else if (strength <= 80) {
+                strengthLabel = 'Good';
+            } else {
+                strengthLabel = 'Strong';
+            }
+        }
+
+        if (input && errorElement) {
+            input.classList.toggle('error', !isValid);
+            errorElement.textContent = message;
+        }
+
+        if (strengthBar && strengthText) {
+            strengthBar.style.setProperty('--strength', `${strength}%`);
+            strengthBar.className = `strength-bar strength-${strengthLabel.toLowerCase()}`;
+            strengthText.textContent = `Password strength: ${strengthLabel}`;
+
+            // Update strength bar color
+            let color = '#ef4444'; // red
+            if (strength > 40) color = '#f59e0b'; // yellow
+            if (strength > 60) color = '#3b82f6'; // blue
+            if (strength > 80) color = '#10b981'; // green
+
+            strengthBar.style.background = `linear-gradient(to right, ${color} ${strength}%, #e5e7eb ${strength}%)`;
+        }
+
+        return isValid;
+    }
+
+    validateConfirmPassword(e, value = null, originalPassword = null) {
+        const input = e ? e.target : document.getElementById('reg-confirm-password');
+        const confirmPassword = value || (input ? input.value : '');
+        const password = originalPassword || (document.getElementById('reg-password') ? document.getElementById('reg-password').value : '');
+        const errorElement = input ? input.parentNode.querySelector('.form-error') : null;
+
+        let isValid = true;
+        let message = '';
+
+        if (confirmPassword !== password) {
+            isValid = false;
+            message = 'Passwords do not match';
+        }
+
+        if (input && errorElement) {
+            input.classList.toggle('error', !isValid);
+            errorElement.textContent = message;
+        }
+
+        return isValid;
+    }
+
+    resetRegistrationForm() {
+        const form = document.getElementById('register-form');
+        if (form) {
+            form.reset();
+            // Clear all error states
+            const inputs = form.querySelectorAll('input');
+            const errors = form.querySelectorAll('.form-error');
+
+            inputs.forEach(input => input.classList.remove('error'));
+            errors.forEach(error => error.textContent = '');
+
+            // Reset password strength indicator
+            const strengthBar = form.querySelector('.strength-bar');
+            const strengthText = form.querySelector('.strength-text');
+            if (strengthBar) strengthBar.style.background = '#e5e7eb';
+            if (strengthText) strengthText.textContent = 'Password strength';
+        }
+    }
+
+    // ==========================================================================
+    // Webcam and Video Management
+    // ==========================================================================
+
+    async startCamera(context = 'enrollment') {
+        console.log(`📹 Starting camera for: ${context}`);
+        this.ensureCameraPicker(context);
+
+        try {
+            // Request camera permissions
+            const stream = await this.openCamera();
+            this.webcamStream = stream;
+            this.cameraContext = context;
+
+            // Unplugged, or taken over by another application
+            const [track] = stream.getVideoTracks();
+            if (track) track.addEventListener('ended', () => this.handleCameraLost(stream));
+
+            // Device labels can be read once access is granted
+            this.updateCameraPickers();
+
+            // Get video element based on context
+            const videoElement = this.getVideoElement(context);
+
+            if (videoElement) {
+                videoElement.srcObject = this.webcamStream;
+
+                // Hide overlay
+                const overlay = videoElement.parentNode.querySelector('.video-overlay');
+                if (overlay) {
+                    overlay.classList.add('hidden');
+                }
+
+                this.showNotification('Camera started successfully!', 'success');
+                this.updateEnrollmentStatus('Camera ready. You can now start recording.', 'info');
+
+                // Enable recording controls
+                this.updateControlStates(context, 'camera-ready');
+            }
+
+        } catch (error) {
+            console.error('Camera access error:', error);
+            let message = 'Unable to access camera. ';
+
+            if (error.name === 'NotAllowedError') {
+                message += 'Please grant camera permissions and try again.';
+            } else if (error.name === 'NotFoundError') {
+                message += 'No camera found on this device.';
+            } else {
+                message += 'Please check your camera and try again.';
+            }
+
+            this.showNotification(message, 'error');
+            this.updateEnrollmentStatus(message, 'error');
+
+            // Without a camera there is no air signature to draw, but a passkey can stand in for it
+            if (context === 'login') {
+                this.updateAirLoginStatus(Passkeys.isSupported()
+                    ? `${message} If you have added a passkey, sign in with it instead.`
+                    : message, 'error');
+            }
+        }
+    }
+
+    // The remembered camera and mode, or the default camera when the remembered one is not connected
+    async openCamera() {
+        const preference = CameraDevices.load();
+
+        try {
+            return await navigator.mediaDevices.getUserMedia(CameraDevices.constraints(preference, this.config.camera));
+        } catch (error) {
+            if (!preference.deviceId || !['OverconstrainedError', 'NotFoundError'].includes(error.name)) throw error;
+
+            console.warn(`📷 ${preference.label || preference.deviceId} unavailable, using the default camera`);
+            this.showNotification(`${preference.label || 'Your chosen camera'} is not connected, so the default camera is used.`, 'info');
+            return navigator.mediaDevices.getUserMedia(CameraDevices.constraints({ ...preference, deviceId: null }, this.config.camera));
+        }
+    }
+
+    getVideoElement(context) {
+        const ids = { enrollment: 'enrollment-video', auth: 'auth-video', login: 'login-video' };
+        return document.getElementById(ids[context]);
+    }
+
+    stopCamera(notify = true) {
+        // A recording still counting down or waiting for motion has nothing to keep
+        if (this.recordingGuide && this.recordingGuide.phase !== 'capturing') this.isRecording = false;
+        this.endRecordingGuide();
+        this.stopTracking();
+        this.hideTrace();
+
+        if (this.webcamStream) {
+            console.log('🔴 Stopping camera...');
+            this.webcamStream.getTracks().forEach(track => track.stop());
+            this.webcamStream = null;
+            this.cameraContext = null;
+            this.showCameraSettings();
+
+            // Clear video elements
+            ['enrollment', 'auth', 'login'].forEach(context => {
+                const videoElement = this.getVideoElement(context);
+                if (videoElement) videoElement.srcObject = null;
+            });
+
+            // Show overlays
+            document.querySelectorAll('.video-overlay').forEach(overlay => {
+                overlay.classList.remove('hidden');
+            });
+
+            if (notify) this.showNotification('Camera stopped', 'info');
+        }
+    }
+
+    /**
+     * The running camera went away: unplugged, or taken by another app. A
+     * recording in progress is discarded rather than kept half-finished, and
+     * the page goes back to "Start Camera" so nothing is left waiting on it.
+     */
+    handleCameraLost(stream) {
+        if (this.webcamStream !== stream) return;
+
+        const context = this.cameraContext;
+        console.warn('📷 Camera disconnected');
+
+        this.endRecordingGuide();
+        if (this.isRecording && this.mediaRecorder) {
+            this.mediaRecorder.onstop = null;
+            if (this.mediaRecorder.state !== 'inactive') this.mediaRecorder.stop();
+            this.isRecording = false;
+            this.recordedChunks = [];
+            this.recordedTrajectory = [];
+        }
+
+        this.stopCamera(false);
+
+        const message = 'The camera was disconnected. Reconnect it or choose another camera, then start it again.';
+        this.showNotification(message, 'error');
+
+        if (context === 'enrollment') {
+            const gesture = this.getEnrollmentGesture();
+            this.updateControlStates('enrollment', 'initial');
+            if (gesture && gesture.enrollmentComplete) this.updateControlStates('enrollment', 'enrollment-complete');
+
+            // A take finished before the camera went can still be saved
+            const saveSignature = document.getElementById('save-signature');
+            if (saveSignature && this.recordedChunks.length > 0) saveSignature.disabled = false;
+
+            this.updateEnrollmentStatus(message, 'error');
+        } else if (context === 'auth') {
+            this.updateControlStates('auth', 'initial');
+        } else if (context === 'login') {
+            this.updateAirLoginStatus(message, 'error');
+        }
+
+        this.updateCameraPickers();
+    }
+
+    // Cameras plugged in or out: keep the pickers current and say what appeared
+    async handleDeviceChange() {
+        const before = this.cameraDevices;
+        await this.updateCameraPickers();
+
+        this.cameraDevices
+            .filter(device => !before.some(entry => entry.deviceId === device.deviceId))
+            .forEach(device => this.showNotification(`📷 ${device.label} connected.`, 'info'));
+    }
+
+    /**
+     * Camera and capture-mode selects below a page's video, added on first
+     * use. The choice is remembered in this browser; changing it while the
+     * camera runs reopens the camera with it.
+     */
+    ensureCameraPicker(context) {
+        const existing = document.getElementById(`camera-picker-${context}`);
+        if (existing) return existing;
+
+        const videoElement = this.getVideoElement(context);
+        const container = videoElement && videoElement.closest('.video-container');
+        if (!container) return null;
+
+        const picker = document.createElement('div');
+        picker.id = `camera-picker-${context}`;
+        picker.className = 'camera-picker';
+        picker.innerHTML = `
+            <select class="form-control camera-device" aria-label="Camera"></select>
+            <select class="form-control camera-mode" aria-label="Resolution and frame rate"></select>
+            <span class="camera-settings"></span>
+        `;
+
+        const deviceSelect = picker.querySelector('.camera-device');
+        const modeSelect = picker.querySelector('.camera-mode');
+        CameraDevices.modes.forEach(mode => modeSelect.add(new Option(mode.label, mode.id)));
+
+        deviceSelect.addEventListener('change', () => {
+            // The only unlisted choice is the remembered camera while it is unplugged
+            const device = this.cameraDevices.find(entry => entry.deviceId === deviceSelect.value) ||
+                (deviceSelect.value ? { deviceId: deviceSelect.value, label: CameraDevices.load().label } : null);
+            this.chooseCamera(context, device ? { deviceId: device.deviceId, label: device.label } : { deviceId: null, label: null });
+        });
+        modeSelect.addEventListener('change', () => this.chooseCamera(context, { mode: modeSelect.value }));
+
+        container.insertAdjacentElement('afterend', picker);
+        this.updateCameraPickers();
+        return picker;
+    }
+
+    // Relist the cameras in every picker and select the remembered choice
+    async updateCameraPickers() {
+        try {
+            this.cameraDevices = await CameraDevices.list();
+        } catch (error) {
+            console.warn('Could not list cameras:', error);
+        }
+
+        // Labels are only filled in once camera access is granted, so keep the real name for later
+        const preference = CameraDevices.load();
+        const chosen = this.cameraDevices.find(device => device.deviceId === preference.deviceId);
+        if (chosen && chosen.label !== preference.label) {
+            preference.label = chosen.label;
+            CameraDevices.save(preference);
+        }
+
+        document.querySelectorAll('.camera-picker').forEach(picker => {
+            const deviceSelect = picker.querySelector('.camera-device');
+            deviceSelect.innerHTML = '';
+            deviceSelect.add(new Option('Default camera', ''));
+            this.cameraDevices.forEach(device => deviceSelect.add(new Option(device.label, device.deviceId)));
+
+            // An unplugged choice stays listed, so it is not forgotten just because the camera is away
+            if (preference.deviceId && !this.cameraDevices.some(device => device.deviceId === preference.deviceId)) {
+                deviceSelect.add(new Option(`${preference.label || 'Chosen camera'} (not connected)`, preference.deviceId));
+            }
+
+            deviceSelect.value = preference.deviceId || '';
+            picker.querySelector('.camera-mode').value = preference.mode;
+        });
+
+        this.lockCameraPickers(Boolean(this.tracker || this.isRecording));
+        this.showCameraSettings();
+    }
+
+    // Remember a new camera or mode, reopening the camera if it is running
+    async chooseCamera(context, change) {
+        if (this.tracker || this.isRecording) {
+            this.showNotification('Finish the current recording before switching cameras.', 'error');
+            this.updateCameraPickers();
+            return;
+        }
+
+        CameraDevices.save({ ...CameraDevices.load(), ...change });
+
+        if (this.webcamStream) {
+            const running = this.cameraContext || context;
+            this.stopCamera(false);
+            await this.startCamera(running);
+        } else {
+            this.updateCameraPickers();
+        }
+    }
+
+    // Cameras cannot be switched while frames are being tracked or a recording is under way
+    lockCameraPickers(locked) {
+        document.querySelectorAll('.camera-picker select').forEach(select => {
+            select.disabled = locked;
+        });
+    }
+
+    // Negotiated size and rate under the running camera's video, with what was asked for when it fell short
+    showCameraSettings() {
+        const track = this.webcamStream ? this.webcamStream.getVideoTracks()[0] : null;
+        const negotiated = CameraDevices.describe(track);
+        const settings = negotiated ? track.getSettings() : {};
+        const requested = CameraDevices.resolve(CameraDevices.load().mode, this.config.camera);
+        const short = negotiated && (settings.width < requested.width || settings.height < requested.height ||
+            (settings.frameRate && Math.round(settings.frameRate) < requested.frameRate));
+
+        document.querySelectorAll('.camera-picker').forEach(picker => {
+            const live = negotiated && picker.id === `camera-picker-${this.cameraContext}`;
+            picker.querySelector('.camera-settings').textContent = !live ? ''
+                : short ? `${negotiated} (asked for ${requested.width}×${requested.height} · ${requested.frameRate} fps)`
+                : negotiated;
+        });
+    }
+
+    updateControlStates(context, state) {
+        if (context === 'enrollment') {
+            const startCamera = document.getElementById('start-camera');
+            const startRecording = document.getElementById('start-recording');
+            const stopRecording = document.getElementById('stop-recording');
+            const saveSignature = document.getElementById('save-signature');
+            const finishEnrollment = document.getElementById('finish-enrollment');
+
+            switch(state) {
+                case 'initial':
+                    if (startCamera) startCamera.disabled = false;
+                    if (startRecording) startRecording.disabled = true;
+                    if (stopRecording) stopRecording.disabled = true;
+                    if (saveSignature) saveSignature.disabled = true;
+                    if (finishEnrollment) finishEnrollment.disabled = true;
+                    break;
+                case 'camera-ready':
+                    if (startCamera) startCamera.disabled = true;
+                    if (startRecording) startRecording.disabled = false;
+                    if (stopRecording) stopRecording.disabled = true;
+                    if (saveSignature) saveSignature.disabled = true;
+                    break;
+                case 'recording':
+                    if (startRecording) startRecording.disabled = true;
+                    if (stopRecording) stopRecording.disabled = false;
+                    if (saveSignature) saveSignature.disabled = true;
+                    break;
+                case 'recorded':
+                    if (startRecording) startRecording.disabled = false;
+                    if (stopRecording) stopRecording.disabled = true;
+                    if (saveSignature) saveSignature.disabled = false;
+                    break;
+                case 'enrollment-complete':
+                    if (finishEnrollment) finishEnrollment.disabled = false;
+                    break;
+            }
+        } else if (context === 'auth') {
+            const startAuthCamera = document.getElementById('start-auth-camera');
+            const authenticateBtn = document.getElementById('authenticate-btn');
+
+            switch(state) {
+                case 'initial':
+                    if (startAuthCamera) startAuthCamera.disabled = false;
+                    if (authenticateBtn) authenticateBtn.disabled = true;
+                    break;
+                case 'camera-ready':
+                    if (startAuthCamera) startAuthCamera.disabled = true;
+                    if (authenticateBtn) authenticateBtn.disabled = false;
+                    break;
+            }
+        }
+    }
+
+    // ==========================================================================
+    // Signature Enrollment
+    // ==========================================================================
+
+    /**
+     * A recording counts down, then waits for the fingertip to start moving
+     * and stops by itself once it has been held still for a moment, so the
+     * saved take holds the gesture without the dead time around it. "Stop
+     * Recording" or the space bar end it early, or cancel it before capture
+     * has begun.
+     */
+    async startRecording() {
+        if (!this.webcamStream) {
+            this.showNotification('Please start the camera first!', 'error');
+            return;
+        }
+        if (this.isRecording) return;
+
+        console.log('🎥 Starting signature recording...');
+
+        try {
+            // Configure MediaRecorder
+            const options = {
+                mimeType: 'video/webm;codecs=vp8,vorbis'
+            };
+
+            if (!MediaRecorder.isTypeSupported(options.mimeType)) {
+                options.mimeType = 'video/webm';
+            }
+
+            const guide = { phase: 'countdown', timer: null, anchor: null, previous: null, from: 0, lastMovedAt: null, until: null, stopReason: null };
+            this.recordingGuide = guide;
+            this.mediaRecorder = new MediaRecorder(this.webcamStream, options);
+            this.recordedChunks = [];
+            this.recordedTrajectory = [];
+
+            this.mediaRecorder.ondataavailable = (event) => {
+                if (event.data.size > 0) {
+                    this.recordedChunks.push(event.data);
+                }
+            };
+
+            this.mediaRecorder.onstop = () => {
+                const points = this.stopTracking();
+                this.recordedTrajectory = this.trimRecording(points, guide);
+                this.recordingDuration = guide.until - guide.from;
+                console.log('📹 Recording stopped, chunks:', this.recordedChunks.length, 'points:', this.recordedTrajectory.length, 'of', points.length);
+
+                const reason = guide.stopReason === 'still' ? 'Recording stopped when you held still. '
+                    : guide.stopReason === 'limit' ? `Recording stopped at the ${this.config.recording.maxDuration / 1000}-second limit. `
+                    : '';
+                this.updateControlStates('enrollment', 'recorded');
+                this.updateEnrollmentStatus(`${reason || 'Recording complete! '}Click "Save Signature" to save it.`, 'success');
+            };
+
+            this.isRecording = true;
+            this.lockCameraPickers(true);
+            this.updateControlStates('enrollment', 'recording');
+
+            for (let remaining = this.config.recording.countdown; remaining > 0; remaining--) {
+                this.showCountdown(remaining);
+                this.updateEnrollmentStatus(`Get ready... recording starts in ${remaining}.`, 'info');
+                await this.delay(1000);
+                if (this.recordingGuide !== guide) return; // Cancelled, or the camera went away
+            }
+            this.hideCountdown();
+
+            this.startTracking('enrollment', point => this.followRecording(guide, point));
+            guide.timer = setInterval(() => this.checkRecording(guide), 100);
+
+            if (this.config.recording.autoStart) {
+                guide.phase = 'armed';
+                this.updateEnrollmentStatus('Start drawing your signature whenever you are ready. Recording begins as soon as you move.', 'info');
+            } else {
+                this.beginCapture(guide, 0);
+            }
+
+        } catch (error) {
+            console.error('Recording error:', error);
+            this.endRecordingGuide();
+            this.stopTracking();
+            this.isRecording = false;
+            this.updateControlStates('enrollment', 'camera-ready');
+            this.showNotification('Recording failed. Please try again.', 'error');
+            this.updateEnrollmentStatus('Recording failed. Please try again.', 'error');
+        }
+    }
+
+    stopRecording() {
+        if (!this.isRecording) return;
+
+        const guide = this.recordingGuide;
+        if (guide && guide.phase !== 'capturing') {
+            this.cancelRecording();
+            return;
+        }
+
+        if (this.mediaRecorder) {
+            console.log('⏹️ Stopping recording...');
+            if (guide) {
+                guide.phase = 'stopped';
+                guide.until = guide.lastMovedAt !== null ? guide.lastMovedAt : this.trackingTime();
+            }
+            this.endRecordingGuide();
+            this.mediaRecorder.stop();
+            this.isRecording = false;
+        }
+    }
+
+    // Stopped before capture began: nothing was recorded, so go back to the ready camera
+    cancelRecording() {
+        console.log('⏹️ Recording cancelled');
+        this.endRecordingGuide();
+        this.stopTracking();
+        this.hideTrace();
+        this.isRecording = false;
+        this.updateControlStates('enrollment', 'camera-ready');
+        this.updateEnrollmentStatus('Recording cancelled. Click "Start Recording" to try again.', 'info');
+    }
+
+    // Capture from `from` (tracker time): the video recorder starts and the trail is redrawn from there
+    beginCapture(guide, from) {
+        guide.phase = 'capturing';
+        guide.from = from;
+
+        this.mediaRecorder.start(1000); // Collect data every second
+        this.recordingStartedAt = Date.now();
+
+        if (this.traceOverlay && this.tracker) {
+            this.traceOverlay.reset(this.tracker.points.filter(point => point.t >= from));
+        }
+
+        this.updateEnrollmentStatus('Recording... Draw your signature in the air!', 'info');
+        this.showNotification('Recording started! Draw your air signature now.', 'info');
+    }
+
+    /**
+     * Each tracked point while armed or capturing. Armed, the anchor follows
+     * the fingertip while it is held still, and capture begins from it once
+     * the fingertip moves further than startDistance. Capturing, the time of
+     * the last real movement is kept for the stillness check.
+     */
+    followRecording(guide, point) {
+        const { startDistance, stillDistance } = this.config.recording;
+        const previous = guide.previous;
+        guide.previous = point;
+
+        if (guide.phase === 'armed') {
+            if (!guide.anchor) {
+                guide.anchor = point;
+            } else if (this.pointDistance(point, guide.anchor) > startDistance) {
+                this.beginCapture(guide, guide.anchor.t);
+                guide.lastMovedAt = point.t;
+            } else if (this.pointDistance(point, previous) < stillDistance) {
+                guide.anchor = point;
+            }
+        } else if (guide.phase === 'capturing') {
+            if (previous && this.pointDistance(point, previous) >= stillDistance) guide.lastMovedAt = point.t;
+        }
+    }
+
+    // Auto-stop on stillness or at the length limit, checked on a timer because a still hand may not be tracked at all
+    checkRecording(guide) {
+        if (this.recordingGuide !== guide || guide.phase !== 'capturing' || !this.tracker) return;
+
+        const { stillnessTimeout, maxDuration } = this.config.recording;
+        const now = this.trackingTime();
+
+        if (now - guide.from >= maxDuration) {
+            guide.stopReason = 'limit';
+            this.stopRecording();
+        } else if (stillnessTimeout > 0 && guide.lastMovedAt !== null && now - guide.lastMovedAt >= stillnessTimeout) {
+            guide.stopReason = 'still';
+            this.stopRecording();
+        }
+    }
+
+    // Points between the start of capture and the last movement, timed from the start of capture
+    trimRecording(points, guide) {
+        const until = guide.until !== null ? guide.until : Infinity;
+        return points
+            .filter(point => point.t >= guide.from && point.t <= until)
+            .map(point => ({ ...point, t: point.t - guide.from }));
+    }
+
+    endRecordingGuide() {
+        if (this.recordingGuide) clearInterval(this.recordingGuide.timer);
+        this.recordingGuide = null;
+        this.hideCountdown();
+        this.lockCameraPickers(Boolean(this.tracker));
+    }
+
+    // Milliseconds since the running tracker started, on the same clock as its points' t
+    trackingTime() {
+        return this.tracker ? Math.round(performance.now() - this.tracker.startTime) : 0;
+    }
+
+    pointDistance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    showCountdown(remaining) {
+        const container = this.getVideoElement('enrollment').parentElement;
+        if (!container) return;
+
+        let countdown = container.querySelector('.recording-countdown');
+        if (!countdown) {
+            countdown = document.createElement('div');
+            countdown.className = 'recording-countdown';
+            container.appendChild(countdown);
+        }
+        countdown.textContent = remaining;
+    }
+
+    hideCountdown() {
+        document.querySelectorAll('.recording-countdown').forEach(countdown => countdown.remove());
+    }
+
+    startTracking(context, onPoint = null) {
+        const videoElement = this.getVideoElement(context);
+
+        this.stopTracking();
+
+        if (!videoElement) {
+            console.warn(`No video element for ${context} tracking`);
+            return;
+        }
+
+        const trace = this.config.recording.showTrace ? this.showTrace(context) : null;
+        const configured = this.config.trackerOptions.onPoint;
+
+        this.tracker = new FingertipTracker(videoElement, {
+            ...this.config.trackerOptions,
+            onPoint: point => {
+                if (trace) trace.add(point);
+                if (onPoint) onPoint(point);
+                if (configured) configured(point);
+            }
+        });
+        this.tracker.start();
+        this.lockCameraPickers(true);
+    }
+
+    stopTracking() {
+        if (!this.tracker) return [];
+
+        const points = this.tracker.stop();
+        this.tracker = null;
+        this.lockCameraPickers(false);
+        return points;
+    }
+
+    // Fresh trail canvas over a page's video; the last trail stays on show until the next capture or the camera stops
+    showTrace(context) {
+        this.hideTrace();
+
+        const videoElement = this.getVideoElement(context);
+        if (!videoElement || !videoElement.parentElement) return null;
+
+        this.traceOverlay = new TraceOverlay(videoElement);
+        return this.traceOverlay;
+    }
+
+    hideTrace() {
+        if (this.traceOverlay) this.traceOverlay.remove();
+        this.traceOverlay = null;
+    }
+
+    async saveSignature() {
+        if (this.recordedChunks.length === 0) {
+            this.showNotification('No recording to save!', 'error');
+            return;
+        }
+
+        console.log('💾 Saving signature...');
+
+        if (!this.currentUser) {
+            this.showNotification('Please log in before enrolling signatures.', 'error');
+            return;
+        }
+
+        const gesture = this.getEnrollmentGesture();
+        if (!gesture) {
+            this.showNotification('Please add a gesture from the dashboard first.', 'error');
+            return;
+        }
+
+        // A restricted session must not add credentials; it fails like any other save would
+        if (this.isRestricted()) {
+            this.showNotification('Failed to save signature. Please try again.', 'error');
+            this.updateEnrollmentStatus('Failed to save signature. Please try again.', 'error');
+            return;
+        }
+
+        // Quality gate: rejected samples are discarded and not counted toward 5/5
+        const quality = this.assessSignatureQuality(this.recordedTrajectory, this.recordingDuration, this.getTemplates(this.currentUser, gesture.id));
+        const lookalike = quality.accepted ? this.findLookalikeGesture(this.currentUser, gesture, this.recordedTrajectory) : null;
+        if (lookalike) {
+            quality.accepted = false;
+            quality.reasons.push(`This looks too much like your "${lookalike.name}" gesture. Duress and ordinary gestures must be clearly different shapes.`);
+        }
+        if (!quality.accepted) {
+            console.warn('Signature rejected:', quality.reasons);
+            this.recordedChunks = [];
+            this.recordedTrajectory = [];
+            this.updateControlStates('enrollment', 'camera-ready');
+            this.updateEnrollmentStatus(`Signature not saved: ${quality.reasons.join(' ')} Please record it again.`, 'error');
+            this.showNotification('Signature rejected. See the enrollment status for how to retry.', 'error');
+            return;
+        }
+
+        try {
+            // Create blob from recorded chunks
+            const blob = new Blob(this.recordedChunks, { type: 'video/webm' });
+            const videoUrl = URL.createObjectURL(blob);
+
+            // Save signature data
+            const signatureData = {
+                id: Date.now().toString(),
+                gestureId: gesture.id,
+                videoUrl: videoUrl,
+                blob: blob,
+                trajectory: this.recordedTrajectory,
+                timestamp: new Date().toISOString(),
+                duration: this.recordingDuration // ms
+            };
+
+            // Add to current user's signatures
+            if (this.currentUser) {
+                await this.storeSignature(this.currentUser, signatureData);
+                this.currentUser.signatures.push(signatureData);
+                this.signatureCount = GestureCredentials.signatures(this.currentUser, gesture.id).length;
+                this.addAuditEntry('Enrollment', true, `Signature ${this.signatureCount} of "${gesture.name}" saved`, this.gestureAuditFields(gesture));
+                this.uploadSignature(signatureData);
+
+                // Update UI
+                this.updateSignatureGallery();
+                this.updateProgressIndicator();
+                this.updateGesturePicker();
+                this.updateEnrollmentStatus(`"${gesture.name}" signature ${this.signatureCount}/5 saved successfully!`, 'success');
+                this.showNotification(`Signature ${this.signatureCount} saved! ${5 - this.signatureCount} more to go.`, 'success');
+
+                // Check if enrollment is complete
+                if (this.signatureCount >= GestureCredentials.signaturesRequired) {
+                    gesture.enrollmentComplete = true;
+                    GestureCredentials.refresh(this.currentUser);
+                    this.updateControlStates('enrollment', 'enrollment-complete');
+                    this.updateEnrollmentStatus(gesture.duress
+                        ? `Duress gesture "${gesture.name}" is complete! Signing in with it looks normal, but limits the session and raises an alert. Click "Finish Enrollment" to complete setup.`
+                        : `"${gesture.name}" is complete! Click "Finish Enrollment" to complete setup.`, 'success');
+                    this.showNotification('🎉 Enrollment complete! You can now use air signature authentication.', 'success');
+                }
+
+                // Reset for next recording
+                this.recordedChunks = [];
+                this.recordedTrajectory = [];
+                this.updateControlStates('enrollment', 'camera-ready');
+
+            } else {
+                throw new Error('No user logged in');
+            }
+
+        } catch (error) {
+            console.error('Save signature error:', error);
+            this.showNotification('Failed to save signature. Please try again.', 'error');
+            this.updateEnrollmentStatus('Failed to save signature. Please try again.', 'error');
+        }
+    }
+
+    // Send an enrolled signature to the server; the local copy stands if the upload fails
+    async uploadSignature(signature) {
+        if (!this.isServerSession()) return;
+
+        const error = await this.startUpload(signature);
+        if (error) {
+            this.showNotification(`Signature saved on this device, but uploading it to the server failed: ${error.message}. It will be sent again when you finish enrollment.`, 'error');
+        }
+    }
+
+    // Resolves to null once the server has the signature, or to the error; failed uploads stay listed for a retry
+    startUpload(signature) {
+        const upload = this.api.uploadSignature(signature).then(() => {
+            this.signatureUploads.delete(signature.id);
+            return null;
+        }, error => {
+            console.error('Signature upload failed:', error);
+            return error;
+        });
+
+        this.signatureUploads.set(signature.id, upload);
+        return upload;
+    }
+
+    // Waits for the gesture's uploads still running and sends failed ones again; resolves to the first error, if any
+    async finishUploads(gesture) {
+        const errors = await Promise.all(GestureCredentials.signatures(this.currentUser, gesture.id)
+            .filter(signature => this.signatureUploads.has(signature.id))
+            .map(async signature => (await this.signatureUploads.get(signature.id)) && this.startUpload(signature)));
+
+        return errors.find(Boolean) || null;
+    }
+
+    assessSignatureQuality(trajectory, duration, existingTemplates) {
+        const limits = this.config.enrollmentQuality;
+        const matcher = new TrajectoryMatcher();
+        const reasons = [];
+
+        if (existingTemplates.length >= 5) {
+            return { accepted: false, reasons: ['All 5 signatures of this gesture are already enrolled.'] };
+        }
+
+        if (duration < limits.minDuration) {
+            reasons.push(`Recording was too short (${(duration / 1000).toFixed(1)}s, minimum ${limits.minDuration / 1000}s).`);
+        } else if (duration > limits.maxDuration) {
+            reasons.push(`Recording was too long (${(duration / 1000).toFixed(1)}s, maximum ${limits.maxDuration / 1000}s).`);
+        }
+
+        if (trajectory.length < limits.minPoints) {
+            reasons.push(`Your fingertip was only tracked in ${trajectory.length} frames. Keep your hand in view and well lit.`);
+            return { accepted: false, reasons: reasons };
+        }
+
+        const box = matcher.boundingBox(trajectory);
+        if (Math.max(box.width, box.height) < limits.minExtent) {
+            reasons.push('Not enough motion was detected. Draw your signature larger.');
+        }
+
+        const pathLength = matcher.pathLength(trajectory);
+        if (pathLength < limits.minPathLength) {
+            reasons.push(`The signature path is too short (${pathLength.toFixed(2)}, minimum ${limits.minPathLength}). Draw the complete signature.`);
+        }
+
+        // Recognizers without templateDistance() cannot compare signatures, so the consistency check is skipped
+        const recognizer = reasons.length === 0 && existingTemplates.length > 0 ? this.createRecognizer() : null;
+        if (recognizer && typeof recognizer.templateDistance === 'function') {
+            const meanDistance = existingTemplates
+                .reduce((sum, template) => sum + recognizer.templateDistance(trajectory, template), 0) / existingTemplates.length;
+
+            if (meanDistance > limits.maxTemplateDistance) {
+                reasons.push(`This signature differs too much from your previous ones (distance ${meanDistance.toFixed(3)}, maximum ${limits.maxTemplateDistance}). Draw the same shape each time.`);
+            }
+        }
+
+        return { accepted: reasons.length === 0, reasons: reasons };
+    }
+
+    /**
+     * A duress gesture that could be mistaken for an ordinary one (or the
+     * other way round) would restrict real sign-ins or fail to flag coerced
+     * ones, so samples too close to a gesture of the other kind are refused.
+     */
+    findLookalikeGesture(user, gesture, trajectory) {
+        const recognizer = this.createRecognizer();
+        if (typeof recognizer.templateDistance !== 'function') return null;
+
+        const limit = this.config.enrollmentQuality.maxTemplateDistance;
+        return (user.gestures || []).find(other => {
+            if (Boolean(other.duress) === Boolean(gesture.duress)) return false;
+
+            const templates = this.getTemplates(user, other.id);
+            return templates.length > 0 && templates.reduce((sum, template) =>
+                sum + recognizer.templateDistance(trajectory, template), 0) / templates.length <= limit;
+        }) || null;
+    }
+
+    async finishEnrollment() {
+        const gesture = this.getEnrollmentGesture();
+        if (!gesture || !gesture.enrollmentComplete) {
+            this.showNotification('Please complete all 5 signatures first!', 'error');
+            return;
+        }
+
+        console.log(`✅ Finishing enrollment of "${gesture.name}"...`);
+
+        this.calibrateThreshold(this.currentUser, gesture);
+        gesture.enrollmentTemplates = this.getTemplates(this.currentUser, gesture.id);
+
+        // The server calibrates its own copy, so it needs every signature before it is asked to
+        if (this.isServerSession()) {
+            const finishButton = document.getElementById('finish-enrollment');
+            if (finishButton) finishButton.disabled = true;
+            this.updateEnrollmentStatus(`Saving "${gesture.name}" on the server...`, 'info');
+
+            try {
+                const uploadError = await this.finishUploads(gesture);
+                if (uploadError) throw uploadError;
+                await this.api.finishEnrollment(gesture.id);
+                this.updateEnrollmentStatus(`"${gesture.name}" is saved on the server.`, 'success');
+            } catch (error) {
+                console.error('Server enrollment failed:', error);
+                if (finishButton) finishButton.disabled = false;
+                this.updateEnrollmentStatus(`"${gesture.name}" could not be finished on the server: ${error.message}. Your signatures are kept on this device; click "Finish Enrollment" to try again.`, 'error');
+                this.showNotification('Enrollment could not be completed on the server. Please try again.', 'error');
+                return;
+            }
+        }
+
+        this.stopCamera();
+        this.addAuditEntry('Enrollment', true, `"${gesture.name}" enrollment finished`, this.gestureAuditFields(gesture));
+        this.updateAuthStatus();
+
+        this.showNotification('🎉 Enrollment completed successfully! You can now use air signature authentication.', 'success');
+
+        setTimeout(() => {
+            this.showPage('dashboard');
+        }, 2000);
+    }
+
+    // Derive a gesture's acceptance threshold from the spread between its own signatures.
+    // Recognizers without calibrate() leave it on their default threshold.
+    calibrateThreshold(user, gesture) {
+        const recognizer = this.createRecognizer();
+        const statistics = typeof recognizer.calibrate === 'function'
+            ? recognizer.calibrate(this.getTemplates(user, gesture.id))
+            : null;
+
+        gesture.matchProfile = statistics ? {
+            recognizer: recognizer.constructor.name,
+            ...statistics,
+            computedAt: new Date().toISOString()
+        } : null;
+
+        if (statistics) {
+            console.log(`🎯 Threshold for ${user.username} "${gesture.name}": ${statistics.acceptScore}% (distance ≤ ${statistics.threshold.toFixed(3)})`);
+        }
+
+        return gesture.matchProfile;
+    }
+
+    // Template trajectories of one gesture, or of every gesture without a gestureId
+    getTemplates(user, gestureId = null) {
+        return GestureCredentials.templates(user, gestureId);
+    }
+
+    // Gesture the enrollment page records into: the one picked, else the first still unfinished
+    getEnrollmentGesture() {
+        const user = this.currentUser;
+        if (!user || !user.gestures || user.gestures.length === 0) return null;
+
+        return GestureCredentials.find(user, this.enrollmentGestureId)
+            || user.gestures.find(gesture => !gesture.enrollmentComplete)
+            || user.gestures[0];
+    }
+
+    resetEnrollment() {
+        console.log('🔄 Resetting enrollment...');
+
+        const gesture = this.getEnrollmentGesture();
+        this.enrollmentGestureId = gesture ? gesture.id : null;
+        this.signatureCount = gesture ? GestureCredentials.signatures(this.currentUser, gesture.id).length : 0;
+        this.recordedChunks = [];
+        this.recordedTrajectory = [];
+        this.isRecording = false;
+
+        this.stopCamera();
+        this.ensureCameraPicker('enrollment');
+        this.updateControlStates('enrollment', 'initial');
+        if (gesture && gesture.enrollmentComplete) this.updateControlStates('enrollment', 'enrollment-complete');
+        this.updateGesturePicker();
+        this.updateProgressIndicator();
+        this.updateSignatureGallery();
+        this.updateEnrollmentStatus(gesture
+            ? `Click "Start Camera" to begin enrolling your "${gesture.name}" gesture.`
+            : 'Please add a gesture from the dashboard first.', 'info');
+    }
+
+    // Choice of gesture to enroll, shown above the signature gallery
+    updateGesturePicker() {
+        const gallery = document.getElementById('signature-gallery');
+        if (!gallery || !this.currentUser) return;
+
+        let select = document.getElementById('enrollment-gesture');
+        if (!select) {
+            const picker = document.createElement('div');
+            picker.className = 'form-group gesture-picker';
+            picker.innerHTML = `
+                <label for="enrollment-gesture">Gesture</label>
+                <select id="enrollment-gesture"></select>
+            `;
+            gallery.insertAdjacentElement('beforebegin', picker);
+
+            select = picker.querySelector('select');
+            select.addEventListener('change', () => {
+                this.enrollmentGestureId = select.value;
+                this.resetEnrollment();
+            });
+        }
+
+        select.innerHTML = '';
+        (this.currentUser.gestures || []).filter(gesture => !gesture.duress || !this.isRestricted()).forEach(gesture => {
+            const option = document.createElement('option');
+            option.value = gesture.id;
+            option.textContent = `${gesture.name} (${GestureCredentials.signatures(this.currentUser, gesture.id).length}/5)`;
+            select.appendChild(option);
+        });
+        select.value = this.enrollmentGestureId || '';
+    }
+
+    updateProgressIndicator() {
+        const progressFill = document.querySelector('.progress-fill');
+        const signatureCountElement = document.getElementById('signature-count');
+
+        const progress = (this.signatureCount / 5) * 100;
+
+        if (progressFill) {
+            progressFill.style.width = `${progress}%`;
+        }
+
+        if (signatureCountElement) {
+            signatureCountElement.textContent = this.signatureCount;
+        }
+    }
+
+    updateSignatureGallery() {
+        const gallery = document.getElementById('signature-gallery');
+        if (!gallery) return;
+
+        gallery.innerHTML = '';
+
+        // Create 5 thumbnail slots
+        for (let i = 0; i < 5; i++) {
+            const thumbnail = document.createElement('div');
+            thumbnail.className = 'signature-thumbnail';
+
+            const signature = this.currentUser ? GestureCredentials.signatures(this.currentUser, this.enrollmentGestureId)[i] : null;
+
+            if (i < this.signatureCount && signature && signature.videoUrl) {
+                thumbnail.classList.add('recorded');
+
+                const video = document.createElement('video');
+                video.src = signature.videoUrl;
+                video.controls = true;
+                video.muted = true;
+                video.playsInline = true;
+                video.preload = 'metadata';
+                video.title = `Signature ${i + 1} (${new Date(signature.timestamp).toLocaleString()})`;
+                thumbnail.appendChild(video);
+            } else if (i < this.signatureCount) {
+                thumbnail.classList.add('recorded');
+                thumbnail.innerHTML = `<i class="fas fa-check"></i><br>Signature ${i + 1}`;
+            } else {
+                thumbnail.innerHTML = `<i class="fas fa-plus"></i><br>Record ${i + 1}`;
+            }
+
+            gallery.appendChild(thumbnail);
+        }
+    }
+
+    updateEnrollmentStatus(message, type = 'info') {
+        const statusElement = document.getElementById('enrollment-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = `status-message ${type}`;
+        }
+    }
+
+    // ==========================================================================
+    // Authentication Testing
+    // ==========================================================================
+
+    async authenticateGesture() {
+        if (!this.currentUser || !this.currentUser.enrollmentComplete) {
+            this.showNotification('Please complete enrollment first!', 'error');
+            this.showPage('enrollment');
+            return;
+        }
+
+        if (!this.webcamStream) {
+            this.showNotification('Please start the camera first!', 'error');
+            return;
+        }
+
+        const attemptKeys = this.attemptKeys('airsign', this.currentUser.username);
+        const blocked = this.attemptBlocked(attemptKeys);
+        if (blocked) {
+            this.showAuthResult('error', 'Locked Out', blocked);
+            return;
+        }
+
+        console.log('🔐 Starting gesture authentication...');
+
+        try {
+            const challenge = await this.createLivenessChallenge(this.currentUser);
+
+            // Capture the attempt from the auth camera
+            this.showAuthResult('processing', 'Recording...', `Start at the ${challenge.start.label} dot, then draw your air signature!`);
+            const attempt = await this.captureAuthTrajectory(this.config.authCaptureDuration, 'auth', challenge.start);
+            this.authTrajectory = attempt.trajectory;
+
+            // Show loading state
+            this.showAuthResult('processing', 'Processing...', 'Analyzing your gesture...');
+
+            const sample = this.authTrajectory;
+            const templates = this.getTemplates(this.currentUser);
+
+            if (!sample || sample.length < 2) {
+                this.showAuthResult('error', 'Authentication Failed', 'No gesture was captured. Draw your signature in front of the camera and try again.');
+                this.addAuditEntry('Air Signature', false, 'No gesture captured');
+                return;
+            }
+
+            if (templates.length === 0 && !this.currentUser.serverAccount) {
+                this.showAuthResult('error', 'Authentication Failed', 'Your enrolled signatures contain no trajectory data. Please re-enroll.');
+                this.addAuditEntry('Air Signature', false, 'No enrolled trajectories');
+                return;
+            }
+
+            const result = await this.verifySample(attempt, challenge);
+            this.recognizeGesture(result, sample);
+
+            if (result.decision === 'accept') {
+                this.clearAttempts(['airsign'], this.currentUser.username);
+            } else {
+                const status = this.recordFailedAttempt(attemptKeys, this.currentUser.serverAccount ? null : this.currentUser);
+                if (status.lockedOut) this.showAuthResult('error', 'Locked Out', this.attemptLimiter.describe(status));
+            }
+
+            if (result.decision === 'accept' && (result.duress || result.restricted)) {
+                if (result.duress) this.recordDuress(this.currentUser, result, 'Air Signature');
+                await this.restrictSession();
+            }
+
+            // The server keeps its own templates; only locally verified samples adapt the local ones,
+            // and never with a sample of the duress gesture
+            if (result.decision === 'accept' && result.verifiedBy === 'local' && !result.duress) {
+                this.adaptTemplates(this.currentUser, sample, result);
+            }
+        } catch (error) {
+            console.error('Authentication error:', error);
+            if (error.name === 'CameraLostError') {
+                this.showAuthResult('error', 'Camera Disconnected', error.message);
+                return;
+            }
+            if (error.status === 429) {
+                this.showAuthResult('error', 'Locked Out', error.message);
+                return;
+            }
+            this.showAuthResult('error', 'Authentication Failed', error instanceof ApiError
+                ? `The AirAuth server could not verify your signature: ${error.message}`
+                : 'An error occurred during authentication.');
+            this.addAuditEntry('Air Signature', false, error instanceof ApiError ? 'Server verification failed' : 'System error');
+        }
+    }
+
+    /**
+     * Accounts held by the server are verified there and only there: a decision
+     * made in the browser could be changed from devtools, so there is no local
+     * fallback for them. On a match the server also issues the new session.
+     * Device-only accounts, the only kind without apiBaseUrl, are verified
+     * locally: nothing protects that decision from someone at the device.
+     */
+    async verifySample(attempt, challenge) {
+        if (this.currentUser.serverAccount) {
+            const { token, session, ...result } = await this.api.verify(attempt, challenge.challenge);
+            if (token) this.setServerToken(token);
+
+            return { ...result, restricted: Boolean(session && session.restricted), verifiedBy: 'server' };
+        }
+
+        return this.verifyLocally(this.currentUser, { ...attempt, start: challenge.start });
+    }
+
+    verifyLocally(user, attempt) {
+        const checks = this.livenessChecker.check(attempt, user.recentAttempts || []);
+        this.rememberAttempt(user, attempt.trajectory);
+
+        if (checks.some(check => !check.passed)) {
+            return { ...this.livenessChecker.reject(checks), verifiedBy: 'local' };
+        }
+
+        const result = GestureCredentials.match(user, attempt.trajectory, () => this.createRecognizer());
+        return { ...result, liveness: checks, verifiedBy: 'local' };
+    }
+
+    /**
+     * Nonce and start dot for the next attempt. Server accounts get both from
+     * the server, which checks the attempt against them; device-only accounts
+     * only need the dot.
+     */
+    async createLivenessChallenge(user) {
+        if (!user.serverAccount) {
+            return { challenge: null, start: this.livenessChecker.createChallenge() };
+        }
+
+        // A step-up login has no session yet; its step-up token stands in for one
+        const signedIn = this.isServerSession() || Boolean(this.pendingLogin && this.pendingLogin.stepUpToken);
+        if (!signedIn) {
+            throw new ApiError('You are not signed in to the server. Please log in again while it is reachable.', 401);
+        }
+
+        return this.api.challenge(user.username);
+    }
+
+    // Limiter keys for an attempt at one factor of an account from this device
+    attemptKeys(kind, username) {
+        return [`${kind}:${username.toLowerCase()}`, `device:${this.getDeviceId()}`];
+    }
+
+    /**
+     * Lift the account's counters for the factors a success proves. The
+     * device key is shared by every account, so it is left to run out its
+     * window: signing in to one account must not reset the limit on guesses
+     * at the others.
+     */
+    clearAttempts(kinds, username) {
+        this.attemptLimiter.reset(kinds.map(kind => `${kind}:${username.toLowerCase()}`));
+    }
+
+    // Message to show when the limiter holds an attempt back, otherwise null
+    attemptBlocked(keys) {
+        const status = this.attemptLimiter.status(keys);
+        return status.allowed ? null : this.attemptLimiter.describe(status);
+    }
+
+    /**
+     * Count a failed attempt. A lockout it starts goes straight into the
+     * user's history when that is readable; otherwise recordLockouts() adds
+     * it at their next sign-in.
+     */
+    recordFailedAttempt(keys, user = null) {
+        const status = this.attemptLimiter.recordFailure(keys);
+        if (status.lockedOut && user) this.recordLockouts(user);
+        return status;
+    }
+
+    recordLockouts(user) {
+        const methods = { password: 'Password Login', airsign: 'Air Signature', passkey: 'Password + Passkey' };
+
+        Object.keys(methods).forEach(kind => {
+            this.attemptLimiter.takeLockouts(`${kind}:${user.username.toLowerCase()}`).forEach(lockout => {
+                this.addAuditEntry(methods[kind], false,
+                    `Locked out for ${Math.ceil((lockout.until - lockout.at) / 60000)} min after ${lockout.failures} failed attempts`,
+                    { kind: 'lockout', timestamp: new Date(lockout.at).toISOString() }, user);
+            });
+        });
+    }
+
+    // Random per-browser id, so repeated failures across accounts are counted together
+    getDeviceId() {
+        let deviceId = localStorage.getItem('airauth_device_id');
+        if (!deviceId) {
+            deviceId = CryptoUtils.toBase64Url(CryptoUtils.randomBytes(16));
+            localStorage.setItem('airauth_device_id', deviceId);
+        }
+        return deviceId;
+    }
+
+    // Profile text for the { password, airsign, passkey } limiter statuses of an account
+    describeLockouts(lockouts) {
+        const labels = { password: 'Password', airsign: 'Air signature', passkey: 'Passkey' };
+        const active = Object.keys(labels).filter(kind => lockouts[kind] && !lockouts[kind].allowed);
+
+        if (active.length === 0) return 'None';
+        return active.map(kind => {
+            const status = lockouts[kind];
+            const minutes = Math.ceil(status.retryAfter / 60000);
+            return `${labels[kind]} ${status.lockedOut ? `locked out (${minutes} min left)` : 'backing off'}`;
+        }).join(', ');
+    }
+
+    // Lockout state this device holds for an account
+    localLockouts(user) {
+        const account = user.username.toLowerCase();
+        return {
+            password: this.attemptLimiter.status([`password:${account}`]),
+            airsign: this.attemptLimiter.status([`airsign:${account}`]),
+            passkey: this.attemptLimiter.status([`passkey:${account}`])
+        };
+    }
+
+    // Keep the latest attempts so a recorded one cannot simply be sent again
+    rememberAttempt(user, trajectory) {
+        user.recentAttempts = [...(user.recentAttempts || []), trajectory].slice(-this.config.liveness.historySize);
+        this.saveUserData();
+    }
+
+    // One line listing every liveness check and whether it passed
+    describeLiveness(checks) {
+        if (!checks || checks.length === 0) return '';
+        return `Liveness: ${checks.map(check => `${check.label} ${check.passed ? '✓' : '✗'}`).join(', ')}.`;
+    }
+
+    // History detail for an accepted attempt, naming the gesture that matched
+    describeMatch(result) {
+        return result.gesture ? `${result.score}% similarity with "${result.gesture.name}"` : `${result.score}% similarity`;
+    }
+
+    // The alert for a duress match; hidden entries are kept but never shown on the dashboard
+    recordDuress(user, result, method) {
+        this.addAuditEntry('Duress Alert', false, `Duress gesture "${result.duress.name}" used (${method})`,
+            { kind: 'duress', hidden: true }, user);
+    }
+
+    /**
+     * Swap the session for one carrying the `restricted` claim, which limits
+     * what the dashboard shows. The claim's name says nothing about why.
+     */
+    async restrictSession() {
+        if (!this.session || this.session.restricted) return;
+
+        const { sid, sub, username, iat, exp, ...claims } = this.session;
+        this.sessionManager.revoke(sid);
+        await this.startSession(this.currentUser, { ...claims, restricted: true });
+    }
+
+    isRestricted() {
+        return Boolean(this.session && this.session.restricted);
+    }
+
+    // History detail for a rejected attempt
+    describeRejection(result) {
+        const failed = (result.liveness || []).filter(check => !check.passed);
+        if (failed.length > 0) {
+            return `Liveness check failed (${failed.map(check => check.label.toLowerCase()).join(', ')})`;
+        }
+        return `Low similarity (${result.score}%)`;
+    }
+
+    // Record an attempt with the start dot shown over the camera feed
+    async captureAuthTrajectory(duration, context = 'auth', start = null) {
+        if (start) this.showLivenessTarget(context, start);
+        this.startTracking(context);
+        await this.delay(duration);
+
+        const motion = this.tracker ? this.tracker.motion.slice() : [];
+        const trajectory = this.stopTracking();
+        this.hideLivenessTarget();
+
+        // Lost mid-attempt: what was tracked is incomplete and must not count as a try
+        if (!this.webcamStream) {
+            const error = new Error('The camera was disconnected during the attempt. Reconnect it or choose another camera, then try again.');
+            error.name = 'CameraLostError';
+            throw error;
+        }
+
+        return { trajectory, motion };
+    }
+
+    showLivenessTarget(context, start) {
+        const container = this.getVideoElement(context).parentElement;
+        if (!container) return;
+
+        this.hideLivenessTarget();
+
+        const target = document.createElement('div');
+        target.className = 'liveness-target';
+        target.style.left = `${start.x * 100}%`;
+        target.style.top = `${start.y * 100}%`;
+        container.appendChild(target);
+    }
+
+    hideLivenessTarget() {
+        document.querySelectorAll('.liveness-target').forEach(target => target.remove());
+    }
+
+    createRecognizer() {
+        const { recognizer, recognizerOptions } = this.config;
+
+        if (typeof recognizer === 'object' && recognizer !== null) {
+            return recognizer;
+        }
+
+        const factory = RECOGNIZERS[recognizer];
+        if (!factory) {
+            throw new Error(`Unknown recognizer "${recognizer}"`);
+        }
+
+        return factory(recognizerOptions);
+    }
+
+    recognizeGesture(result, sample = null) {
+        const reasons = result.reasons.join(' ');
+
+        const liveness = this.describeLiveness(result.liveness);
+
+        if (result.decision === 'accept') {
+            this.showAuthResult('success', 'Authentication Successful!', 
+                `${reasons} ${liveness} Welcome, ${this.currentUser.username}!`);
+            this.addAuditEntry('Air Signature', true, this.describeMatch(result), sample ? { trajectory: sample } : {});
+            this.showNotification(result.gesture
+                ? `🎉 Authentication successful with your "${result.gesture.name}" gesture!`
+                : '🎉 Authentication successful!', 'success');
+        } else {
+            this.showAuthResult('error', 'Authentication Failed', 
+                `${reasons} ${liveness} Please try again.`);
+            this.addAuditEntry('Air Signature', false, this.describeRejection(result), sample ? { trajectory: sample } : {});
+            this.showNotification('❌ Authentication failed. Please try again.', 'error');
+        }
+
+        return result;
+    }
+
+    /**
+     * Fold a high-confidence sample into the user's templates, replacing the
+     * oldest one. Samples that have drifted too far from the signatures given
+     * at enrollment are ignored so templates cannot wander off over time.
+     */
+    adaptTemplates(user, sample, result) {
+        const policy = this.config.templateAdaptation;
+        if (!policy.enabled || result.score < policy.minScore) return null;
+
+        const recognizer = this.createRecognizer();
+        if (typeof recognizer.templateDistance !== 'function') return null;
+
+        const gesture = result.gesture && GestureCredentials.find(user, result.gesture.id);
+        if (!gesture) return null;
+
+        if (!gesture.enrollmentTemplates) {
+            gesture.enrollmentTemplates = this.getTemplates(user, gesture.id);
+        }
+
+        const drift = gesture.enrollmentTemplates
+            .reduce((sum, template) => sum + recognizer.templateDistance(sample, template), 0) / gesture.enrollmentTemplates.length;
+
+        if (drift > policy.maxDrift) {
+            console.log(`🧭 Skipping template adaptation, drift ${drift.toFixed(3)} exceeds ${policy.maxDrift}`);
+            return null;
+        }
+
+        // Rolling replacement: the gesture's oldest template makes way for the new sample
+        const replaced = GestureCredentials.signatures(user, gesture.id).reduce((oldest, signature) =>
+            new Date(signature.timestamp) < new Date(oldest.timestamp) ? signature : oldest);
+        const oldestIndex = user.signatures.indexOf(replaced);
+
+        const adapted = {
+            id: Date.now().toString(),
+            gestureId: gesture.id,
+            trajectory: sample,
+            timestamp: new Date().toISOString(),
+            duration: sample[sample.length - 1].t - sample[0].t,
+            source: 'adaptation',
+            score: result.score
+        };
+        user.signatures[oldestIndex] = adapted;
+
+        this.storeSignature(user, adapted)
+            .then(() => this.signatureStore.delete(user.id, replaced.id))
+            .catch(error => console.error('Failed to update stored signatures:', error));
+        if (replaced.videoUrl) URL.revokeObjectURL(replaced.videoUrl);
+
+        this.calibrateThreshold(user, gesture);
+
+        this.addAuditEntry('Template Adaptation', true,
+            `Replaced "${gesture.name}" signature from ${new Date(replaced.timestamp).toLocaleString()} (${result.score}% match, drift ${drift.toFixed(3)})`, {
+                kind: 'adaptation',
+                replacedTemplate: {
+                    id: replaced.id,
+                    gestureId: gesture.id,
+                    timestamp: replaced.timestamp,
+                    source: replaced.source || 'enrollment',
+                    trajectory: replaced.trajectory
+                }
+            });
+
+        console.log(`🔁 Adapted templates for ${user.username}, replaced signature ${replaced.id}`);
+        return replaced;
+    }
+
+    showAuthResult(type, message, details) {
+        const resultCard = document.getElementById('auth-result');
+        const resultIcon = resultCard.querySelector('.result-icon');
+        const resultMessage = resultCard.querySelector('.result-message');
+        const resultDetails = resultCard.querySelector('.result-details');
+
+        if (resultCard) {
+            resultCard.className = `result-card ${type}`;
+            resultCard.classList.remove('hidden');
+        }
+
+        if (resultIcon) {
+            resultIcon.className = `result-icon ${type}`;
+        }
+
+        if (resultMessage) {
+            resultMessage.textContent = message;
+            resultMessage.className = `result-message ${type}`;
+        }
+
+        if (resultDetails) {
+            resultDetails.textContent = details;
+        }
+    }
+
+    resetAuthTest() {
+        console.log('🔄 Resetting authentication test...');
+
+        this.stopCamera();
+        this.ensureCameraPicker('auth');
+        this.authTrajectory = null;
+        this.updateControlStates('auth', 'initial');
+
+        const resultCard = document.getElementById('auth-result');
+        if (resultCard) {
+            resultCard.classList.add('hidden');
+        }
+    }
+
+    // ==========================================================================
+    // Dashboard Management
+    // ==========================================================================
+
+    updateDashboard() {
+        if (!this.currentUser) {
+            this.showNotification('Please log in to access dashboard', 'error');
+            this.showPage('login');
+            return;
+        }
+
+        console.log('📊 Updating dashboard...');
+
+        // Update profile information
+        this.updateProfileInfo();
+        this.updateGestureList();
+        this.limitDashboard();
+
+        // Update statistics
+        this.updateAuthStats();
+
+        // Update history table
+        this.updateAuthHistoryTable();
+
+        // The server's history also covers attempts made from other devices, and the server checks its chain
+        if (this.isServerSession()) {
+            this.api.history()
+                .then(({ history, lockouts, integrity }) => {
+                    if (!this.currentUser) return;
+                    this.updateAuthStats(history);
+                    this.updateAuthHistoryTable(history);
+                    if (lockouts) this.setProfileField('profile-lockout', 'Lockout', this.describeLockouts(lockouts));
+                    if (integrity) this.showAuditIntegrity(integrity);
+                    this.limitDashboard();
+                })
+                .catch(error => console.warn('Could not load server history:', error.message));
+        } else {
+            this.checkAuditLog();
+        }
+    }
+
+    // Verifies the local audit log once pending entries are chained and saved
+    async checkAuditLog() {
+        const user = this.currentUser;
+        await this.pendingSave;
+        if (!user || user !== this.currentUser || this.currentPage !== 'dashboard') return;
+
+        try {
+            this.showAuditIntegrity(await AuditLog.verify(this.auditLog(user)));
+        } catch (error) {
+            console.warn('Could not verify the audit log:', error.message);
+        }
+        this.limitDashboard();
+    }
+
+    showAuditIntegrity(integrity) {
+        const status = this.setProfileField('profile-audit', 'Audit Log', integrity.intact
+            ? `✅ Intact (${integrity.checked} entr${integrity.checked === 1 ? 'y' : 'ies'} verified)`
+            : `⚠️ Broken at entry ${integrity.brokenAt}: ${integrity.reason}`);
+        if (status) status.style.color = integrity.intact ? '' : '#ef4444';
+
+        if (!integrity.intact) console.warn(`🔗 Audit log chain broken at entry ${integrity.brokenAt}: ${integrity.reason}`);
+    }
+
+    updateProfileInfo() {
+        const usernameElement = document.getElementById('profile-username');
+        const emailElement = document.getElementById('profile-email');
+        const enrollmentElement = document.getElementById('profile-enrollment');
+        const signaturesElement = document.getElementById('profile-signatures');
+
+        if (usernameElement) usernameElement.textContent = this.currentUser.username;
+        if (emailElement) emailElement.textContent = this.currentUser.email;
+
+        if (enrollmentElement) {
+            enrollmentElement.textContent = this.currentUser.enrollmentComplete ? 'Enrolled' : 'Not Enrolled';
+            enrollmentElement.className = `status-badge ${this.currentUser.enrollmentComplete ? 'enrolled' : 'not-enrolled'}`;
+        }
+
+        if (signaturesElement) {
+            const gestures = this.currentUser.gestures || [];
+            signaturesElement.textContent = `${this.currentUser.signatures.length} (${GestureCredentials.enrolled(this.currentUser).length}/${gestures.length} gestures enrolled)`;
+        }
+
+        this.setProfileField('profile-step-up', 'Air Signature at Login', this.currentUser.requireAirSignature ? 'Required' : 'Not required');
+        this.setProfileField('profile-passkeys', 'Passkeys', this.describePasskeys(this.currentUser.passkeys));
+
+        if (this.session) {
+            const activeSessions = this.sessionManager.list(this.currentUser.id).length;
+            this.setProfileField('profile-factors', 'Signed In With', this.describeFactors(this.session.factors || ['password']));
+            this.setProfileField('profile-session', 'Session Expires', new Date(this.session.exp).toLocaleString());
+            this.setProfileField('profile-active-sessions', 'Active Sessions', activeSessions);
+        }
+
+        this.setProfileField('profile-lockout', 'Lockout', this.describeLockouts(this.localLockouts(this.currentUser)));
+
+        this.setProfileField('profile-storage', 'Account Storage',
+            this.isServerSession() ? `Server (${this.api.baseUrl})` : 'This device only');
+
+        const stepUpButton = this.addProfileAction('step-up-btn', '', 'btn btn-outline',
+            () => this.setAirSignatureRequired(!this.currentUser.requireAirSignature));
+        if (stepUpButton) {
+            stepUpButton.textContent = this.currentUser.requireAirSignature
+                ? 'Stop Requiring Air Signature at Login'
+                : 'Require Air Signature at Login';
+        }
+
+        this.addProfileAction('sign-out-all-btn', 'Sign Out All Sessions', 'btn btn-outline', () => this.signOutAllSessions());
+        this.addProfileAction('recovery-codes-btn', 'New Recovery Codes', 'btn btn-outline', () => this.regenerateRecoveryCodes());
+        if (Passkeys.isSupported()) this.addProfileAction('add-passkey-btn', 'Add a Passkey', 'btn btn-outline', () => this.addPasskey());
+        this.addProfileAction('replay-btn', 'Replay Signatures', 'btn btn-outline', () => this.showReplay());
+        this.addProfileAction('export-btn', 'Export Enrollment', 'btn btn-outline', () => this.showExportEnrollment());
+    }
+
+    // Per-user step-up: ask for the air signature after the password on every login
+    async setAirSignatureRequired(required) {
+        if (required && !this.currentUser.enrollmentComplete) {
+            this.showNotification('Please complete enrollment before requiring your air signature at login.', 'error');
+            return;
+        }
+
+        if (this.currentUser.serverAccount) {
+            try {
+                await this.api.updateSettings({ requireAirSignature: required });
+            } catch (error) {
+                console.error('Failed to update login settings:', error);
+                this.showNotification(`Could not update your login settings: ${error.message}`, 'error');
+                return;
+            }
+        }
+
+        this.currentUser.requireAirSignature = required;
+        this.addAuditEntry('Settings', true, required ? 'Air signature required at login' : 'Air signature no longer required at login',
+            { kind: 'settings' });
+        this.updateProfileInfo();
+        this.showNotification(required
+            ? 'Your air signature will now be required after your password.'
+            : 'Your password alone will now sign you in.', 'success');
+    }
+
+    /**
+     * A restricted session (signed in with a duress gesture) sees the same
+     * dashboard at a glance, minus account details and every control that
+     * would change the account or reveal its gestures.
+     */
+    limitDashboard() {
+        const restricted = this.isRestricted();
+
+        ['gesture-card', 'step-up-btn', 'sign-out-all-btn', 'recovery-codes-btn', 'add-passkey-btn', 'replay-btn', 'export-btn'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.classList.toggle('hidden', restricted);
+        });
+
+        ['profile-email', 'profile-signatures', 'profile-passkeys', 'profile-active-sessions', 'profile-lockout', 'profile-storage', 'profile-audit'].forEach(id => {
+            const element = document.getElementById(id);
+            const field = element && element.closest('.profile-field');
+            if (field) field.classList.toggle('hidden', restricted);
+        });
+    }
+
+    // Card listing the user's gestures with their thresholds, added to the dashboard on first use
+    updateGestureList() {
+        if (this.isRestricted()) return;
+
+        let card = document.getElementById('gesture-card');
+
+        if (!card) {
+            const grid = document.querySelector('.dashboard-grid');
+            if (!grid) return;
+
+            card = document.createElement('div');
+            card.id = 'gesture-card';
+            card.className = 'dashboard-card';
+            card.innerHTML = `
+                <h3><i class="fas fa-hand-paper"></i> Gestures</h3>
+                <div class="history-table-container">
+                    <table class="history-table">
+                        <thead>
+                            <tr><th>Name</th><th>Signatures</th><th>Threshold</th><th>Actions</th></tr>
+                        </thead>
+                        <tbody id="gesture-list-body"></tbody>
+                    </table>
+                </div>
+                <div class="gesture-actions">
+                    <button type="button" id="add-gesture-btn" class="btn btn-outline"><i class="fas fa-plus"></i> Add Gesture</button>
+                </div>
+            `;
+            card.querySelector('#add-gesture-btn').addEventListener('click', () => this.showGestureDialog('add'));
+            grid.appendChild(card);
+        }
+
+        const tbody = card.querySelector('#gesture-list-body');
+        tbody.innerHTML = '';
+
+        (this.currentUser.gestures || []).forEach(gesture => {
+            const row = tbody.insertRow();
+            const count = GestureCredentials.signatures(this.currentUser, gesture.id).length;
+
+            // Names are user input, so they only ever go in as text
+            row.insertCell().textContent = gesture.duress ? `${gesture.name} (duress)` : gesture.name;
+            row.insertCell().textContent = gesture.enrollmentComplete ? `${count}/5` : `${count}/5 (not enrolled)`;
+
+            const profile = gesture.matchProfile;
+            const thresholdCell = row.insertCell();
+            thresholdCell.textContent = profile ? `${profile.acceptScore}%` : 'Default';
+            if (profile) {
+                thresholdCell.title = `Distance ≤ ${profile.threshold.toFixed(3)}, spread ${profile.meanDistance.toFixed(3)} ± ${profile.stdDistance.toFixed(3)} (max ${profile.maxDistance.toFixed(3)})`;
+            }
+
+            const actionsCell = row.insertCell();
+            actionsCell.className = 'gesture-row-actions';
+            [
+                ['Enroll', () => this.enrollGesture(gesture.id)],
+                ['Rename', () => this.showGestureDialog('rename', gesture)],
+                ['Delete', () => this.showGestureDialog('delete', gesture)]
+            ].forEach(([label, handler]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-outline';
+                button.textContent = label;
+                button.addEventListener('click', handler);
+                actionsCell.appendChild(button);
+            });
+        });
+    }
+
+    enrollGesture(gestureId) {
+        this.enrollmentGestureId = gestureId;
+        this.showPage('enrollment');
+    }
+
+    // Name form for adding or renaming a gesture, or the confirmation for deleting one
+    showGestureDialog(mode, gesture = null) {
+        const titles = { add: 'Add a Gesture', rename: 'Rename Gesture', delete: 'Delete Gesture' };
+        const modal = this.getModal('gesture-modal', titles[mode]);
+        const body = modal.querySelector('.modal-body');
+        modal.querySelector('.modal-header h3').textContent = titles[mode];
+
+        if (mode === 'delete') {
+            const count = GestureCredentials.signatures(this.currentUser, gesture.id).length;
+            body.innerHTML = `
+                <p class="gesture-delete-message"></p>
+                <div class="auth-controls">
+                    <button type="button" class="btn btn-outline" data-action="cancel">Cancel</button>
+                    <button type="button" class="btn btn-primary" data-action="delete">Delete Gesture</button>
+                </div>
+                <div class="status-message error hidden"></div>
+            `;
+            body.querySelector('.gesture-delete-message').textContent =
+                `Delete "${gesture.name}" and its ${count} signatures? It will no longer sign you in.`;
+            body.querySelector('[data-action="cancel"]').addEventListener('click', () => this.hideModal(modal));
+            body.querySelector('[data-action="delete"]').addEventListener('click', () =>
+                this.runGestureChange(modal, () => this.deleteGesture(gesture), `"${gesture.name}" deleted.`));
+        } else {
+            body.innerHTML = `
+                <form id="gesture-form">
+                    <div class="form-group">
+                        <label for="gesture-name">Gesture Name</label>
+                        <input type="text" id="gesture-name" name="name" maxlength="${GestureCredentials.maxNameLength}" placeholder="e.g. Left hand" required>
+                        <span class="form-error"></span>
+                    </div>
+                    ${mode === 'add' && this.currentUser.serverAccount ? `
+                    <label class="checkbox-container">
+                        <input type="checkbox" name="duress"> Duress gesture: signs in as usual, but quietly limits the session and raises an alert
+                    </label>` : ''}
+                    <button type="submit" class="btn btn-primary btn-full">${mode === 'add' ? 'Add and Enroll' : 'Save Name'}</button>
+                </form>
+            `;
+            const form = body.querySelector('#gesture-form');
+            if (gesture) form.elements.name.value = gesture.name;
+
+            form.addEventListener('submit', event => {
+                event.preventDefault();
+                const name = form.elements.name.value;
+                if (mode === 'add') {
+                    const duress = Boolean(form.elements.duress && form.elements.duress.checked);
+                    this.runGestureChange(modal, () => this.addGesture(name, duress), null)
+                        .then(added => { if (added) this.enrollGesture(added.id); });
+                } else {
+                    this.runGestureChange(modal, () => this.renameGesture(gesture, name), 'Gesture renamed.');
+                }
+            });
+        }
+
+        this.showModal(modal);
+    }
+
+    // Apply a gesture change from the dialog, keeping the dialog open with the error if it fails
+    async runGestureChange(modal, change, successMessage) {
+        let result;
+        try {
+            result = await change();
+        } catch (error) {
+            const errorElement = modal.querySelector('.form-error, .status-message');
+            errorElement.textContent = error.message;
+            errorElement.classList.remove('hidden');
+            return null;
+        }
+
+        this.saveUserData();
+        this.hideModal(modal);
+        this.updateDashboard();
+        if (successMessage) this.showNotification(successMessage, 'success');
+        return result;
+    }
+
+    // Gestures of server accounts are changed on the server, which then holds the authoritative copy
+    requireServerForGestures(user) {
+        if (user.serverAccount && !this.isServerSession()) {
+            throw new Error('This account\'s gestures are kept by the AirAuth server. Please sign in again while it is reachable.');
+        }
+    }
+
+    async addGesture(name, duress = false) {
+        const user = this.currentUser;
+        const problem = GestureCredentials.validateName(user, name);
+        if (problem) throw new Error(problem);
+        this.requireServerForGestures(user);
+
+        // The server raises a duress alert where its operator sees it; on a device-only account
+        // it could only be hidden in the history of the session it restricts
+        if (duress && !user.serverAccount) {
+            throw new Error('Duress gestures need an account on the AirAuth server, which raises their alert.');
+        }
+
+        const gesture = user.serverAccount
+            ? (await this.api.createGesture(name.trim(), duress)).gesture
+            : GestureCredentials.create(name.trim(), duress);
+
+        user.gestures.push(gesture);
+        this.addAuditEntry('Gesture', true, `${duress ? 'Duress gesture' : 'Gesture'} "${gesture.name}" added`, this.gestureAuditFields(gesture), user);
+        console.log(`✋ Added ${duress ? 'duress ' : ''}gesture "${gesture.name}" for ${user.username}`);
+        return gesture;
+    }
+
+    async renameGesture(gesture, name) {
+        const user = this.currentUser;
+        const problem = GestureCredentials.validateName(user, name, gesture.id);
+        if (problem) throw new Error(problem);
+        this.requireServerForGestures(user);
+
+        if (user.serverAccount) await this.api.renameGesture(gesture.id, name.trim());
+        this.addAuditEntry('Gesture', true, `"${gesture.name}" renamed to "${name.trim()}"`, this.gestureAuditFields(gesture), user);
+        gesture.name = name.trim();
+        return gesture;
+    }
+
+    async deleteGesture(gesture) {
+        const user = this.currentUser;
+        if (user.gestures.length === 1) {
+            throw new Error('Your account needs at least one gesture. Add another before deleting this one.');
+        }
+        this.requireServerForGestures(user);
+
+        if (user.serverAccount) await this.api.deleteGesture(gesture.id);
+
+        GestureCredentials.signatures(user, gesture.id).forEach(signature => {
+            if (signature.videoUrl) URL.revokeObjectURL(signature.videoUrl);
+            this.signatureStore.delete(user.id, signature.id)
+                .catch(error => console.error('Failed to delete stored signature:', error));
+        });
+        user.signatures = user.signatures.filter(signature => signature.gestureId !== gesture.id);
+        user.gestures = user.gestures.filter(entry => entry.id !== gesture.id);
+        GestureCredentials.refresh(user);
+        if (this.enrollmentGestureId === gesture.id) this.enrollmentGestureId = null;
+        this.addAuditEntry('Gesture', true, `"${gesture.name}" deleted with its signatures`, this.gestureAuditFields(gesture), user);
+
+        console.log(`🗑️ Deleted gesture "${gesture.name}" for ${user.username}`);
+        return gesture;
+    }
+
+    // Add a button to the profile card's actions once, returning it
+    addProfileAction(id, label, className, handler) {
+        const existing = document.getElementById(id);
+        if (existing) return existing;
+
+        const actions = document.querySelector('.profile-actions');
+        if (!actions) return null;
+
+        const button = document.createElement('button');
+        button.id = id;
+        button.type = 'button';
+        button.className = className;
+        button.textContent = label;
+        button.addEventListener('click', handler);
+        actions.appendChild(button);
+        return button;
+    }
+
+    // Fill a profile field, adding it to the profile card if the markup lacks it
+    setProfileField(id, label, text) {
+        let valueElement = document.getElementById(id);
+
+        if (!valueElement) {
+            const profileInfo = document.querySelector('.profile-info');
+            if (!profileInfo) return null;
+
+            const field = document.createElement('div');
+            field.className = 'profile-field';
+
+            const labelElement = document.createElement('label');
+            labelElement.textContent = label;
+
+            valueElement = document.createElement('span');
+            valueElement.id = id;
+
+            field.append(labelElement, valueElement);
+            profileInfo.appendChild(field);
+        }
+
+        valueElement.textContent = text;
+        return valueElement;
+    }
+
+    updateAuthStats(history = this.auditLog(this.currentUser).entries) {
+        // Entries with a `kind` (e.g. template adaptations) are events, not attempts
+        const attempts = history.filter(entry => !entry.kind);
+        const totalAttempts = attempts.length;
+        const successfulAuths = attempts.filter(entry => entry.success).length;
+        const successRate = totalAttempts > 0 ? Math.round((successfulAuths / totalAttempts) * 100) : 0;
+
+        const totalElement = document.getElementById('total-attempts');
+        const successfulElement = document.getElementById('successful-auths');
+        const rateElement = document.getElementById('success-rate');
+
+        if (totalElement) totalElement.textContent = totalAttempts;
+        if (successfulElement) successfulElement.textContent = successfulAuths;
+        if (rateElement) rateElement.textContent = `${successRate}%`;
+    }
+
+    updateAuthHistoryTable(entries = this.auditLog(this.currentUser).entries) {
+        const tbody = document.getElementById('auth-history-body');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+
+        // Duress alerts are recorded but never shown, so whoever is looking cannot see them
+        const history = entries.filter(entry => !entry.hidden).slice(-10).reverse(); // Show last 10, most recent first
+
+        if (history.length === 0) {
+            const row = tbody.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 4;
+            cell.className = 'no-data';
+            cell.textContent = 'No authentication history available';
+            return;
+        }
+
+        history.forEach(entry => {
+            const row = tbody.insertRow();
+
+            // Date & Time
+            const dateCell = row.insertCell();
+            const date = new Date(entry.timestamp);
+            dateCell.textContent = date.toLocaleString();
+
+            // Method
+            const methodCell = row.insertCell();
+            methodCell.textContent = entry.method;
+
+            // Result
+            const resultCell = row.insertCell();
+            if (entry.kind === 'lockout') {
+                resultCell.textContent = '🔒 Locked out';
+                resultCell.style.color = '#f59e0b';
+            } else {
+                resultCell.textContent = entry.success ? '✅ Success' : '❌ Failed';
+                resultCell.style.color = entry.success ? '#10b981' : '#ef4444';
+            }
+
+            // Details
+            const detailsCell = row.insertCell();
+            detailsCell.textContent = entry.details || '-';
+
+            // Attempts that kept their trajectory open in the replay viewer
+            if (entry.trajectory && !this.isRestricted()) {
+                const replayButton = document.createElement('button');
+                replayButton.type = 'button';
+                replayButton.className = 'btn btn-outline replay-btn';
+                replayButton.innerHTML = '<i class="fas fa-play"></i> Replay';
+                replayButton.addEventListener('click', () => this.showReplay(entry));
+                detailsCell.append(' ', replayButton);
+            }
+        });
+    }
+
+    // ==========================================================================
+    // Signature Replay
+    // ==========================================================================
+
+    /**
+     * Replays an enrolled signature or a stored attempt, overlaid on the
+     * enrolled signature it comes closest to (or one picked by hand) with the
+     * points that strayed from it in red. `entry` is a history entry with a
+     * trajectory, shown first; without one the viewer starts on the first
+     * enrolled signature.
+     */
+    showReplay(entry = null) {
+        if (this.isRestricted()) return;
+
+        const items = this.replayItems(entry);
+        if (items.length === 0) {
+            this.showNotification('There are no signatures to replay yet.', 'info');
+            return;
+        }
+
+        const modal = this.getModal('replay-modal', 'Signature Replay');
+        const body = modal.querySelector('.modal-body');
+
+        if (!body.querySelector('#replay-canvas')) {
+            body.innerHTML = `
+                <div class="form-group">
+                    <label for="replay-subject">Replay</label>
+                    <select id="replay-subject" class="form-control"></select>
+                </div>
+                <div class="form-group">
+                    <label for="replay-reference">Compare With</label>
+                    <select id="replay-reference" class="form-control"></select>
+                </div>
+                <canvas id="replay-canvas" class="replay-canvas"></canvas>
+                <p id="replay-summary" class="replay-summary"></p>
+                <div class="auth-controls">
+                    <button type="button" class="btn btn-primary" data-action="play"><i class="fas fa-play"></i> Replay</button>
+                </div>
+            `;
+
+            this.replayViewer = new TrajectoryReplay(body.querySelector('#replay-canvas'));
+            body.querySelector('#replay-subject').addEventListener('change', () => this.renderReplay(true));
+            body.querySelector('#replay-reference').addEventListener('change', () => this.renderReplay(true));
+            body.querySelector('[data-action="play"]').addEventListener('click', () => this.replayViewer.play());
+        }
+
+        this.replayEntries = items;
+        const subject = body.querySelector('#replay-subject');
+        const reference = body.querySelector('#replay-reference');
+        subject.innerHTML = '';
+        reference.innerHTML = '';
+        items.forEach(item => subject.add(new Option(item.label, item.id)));
+        reference.add(new Option('Best match', 'best'));
+        reference.add(new Option('Nothing', ''));
+        items.filter(item => item.kind === 'signature').forEach(item => reference.add(new Option(item.label, item.id)));
+
+        this.showModal(modal);
+        this.renderReplay(true);
+    }
+
+    // The attempt (if any) and every enrolled signature, as { id, kind, label, points }
+    replayItems(entry) {
+        const items = [];
+
+        if (entry && entry.trajectory && entry.trajectory.length >= 2) {
+            items.push({
+                id: 'attempt',
+                kind: 'attempt',
+                label: `${entry.method} attempt, ${new Date(entry.timestamp).toLocaleString()} (${entry.success ? 'succeeded' : 'failed'})`,
+                points: entry.trajectory
+            });
+        }
+
+        GestureCredentials.enrolled(this.currentUser).forEach(gesture => {
+            GestureCredentials.signatures(this.currentUser, gesture.id).forEach((signature, index) => {
+                if (!signature.trajectory || signature.trajectory.length < 2) return;
+                items.push({
+                    id: signature.id,
+                    kind: 'signature',
+                    label: `"${gesture.name}" signature ${index + 1}`,
+                    points: signature.trajectory
+                });
+            });
+        });
+
+        return items;
+    }
+
+    // Draw the chosen path against the chosen reference and describe how far apart they are
+    renderReplay(play = false) {
+        const subjectValue = document.getElementById('replay-subject').value;
+        const referenceValue = document.getElementById('replay-reference').value;
+        const summary = document.getElementById('replay-summary');
+        const subject = this.replayEntries.find(item => String(item.id) === subjectValue);
+        if (!subject) return;
+
+        const matcher = new TrajectoryMatcher();
+        const candidates = this.replayEntries.filter(item => item.kind === 'signature' && item !== subject);
+
+        let reference = null;
+        if (referenceValue === 'best' && candidates.length > 0) {
+            reference = candidates[matcher.compare(subject.points, candidates.map(item => item.points)).bestIndex];
+        } else if (referenceValue) {
+            reference = candidates.find(item => String(item.id) === referenceValue) || null;
+        }
+
+        const duration = ((subject.points[subject.points.length - 1].t - subject.points[0].t) / 1000).toFixed(1);
+        let scene;
+
+        if (reference) {
+            const alignment = matcher.align(subject.points, reference.points);
+            const diverged = alignment.diverged.filter(Boolean).length;
+            scene = { path: alignment.sample, reference: alignment.template, diverged: alignment.diverged };
+            summary.textContent = `${referenceValue === 'best' ? 'Closest enrolled signature' : 'Compared with'}: ${reference.label}. ` +
+                `DTW distance ${alignment.distance.toFixed(3)}; ${diverged} of ${alignment.sample.length} points diverged (shown in red). ` +
+                `Drawn in ${duration}s from ${subject.points.length} tracked points.`;
+        } else {
+            scene = { path: matcher.normalize(subject.points) };
+            summary.textContent = `Drawn in ${duration}s from ${subject.points.length} tracked points.`;
+        }
+
+        scene.times = this.replayViewer.timeline(subject.points, scene.path.length);
+        this.replayViewer.show(scene);
+        if (play) this.replayViewer.play();
+    }
+
+    // ==========================================================================
+    // Data Management
+    // ==========================================================================
+
+    /**
+     * airauth_users holds { version: 2, users: [[username, record]] }. Records
+     * keep USER_INDEX_FIELDS in plaintext and everything else AES-GCM encrypted
+     * in record.vault; a record stays locked until its owner signs in. Records
+     * from before encryption stay readable until their owner's next login.
+     */
+    async loadUserData() {
+        try {
+            const savedUsers = localStorage.getItem('airauth_users');
+            const savedSession = localStorage.getItem('airauth_session');
+
+            // Sessions used to be an unsigned flag that never expired
+            localStorage.removeItem('airauth_current_user');
+            localStorage.removeItem('airauth_authenticated');
+
+            if (savedUsers) {
+                const stored = JSON.parse(savedUsers);
+                const entries = Array.isArray(stored) ? stored : stored.users; // Unversioned stores are plain entry arrays
+                this.users = new Map(entries);
+                console.log(`💾 Loaded ${this.users.size} users from storage`);
+            }
+
+            if (savedSession) {
+                const validation = await this.sessionManager.validate(savedSession);
+                const user = validation.valid ? await this.restoreSessionUser(validation.payload) : null;
+
+                if (user && user.id === validation.payload.sub) {
+                    this.currentUser = user;
+                    this.isAuthenticated = true;
+                    this.sessionToken = savedSession;
+                    this.session = validation.payload;
+                    if (this.api) this.api.setToken(localStorage.getItem('airauth_api_token'));
+                    console.log(`👤 Restored session for: ${user.username}`);
+                } else {
+                    console.log(`⌛ Discarded stored session (${validation.reason || 'unknown user'})`);
+                    this.forgetVaultKey();
+                    localStorage.removeItem('airauth_session');
+                    localStorage.removeItem('airauth_api_token');
+                }
+            }
+
+        } catch (error) {
+            console.error('Failed to load user data:', error);
+            this.users = new Map();
+            this.currentUser = null;
+            this.isAuthenticated = false;
+        }
+    }
+
+    // User for a still-valid stored session: the local record, or the server's copy after a passwordless sign-in
+    async restoreSessionUser(payload) {
+        if (payload.passwordless) {
+            const apiToken = localStorage.getItem('airauth_api_token');
+            if (!this.api || !apiToken) return null;
+
+            try {
+                this.api.setToken(apiToken);
+                return await this.loadServerUser((await this.api.me()).user);
+            } catch (error) {
+                console.error('Failed to restore passwordless session:', error);
+                this.api.setToken(null);
+                return null;
+            }
+        }
+
+        const user = this.users.get(payload.username);
+        return user && await this.restoreVault(user) ? user : null;
+    }
+
+    saveUserData() {
+        // Encryption is asynchronous; chain saves so they land in call order
+        this.pendingSave = this.pendingSave.then(() => this.persistUserData());
+        return this.pendingSave;
+    }
+
+    async persistUserData() {
+        try {
+            // Save users map
+            const usersArray = [];
+            for (const [username, user] of this.users) {
+                if (user.auditLog) await AuditLog.seal(user.auditLog);
+                usersArray.push([username, await this.sealUser(user)]);
+            }
+            localStorage.setItem('airauth_users', JSON.stringify({ version: 2, users: usersArray }));
+
+            console.log('💾 User data saved successfully');
+        } catch (error) {
+            console.error('Failed to save user data:', error);
+        }
+    }
+
+    // Storage form of a user: index fields in plaintext, the rest encrypted
+    async sealUser(user) {
+        const key = this.vaultKeys.get(user.username);
+        if (!key) return user; // Still locked, or a legacy plaintext record
+
+        const record = {};
+        const privateData = {};
+        Object.entries(user).forEach(([field, value]) => {
+            if (field === 'vault') return;
+            if (USER_INDEX_FIELDS.includes(field)) {
+                record[field] = value;
+            } else {
+                privateData[field] = value;
+            }
+        });
+
+        // Videos and trajectories live in the signature store; keep only metadata here
+        privateData.signatures = (user.signatures || []).map(({ blob, videoUrl, trajectory, ...metadata }) => metadata);
+
+        user.vault = { ...user.vault, ...(await this.vault.encrypt(key, privateData)) };
+        record.vault = user.vault;
+        return record;
+    }
+
+    async unlockVault(user, password) {
+        let key;
+
+        if (user.vault) {
+            key = await this.vault.unwrapKey(user.vault.keys.password, password);
+            Object.assign(user, await this.vault.decrypt(key, user.vault));
+            this.vaultKeys.set(user.username, key);
+        } else {
+            // First login since encryption was introduced
+            const created = await this.vault.create(password);
+            key = created.key;
+            user.vault = { keys: created.keys };
+            user.emailDigest = await this.vault.digest(user.email);
+            this.vaultKeys.set(user.username, key);
+            console.log(`🔒 Encrypted stored data for ${user.username}`);
+        }
+
+        await this.loadSignatures(user);
+    }
+
+    // Reopen the signed-in user's vault after a reload using the tab's session key
+    async restoreVault(user) {
+        if (!user.vault) return true;
+        if (this.vaultKeys.has(user.username)) return true;
+
+        const savedKey = sessionStorage.getItem('airauth_vault_key');
+        if (!savedKey) return false;
+
+        try {
+            const key = await this.vault.importKey(savedKey);
+            Object.assign(user, await this.vault.decrypt(key, user.vault));
+            this.vaultKeys.set(user.username, key);
+            await this.loadSignatures(user);
+            return true;
+        } catch (error) {
+            console.error('Failed to restore vault:', error);
+            return false;
+        }
+    }
+
+    // Drop a user's decrypted fields from memory, leaving only the index and ciphertext
+    lockVault(user) {
+        if (!user.vault || !this.vaultKeys.has(user.username)) return;
+
+        (user.signatures || []).forEach(signature => {
+            if (signature.videoUrl) URL.revokeObjectURL(signature.videoUrl);
+        });
+
+        Object.keys(user).forEach(field => {
+            if (field !== 'vault' && !USER_INDEX_FIELDS.includes(field)) {
+                delete user[field];
+            }
+        });
+        this.vaultKeys.delete(user.username);
+    }
+
+    // Write a signature's video and trajectory to IndexedDB, encrypted with the user's data key
+    async storeSignature(user, signature) {
+        const key = this.vaultKeys.get(user.username);
+        if (!key) throw new Error(`Vault for ${user.username} is locked`);
+
+        await this.signatureStore.put({
+            userId: user.id,
+            id: signature.id,
+            timestamp: signature.timestamp,
+            template: await this.vault.encrypt(key, { trajectory: signature.trajectory }),
+            video: signature.blob ? await this.vault.encryptBytes(key, await signature.blob.arrayBuffer()) : null,
+            videoType: signature.blob ? signature.blob.type : null
+        });
+    }
+
+    // Attach stored videos and trajectories to the user's signature metadata
+    async loadSignatures(user) {
+        const key = this.vaultKeys.get(user.username);
+        if (!key || !user.signatures) return;
+
+        if (GestureCredentials.migrate(user)) {
+            console.log(`✋ Moved ${user.username}'s signatures into a "${GestureCredentials.defaultName}" gesture`);
+        }
+
+        try {
+            const records = new Map((await this.signatureStore.list(user.id)).map(record => [record.id, record]));
+
+            for (const signature of user.signatures) {
+                const record = records.get(signature.id);
+
+                if (record) {
+                    signature.trajectory = (await this.vault.decrypt(key, record.template)).trajectory;
+                    if (record.video) {
+                        signature.blob = new Blob([await this.vault.decryptBytes(key, record.video)], { type: record.videoType });
+                        signature.videoUrl = URL.createObjectURL(signature.blob);
+                    }
+                } else if (Array.isArray(signature.trajectory)) {
+                    // Saved before signatures moved out of localStorage
+                    delete signature.blob;
+                    delete signature.videoUrl;
+                    await this.storeSignature(user, signature);
+                }
+            }
+
+            console.log(`🎞️ Loaded ${records.size} stored signatures for ${user.username}`);
+        } catch (error) {
+            console.error('Failed to load stored signatures:', error);
+        }
+    }
+
+    // The data key lives in sessionStorage so a reload keeps the session, but
+    // closing the tab means signing in again
+    async rememberVaultKey(key) {
+        sessionStorage.setItem('airauth_vault_key', await this.vault.exportKey(key));
+    }
+
+    forgetVaultKey() {
+        sessionStorage.removeItem('airauth_vault_key');
+    }
+
+    addAuditEntry(method, success, details, extra = {}, user = this.currentUser) {
+        if (!user) return;
+
+        const log = this.auditLog(user);
+        const entry = AuditLog.append(log, { method: method, success: success, details: details, ...extra });
+
+        // Only the latest attempts keep their trajectories for replay
+        if (entry.trajectory) {
+            log.entries.filter(item => item.trajectory)
+                .slice(0, -this.config.replayAttempts)
+                .forEach(item => delete item.trajectory);
+        }
+        this.saveUserData(); // Chains the new entry before writing it
+
+        console.log(`📝 Audit log entry added: ${method} - ${success ? 'Success' : 'Failed'}`);
+    }
+
+    // Entries about a duress gesture are kept but, like duress alerts, never shown
+    gestureAuditFields(gesture) {
+        return gesture.duress ? { kind: 'enrollment', hidden: true } : { kind: 'enrollment' };
+    }
+
+    // The user's audit log, started from their plain history if they still have one
+    auditLog(user) {
+        if (!user.auditLog) {
+            user.auditLog = AuditLog.fromHistory(user.authHistory);
+            delete user.authHistory;
+        }
+        return user.auditLog;
+    }
+
+    // ==========================================================================
+    // Session Management
+    // ==========================================================================
+
+    async startSession(user, claims = {}) {
+        this.sessionToken = await this.sessionManager.issue(user, claims);
+        this.session = this.sessionManager.decode(this.sessionToken);
+        this.lastActivityRecorded = Date.now();
+        localStorage.setItem('airauth_session', this.sessionToken);
+
+        // Only a started session keeps the data key across reloads
+        const key = this.vaultKeys.get(user.username);
+        if (key) await this.rememberVaultKey(key);
+    }
+
+    // Server session token, kept beside the local one so a reload stays signed in to both
+    setServerToken(token) {
+        if (this.api) this.api.setToken(token);
+
+        if (token) {
+            localStorage.setItem('airauth_api_token', token);
+        } else {
+            localStorage.removeItem('airauth_api_token');
+        }
+    }
+
+    isServerSession() {
+        return Boolean(this.api && this.api.token);
+    }
+
+    // Validate the session token, ending the session if it expired, idled out or was revoked
+    async checkAuthStatus() {
+        if (!this.isAuthenticated || !this.currentUser) return;
+
+        const validation = await this.sessionManager.validate(this.sessionToken);
+        if (!validation.valid) {
+            const reasons = {
+                expired: 'Your session has expired.',
+                idle: 'You were signed out after a period of inactivity.',
+                revoked: 'Your session was signed out.'
+            };
+            this.logout(`${reasons[validation.reason] || 'Your session is no longer valid.'} Please log in again.`, 'error');
+            return;
+        }
+
+        this.updateAuthStatus();
+    }
+
+    recordActivity() {
+        if (!this.isAuthenticated || !this.session) return;
+
+        // Throttled: the idle clock only needs coarse updates
+        const now = Date.now();
+        if (now - this.lastActivityRecorded < 30 * 1000) return;
+
+        this.lastActivityRecorded = now;
+        this.sessionManager.touch(this.session.sid);
+    }
+
+    signOutAllSessions() {
+        if (!this.currentUser) return;
+
+        const count = this.sessionManager.revokeAll(this.currentUser.id);
+        if (this.isServerSession()) {
+            this.api.logoutAll().catch(error => console.warn('Server sign-out failed:', error.message));
+        }
+        console.log(`🚪 Revoked ${count} sessions for ${this.currentUser.username}`);
+        this.addAuditEntry('Sign Out All Sessions', true, `${count} session${count === 1 ? '' : 's'} revoked`, { kind: 'session' });
+        this.logout(`Signed out of ${count} session${count === 1 ? '' : 's'}.`);
+    }
+
+    updateAuthStatus() {
+        // Update navigation based on auth status
+        this.updateNavigation(this.currentPage);
+
+        // Update any auth-dependent UI elements
+        const authElements = document.querySelectorAll('[data-auth-required]');
+        authElements.forEach(element => {
+            element.style.display = this.isAuthenticated ? 'block' : 'none';
+        });
+    }
+
+    // ==========================================================================
+    // Utility Functions
+    // ==========================================================================
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    showNotification(message, type = 'info', duration = 5000) {
+        console.log(`🔔 Notification: ${message} (${type})`);
+
+        const notification = document.getElementById('notification');
+        const messageElement = notification.querySelector('.notification-message');
+        const content = notification.querySelector('.notification-content');
+
+        if (messageElement) messageElement.textContent = message;
+        if (content) {
+            content.className = `notification-content ${type}`;
+        }
+
+        notification.classList.remove('hidden');
+        notification.classList.add('show');
+
+        // Auto-hide notification
+        setTimeout(() => {
+            this.hideNotification();
+        }, duration);
+    }
+
+    hideNotification() {
+        const notification = document.getElementById('notification');
+        notification.classList.remove('show');
+        notification.classList.add('hidden');
+    }
+
+    handleKeyboard(e) {
+        // Escape key to close modals/notifications
+        if (e.key === 'Escape') {
+            this.hideNotification();
+            this.hideHelp();
+            document.querySelectorAll('.modal.show').forEach(modal => this.hideModal(modal));
+        }
+
+        // Space bar to stop recording, or cancel one still counting down or waiting for motion
+        if (e.key === ' ' && this.isRecording) {
+            e.preventDefault();
+            this.stopRecording();
+        }
+    }
+
+    logout(message = 'Logged out successfully', type = 'info') {
+        console.log('👋 Logging out...');
+
+        this.cancelPendingLogin();
+
+        const user = this.currentUser;
+
+        this.stopCamera();
+        this.currentUser = null;
+        this.isAuthenticated = false;
+        this.signatureCount = 0;
+        this.enrollmentGestureId = null;
+
+        this.signatureUploads.clear();
+
+        if (this.session) this.sessionManager.revoke(this.session.sid);
+        this.sessionToken = null;
+        this.session = null;
+        localStorage.removeItem('airauth_session');
+        this.forgetVaultKey();
+
+        if (this.isServerSession()) {
+            this.api.logout().catch(error => console.warn('Server logout failed:', error.message));
+        }
+        this.setServerToken(null);
+
+        if (user) {
+            this.addAuditEntry('Logout', true, message, { kind: 'session' }, user);
+            this.pendingSave.then(() => this.lockVault(user));
+        }
+
+        this.updateAuthStatus();
+        this.showNotification(message, type);
+        this.showPage('home');
+    }
+}
+
+// =============================================================================
+// Trajectory Matching Engine
+// =============================================================================
+
+/**
+ * Compares fingertip trajectories ({x, y, t} point sequences) using dynamic
+ * time warping over resampled, translation- and scale-normalized paths.
+ */
+class TrajectoryMatcher {
+    constructor(options = {}) {
+        this.sampleSize = options.sampleSize || 64;     // Points per normalized path
+        this.windowRatio = options.windowRatio || 0.2;  // Sakoe-Chiba band width
+        this.maxDistance = options.maxDistance || 0.5;  // Distance that maps to 0% similarity
+        this.acceptScore = options.acceptScore || 75;   // Minimum similarity to accept
+        this.divergeDistance = options.divergeDistance || 0.1; // Aligned points further apart than this have diverged
+    }
+
+    compare(sample, templates) {
+        const normalizedSample = this.normalize(sample);
+        const distances = templates.map(template => this.dtw(normalizedSample, this.normalize(template)));
+
+        let bestIndex = 0;
+        distances.forEach((distance, index) => {
+            if (distance < distances[bestIndex]) bestIndex = index;
+        });
+
+        const distance = distances[bestIndex];
+        const score = this.scoreFromDistance(distance);
+
+        return {
+            score: score,
+            distance: distance,
+            accepted: score >= this.acceptScore,
+            bestIndex: bestIndex,
+            distances: distances
+        };
+    }
+
+    distance(a, b) {
+        return this.dtw(this.normalize(a), this.normalize(b));
+    }
+
+    scoreFromDistance(distance) {
+        return Math.round(100 * Math.max(0, 1 - distance / this.maxDistance));
+    }
+
+    // Average per-step cost of the optimal warping path between two normalized paths
+    dtw(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const window = Math.max(Math.ceil(Math.max(n, m) * this.windowRatio), Math.abs(n - m));
+
+        let previous = new Array(m + 1).fill(Infinity);
+        let current = new Array(m + 1).fill(Infinity);
+        previous[0] = 0;
+
+        for (let i = 1; i <= n; i++) {
+            current.fill(Infinity);
+            const from = Math.max(1, i - window);
+            const to = Math.min(m, i + window);
+
+            for (let j = from; j <= to; j++) {
+                const cost = Math.hypot(a[i - 1].x - b[j - 1].x, a[i - 1].y - b[j - 1].y);
+                current[j] = cost + Math.min(previous[j], current[j - 1], previous[j - 1]);
+            }
+
+            [previous, current] = [current, previous];
+        }
+
+        return previous[m] / Math.max(n, m);
+    }
+
+    /**
+     * The optimal warping path itself rather than just its cost: both paths
+     * normalized as compare() sees them, and for each sample point the
+     * distance to the closest template point it was paired with.
+     */
+    align(sample, template) {
+        const a = this.normalize(sample);
+        const b = this.normalize(template);
+        const n = a.length;
+        const m = b.length;
+        const window = Math.max(Math.ceil(Math.max(n, m) * this.windowRatio), Math.abs(n - m));
+        const between = (i, j) => Math.hypot(a[i - 1].x - b[j - 1].x, a[i - 1].y - b[j - 1].y);
+
+        const costs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(Infinity));
+        costs[0][0] = 0;
+
+        for (let i = 1; i <= n; i++) {
+            for (let j = Math.max(1, i - window); j <= Math.min(m, i + window); j++) {
+                costs[i][j] = between(i, j) + Math.min(costs[i - 1][j], costs[i][j - 1], costs[i - 1][j - 1]);
+            }
+        }
+
+        // Walk the cheapest path back from the end
+        const deviations = new Array(n).fill(Infinity);
+        let i = n;
+        let j = m;
+        while (i > 0 && j > 0) {
+            deviations[i - 1] = Math.min(deviations[i - 1], between(i, j));
+
+            const diagonal = costs[i - 1][j - 1];
+            if (diagonal <= costs[i - 1][j] && diagonal <= costs[i][j - 1]) {
+                i--;
+                j--;
+            } else if (costs[i - 1][j] <= costs[i][j - 1]) {
+                i--;
+            } else {
+                j--;
+            }
+        }
+
+        return {
+            sample: a,
+            template: b,
+            distance: costs[n][m] / Math.max(n, m),
+            deviations: deviations,
+            diverged: deviations.map(deviation => deviation > this.divergeDistance)
+        };
+    }
+
+    normalize(points) {
+        const resampled = this.resample(points, this.sampleSize);
+
+        const centroid = resampled.reduce((sum, point) => ({
+            x: sum.x + point.x / resampled.length,
+            y: sum.y + point.y / resampled.length
+        }), { x: 0, y: 0 });
+
+        const box = this.boundingBox(resampled);
+        const scale = Math.max(box.width, box.height) || 1;
+
+        return resampled.map(point => ({
+            x: (point.x - centroid.x) / scale,
+            y: (point.y - centroid.y) / scale
+        }));
+    }
+
+    // Resample to n points spaced evenly along the path
+    resample(points, n) {
+        const interval = this.pathLength(points) / (n - 1);
+        if (points.length < 2 || interval === 0) {
+            return new Array(n).fill(null).map(() => ({ x: points[0].x, y: points[0].y }));
+        }
+
+        const source = points.map(point => ({ x: point.x, y: point.y }));
+        const resampled = [source[0]];
+        let accumulated = 0;
+
+        for (let i = 1; i < source.length; i++) {
+            const segment = Math.hypot(source[i].x - source[i - 1].x, source[i].y - source[i - 1].y);
+
+            if (accumulated + segment >= interval && segment > 0) {
+                const ratio = (interval - accumulated) / segment;
+                const point = {
+                    x: source[i - 1].x + ratio * (source[i].x - source[i - 1].x),
+                    y: source[i - 1].y + ratio * (source[i].y - source[i - 1].y)
+                };
+                resampled.push(point);
+                source.splice(i, 0, point);
+                accumulated = 0;
+            } else {
+                accumulated += segment;
+            }
+        }
+
+        // Rounding can leave the path one point short
+        while (resampled.length < n) {
+            const last = source[source.length - 1];
+            resampled.push({ x: last.x, y: last.y });
+        }
+
+        return resampled.slice(0, n);
+    }
+
+    pathLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        return length;
+    }
+
+    boundingBox(points) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...xs) - minX,
+            height: Math.max(...ys) - minY
+        };
+    }
+}
+
+// =============================================================================
+// Fingertip Tracking
+// =============================================================================
+
+/**
+ * Samples a <video> element into a small canvas and tracks the signing
+ * fingertip, emitting a timestamped point stream ({x, y, t}) where x and y are
+ * fractions of the frame size and t is milliseconds since start().
+ *
+ * With a markerColor the centroid of matching pixels is tracked; otherwise
+ * the top of the moving region between consecutive frames is used, which is
+ * where a raised fingertip sits while drawing. The mean brightness change of
+ * every frame is kept in `motion` for liveness checks.
+ */
+class FingertipTracker {
+    constructor(videoElement, options = {}) {
+        this.video = videoElement;
+        this.width = options.width || 160;
+        this.height = options.height || 120;
+        this.markerColor = options.markerColor || null;
+        this.colorTolerance = options.colorTolerance || 60;
+        this.motionThreshold = options.motionThreshold || 40;
+        this.tipRows = options.tipRows || 6;       // Rows below the top of the motion used as the tip
+        this.minPixels = options.minPixels || 8;   // Fewer matching pixels means "not found"
+        this.smoothing = options.smoothing || 0.5; // Exponential smoothing factor (0-1)
+        this.onPoint = options.onPoint || null;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        this.points = [];
+        this.motion = [];
+        this.previousFrame = null;
+        this.running = false;
+        this.startTime = 0;
+        this.frameHandle = null;
+    }
+
+    start() {
+        this.points = [];
+        this.motion = [];
+        this.previousFrame = null;
+        this.running = true;
+        this.startTime = performance.now();
+        this.scheduleFrame();
+    }
+
+    stop() {
+        this.running = false;
+
+        if (this.frameHandle !== null) {
+            if (this.video.cancelVideoFrameCallback) {
+                this.video.cancelVideoFrameCallback(this.frameHandle);
+            } else {
+                cancelAnimationFrame(this.frameHandle);
+            }
+            this.frameHandle = null;
+        }
+
+        return this.points.slice();
+    }
+
+    scheduleFrame() {
+        if (!this.running) return;
+
+        const callback = () => {
+            this.frameHandle = null;
+            this.processFrame();
+            this.scheduleFrame();
+        };
+
+        this.frameHandle = this.video.requestVideoFrameCallback
+            ? this.video.requestVideoFrameCallback(callback)
+            : requestAnimationFrame(callback);
+    }
+
+    processFrame() {
+        if (this.video.readyState < 2) return; // HAVE_CURRENT_DATA
+
+        this.context.drawImage(this.video, 0, 0, this.width, this.height);
+        const frame = this.context.getImageData(0, 0, this.width, this.height).data;
+
+        const location = this.markerColor ? this.locateMarker(frame) : this.locateMotionTip(frame);
+        if (this.previousFrame) this.motion.push(this.frameDifference(frame));
+        this.previousFrame = frame;
+
+        if (!location) return;
+
+        const last = this.points[this.points.length - 1];
+        const x = location.x / this.width;
+        const y = location.y / this.height;
+
+        const point = {
+            x: last ? last.x + (x - last.x) * this.smoothing : x,
+            y: last ? last.y + (y - last.y) * this.smoothing : y,
+            t: Math.round(performance.now() - this.startTime)
+        };
+
+        this.points.push(point);
+        if (this.onPoint) this.onPoint(point);
+    }
+
+    locateMarker(frame) {
+        const { r, g, b } = this.markerColor;
+        let sumX = 0;
+        let sumY = 0;
+        let count = 0;
+
+        for (let i = 0; i < frame.length; i += 4) {
+            const distance = Math.abs(frame[i] - r) + Math.abs(frame[i + 1] - g) + Math.abs(frame[i + 2] - b);
+            if (distance <= this.colorTolerance) {
+                const pixel = i / 4;
+                sumX += pixel % this.width;
+                sumY += Math.floor(pixel / this.width);
+                count++;
+            }
+        }
+
+        return count >= this.minPixels ? { x: sumX / count, y: sumY / count } : null;
+    }
+
+    locateMotionTip(frame) {
+        if (!this.previousFrame) return null;
+
+        const moving = [];
+        let topRow = Infinity;
+
+        for (let i = 0; i < frame.length; i += 4) {
+            if (Math.abs(this.luminance(frame, i) - this.luminance(this.previousFrame, i)) > this.motionThreshold) {
+                const pixel = i / 4;
+                const y = Math.floor(pixel / this.width);
+                moving.push({ x: pixel % this.width, y: y });
+                if (y < topRow) topRow = y;
+            }
+        }
+
+        if (moving.length < this.minPixels) return null;
+
+        const tip = moving.filter(pixel => pixel.y <= topRow + this.tipRows);
+        return {
+            x: tip.reduce((sum, pixel) => sum + pixel.x, 0) / tip.length,
+            y: tip.reduce((sum, pixel) => sum + pixel.y, 0) / tip.length
+        };
+    }
+
+    // Mean absolute brightness change from the previous frame (0-255)
+    frameDifference(frame) {
+        let total = 0;
+        for (let i = 0; i < frame.length; i += 4) {
+            total += Math.abs(this.luminance(frame, i) - this.luminance(this.previousFrame, i));
+        }
+        return total / (frame.length / 4);
+    }
+
+    luminance(frame, i) {
+        return frame[i] * 0.299 + frame[i + 1] * 0.587 + frame[i + 2] * 0.114;
+    }
+}
+
+// =============================================================================
+// Trace Overlay
+// =============================================================================
+
+/**
+ * Canvas laid over a video that draws the fingertip trail as it is tracked.
+ * Points are frame fractions; they are mapped through the video's
+ * object-fit: cover scaling so the trail sits on the fingertip as shown.
+ */
+class TraceOverlay {
+    constructor(videoElement) {
+        this.video = videoElement;
+        this.points = [];
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'trace-overlay';
+        this.video.parentElement.appendChild(this.canvas);
+        this.context = this.canvas.getContext('2d');
+    }
+
+    add(point) {
+        this.points.push(point);
+        this.draw();
+    }
+
+    reset(points = []) {
+        this.points = points.slice();
+        this.draw();
+    }
+
+    remove() {
+        this.canvas.remove();
+    }
+
+    draw() {
+        if (!this.context) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth * ratio;
+        const height = this.canvas.clientHeight * ratio;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        this.context.clearRect(0, 0, width, height);
+        if (this.points.length === 0) return;
+
+        const videoWidth = this.video.videoWidth || width;
+        const videoHeight = this.video.videoHeight || height;
+        const scale = Math.max(width / videoWidth, height / videoHeight);
+        const offsetX = (width - videoWidth * scale) / 2;
+        const offsetY = (height - videoHeight * scale) / 2;
+        const toCanvas = point => [offsetX + point.x * videoWidth * scale, offsetY + point.y * videoHeight * scale];
+
+        this.context.strokeStyle = getComputedStyle(this.canvas).color;
+        this.context.fillStyle = this.context.strokeStyle;
+        this.context.lineWidth = 4 * ratio;
+        this.context.lineCap = 'round';
+        this.context.lineJoin = 'round';
+
+        this.context.beginPath();
+        this.points.forEach((point, i) => {
+            const [x, y] = toCanvas(point);
+            if (i === 0) this.context.moveTo(x, y);
+            else this.context.lineTo(x, y);
+        });
+        this.context.stroke();
+
+        // Current fingertip position
+        const [x, y] = toCanvas(this.points[this.points.length - 1]);
+        this.context.beginPath();
+        this.context.arc(x, y, 6 * ratio, 0, Math.PI * 2);
+        this.context.fill();
+    }
+}
+
+// =============================================================================
+// Trajectory Replay
+// =============================================================================
+
+/**
+ * Animates a normalized path (TrajectoryMatcher.normalize()) on a canvas at
+ * the pace it was drawn, optionally over a reference path, with diverged
+ * points in red. Playback stops by itself once the canvas is hidden.
+ */
+class TrajectoryReplay {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.scene = null;
+        this.frameHandle = null;
+        this.colors = { path: '#38bdf8', diverged: '#ef4444', reference: 'rgba(156, 163, 175, 0.6)' };
+    }
+
+    // { path, times, reference, diverged }: times[i] is when path[i] was reached (ms)
+    show(scene) {
+        this.stop();
+        this.scene = { reference: null, diverged: [], ...scene };
+        this.draw(this.scene.path.length);
+    }
+
+    play() {
+        if (!this.scene) return;
+        this.stop();
+
+        const { path, times } = this.scene;
+        const startedAt = performance.now();
+        const frame = () => {
+            if (!this.canvas.isConnected || this.canvas.closest('.hidden')) {
+                this.stop();
+                return;
+            }
+
+            const elapsed = performance.now() - startedAt;
+            const shown = times.filter(time => time <= elapsed).length;
+            this.draw(Math.max(1, shown));
+            this.frameHandle = shown < path.length ? requestAnimationFrame(frame) : null;
+        };
+        frame();
+    }
+
+    stop() {
+        if (this.frameHandle !== null) cancelAnimationFrame(this.frameHandle);
+        this.frameHandle = null;
+    }
+
+    /**
+     * When each of `count` points spaced evenly along the recorded path was
+     * reached, so a resampled path replays at the pace it was drawn. Paths
+     * without usable timestamps replay over two seconds.
+     */
+    timeline(points, count) {
+        const total = points[points.length - 1].t - points[0].t;
+        if (!(total > 0)) return Array.from({ length: count }, (_, i) => (2000 * i) / Math.max(1, count - 1));
+
+        const lengths = [0];
+        for (let i = 1; i < points.length; i++) {
+            lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+        }
+        const length = lengths[lengths.length - 1];
+
+        let segment = 1;
+        return Array.from({ length: count }, (_, i) => {
+            const target = (length * i) / Math.max(1, count - 1);
+            while (segment < points.length - 1 && lengths[segment] < target) segment++;
+
+            const span = lengths[segment] - lengths[segment - 1];
+            const ratio = span > 0 ? Math.min(1, Math.max(0, (target - lengths[segment - 1]) / span)) : 1;
+            const time = points[segment - 1].t + ratio * (points[segment].t - points[segment - 1].t);
+            return time - points[0].t;
+        });
+    }
+
+    draw(shown) {
+        if (!this.context || !this.scene) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth * ratio;
+        const height = this.canvas.clientHeight * ratio;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        // Normalized paths fit in a unit box around the origin
+        const scale = Math.min(width, height) * 0.8;
+        const toCanvas = point => [width / 2 + point.x * scale, height / 2 + point.y * scale];
+
+        const context = this.context;
+        const { path, reference, diverged } = this.scene;
+        context.clearRect(0, 0, width, height);
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+
+        if (reference) {
+            context.strokeStyle = this.colors.reference;
+            context.lineWidth = 8 * ratio;
+            context.beginPath();
+            reference.forEach((point, i) => {
+                const [x, y] = toCanvas(point);
+                if (i === 0) context.moveTo(x, y);
+                else context.lineTo(x, y);
+            });
+            context.stroke();
+        }
+
+        context.lineWidth = 4 * ratio;
+        for (let i = 1; i < Math.min(shown, path.length); i++) {
+            context.strokeStyle = diverged[i] ? this.colors.diverged : this.colors.path;
+            context.beginPath();
+            context.moveTo(...toCanvas(path[i - 1]));
+            context.lineTo(...toCanvas(path[i]));
+            context.stroke();
+        }
+
+        const [x, y] = toCanvas(path[Math.min(shown, path.length) - 1]);
+        context.fillStyle = this.colors.path;
+        context.beginPath();
+        context.arc(x, y, 6 * ratio, 0, Math.PI * 2);
+        context.fill();
+    }
+}
+
+// =============================================================================
+// Camera Devices
+// =============================================================================
+
+/**
+ * The camera chosen in this browser and the getUserMedia() constraints
+ * built from it. Sizes and frame rates are asked for as ideals, so the
+ * browser settles on the nearest the camera supports; what it settled on is
+ * read back from the track.
+ */
+const CameraDevices = {
+    storageKey: 'airauth_camera',
+
+    // Capture modes offered by the camera picker; 'auto' uses AirAuthApp's camera config
+    modes: [
+        { id: 'auto', label: 'Automatic' },
+        { id: '480p', label: '640×480 · 30 fps', width: 640, height: 480, frameRate: 30 },
+        { id: '720p', label: '1280×720 · 30 fps', width: 1280, height: 720, frameRate: 30 },
+        { id: '720p60', label: '1280×720 · 60 fps', width: 1280, height: 720, frameRate: 60 },
+        { id: '1080p', label: '1920×1080 · 30 fps', width: 1920, height: 1080, frameRate: 30 }
+    ],
+
+    // { deviceId, label, mode } as last chosen, with nulls for "default"
+    load() {
+        try {
+            return { deviceId: null, label: null, mode: 'auto', ...JSON.parse(localStorage.getItem(this.storageKey) || '{}') };
+        } catch (error) {
+            return { deviceId: null, label: null, mode: 'auto' };
+        }
+    },
+
+    save(preference) {
+        localStorage.setItem(this.storageKey, JSON.stringify(preference));
+    },
+
+    // Width, height and frame rate to ask for
+    resolve(modeId, defaults) {
+        const mode = this.modes.find(entry => entry.id === modeId && entry.id !== 'auto');
+        return mode
+            ? { width: mode.width, height: mode.height, frameRate: mode.frameRate }
+            : { width: defaults.width, height: defaults.height, frameRate: defaults.frameRate };
+    },
+
+    constraints(preference, defaults) {
+        const { width, height, frameRate } = this.resolve(preference.mode, defaults);
+        const video = { width: { ideal: width }, height: { ideal: height }, frameRate: { ideal: frameRate } };
+
+        if (preference.deviceId) {
+            video.deviceId = { exact: preference.deviceId };
+        } else if (defaults.facingMode) {
+            video.facingMode = defaults.facingMode;
+        }
+
+        return { video: video, audio: false };
+    },
+
+    // Video inputs; labels stay empty until the page has been given camera access
+    async list() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Camera ${index + 1}` }));
+    },
+
+    // What the browser negotiated, e.g. "1280×720 · 30 fps"
+    describe(track) {
+        const settings = track && typeof track.getSettings === 'function' ? track.getSettings() : {};
+        if (!settings.width || !settings.height) return '';
+
+        const rate = settings.frameRate ? ` · ${Math.round(settings.frameRate)} fps` : '';
+        return `${settings.width}×${settings.height}${rate}`;
+    }
+};
+
+// =============================================================================
+// Gesture Recognizers
+// =============================================================================
+
+/**
+ * Recognizer plugin contract. enroll() receives the user's template
+ * trajectories and, optionally, the match profile calibrate() produced for
+ * them; verify() scores a live sample against the templates and returns
+ * { score, decision: 'accept' | 'reject', reasons: string[] }.
+ * calibrate(templates) is optional: a recognizer without it keeps its
+ * default threshold for every gesture. So is templateDistance(a, b); without
+ * it enrollment skips the consistency and look-alike checks between samples.
+ */
+class GestureRecognizer {
+    constructor(options = {}) {
+        this.matcher = new TrajectoryMatcher(options);
+        this.templates = [];
+        this.profile = null;
+
+        // Personal threshold = mean + spreadFactor * std of intra-user distances, clamped
+        this.spreadFactor = options.spreadFactor || 2;
+        this.minThreshold = options.minThreshold || 0.04;
+        this.maxThreshold = options.maxThreshold || 0.2;
+    }
+
+    enroll(templates, profile = null) {
+        throw new Error(`${this.constructor.name} does not implement enroll()`);
+    }
+
+    verify(sample) {
+        throw new Error(`${this.constructor.name} does not implement verify()`);
+    }
+
+    templateDistance(a, b) {
+        throw new Error(`${this.constructor.name} does not implement templateDistance()`);
+    }
+
+    calibrate(templates) {
+        if (templates.length < 2) return null;
+
+        const distances = [];
+        for (let i = 0; i < templates.length; i++) {
+            for (let j = i + 1; j < templates.length; j++) {
+                distances.push(this.templateDistance(templates[i], templates[j]));
+            }
+        }
+
+        const meanDistance = distances.reduce((sum, distance) => sum + distance, 0) / distances.length;
+        const variance = distances.reduce((sum, distance) => sum + (distance - meanDistance) ** 2, 0) / distances.length;
+        const stdDistance = Math.sqrt(variance);
+        const threshold = Math.min(this.maxThreshold,
+            Math.max(this.minThreshold, meanDistance + this.spreadFactor * stdDistance));
+
+        return {
+            threshold: threshold,
+            acceptScore: this.matcher.scoreFromDistance(threshold),
+            meanDistance: meanDistance,
+            stdDistance: stdDistance,
+            minDistance: Math.min(...distances),
+            maxDistance: Math.max(...distances),
+            pairCount: distances.length
+        };
+    }
+
+    decide(distance, bestIndex, label) {
+        const score = this.matcher.scoreFromDistance(distance);
+        const accepted = this.profile ? distance <= this.profile.threshold : score >= this.matcher.acceptScore;
+        const requiredScore = this.profile ? this.profile.acceptScore : this.matcher.acceptScore;
+        const thresholdName = this.profile ? 'your personal' : 'the default';
+
+        return {
+            score: score,
+            decision: accepted ? 'accept' : 'reject',
+            reasons: [
+                `Closest match: signature ${bestIndex + 1} (${label} ${distance.toFixed(3)}).`,
+                `Similarity ${score}% ${accepted ? 'meets' : 'is below'} ${thresholdName} ${requiredScore}% threshold.`
+            ],
+            distance: distance,
+            bestIndex: bestIndex
+        };
+    }
+
+    rejectWithoutTemplates() {
+        return { score: 0, decision: 'reject', reasons: ['No enrolled templates to compare against.'] };
+    }
+}
+
+// Elastic matching with dynamic time warping; tolerant of speed changes
+class DtwRecognizer extends GestureRecognizer {
+    enroll(templates, profile = null) {
+        this.templates = templates.slice();
+        this.profile = profile;
+    }
+
+    verify(sample) {
+        if (this.templates.length === 0) return this.rejectWithoutTemplates();
+
+        const result = this.matcher.compare(sample, this.templates);
+        return this.decide(result.distance, result.bestIndex, 'DTW distance');
+    }
+
+    templateDistance(a, b) {
+        return this.matcher.distance(a, b);
+    }
+}
+
+/**
+ * Deterministic reference recognizer: point-by-point distance between the
+ * normalized paths, without warping. Cheap and fully repeatable, which makes
+ * it the recognizer to use for demos and automated tests.
+ */
+class ReferenceRecognizer extends GestureRecognizer {
+    enroll(templates, profile = null) {
+        this.templates = templates.map(template => this.matcher.normalize(template));
+        this.profile = profile;
+    }
+
+    verify(sample) {
+        if (this.templates.length === 0) return this.rejectWithoutTemplates();
+
+        const normalized = this.matcher.normalize(sample);
+        const distances = this.templates.map(template => this.pointDistance(normalized, template));
+        const distance = Math.min(...distances);
+
+        return this.decide(distance, distances.indexOf(distance), 'point distance');
+    }
+
+    templateDistance(a, b) {
+        return this.pointDistance(this.matcher.normalize(a), this.matcher.normalize(b));
+    }
+
+    pointDistance(a, b) {
+        return a.reduce((sum, point, index) => sum + Math.hypot(point.x - b[index].x, point.y - b[index].y), 0) / a.length;
+    }
+}
+
+// Recognizers selectable through AirAuthApp's `recognizer` config option
+const RECOGNIZERS = {
+    dtw: options => new DtwRecognizer(options),
+    reference: options => new ReferenceRecognizer(options)
+};
+
+// =============================================================================
+// Gesture Credentials
+// =============================================================================
+
+/**
+ * A user may enroll several named gestures ("Primary", "Left hand", ...),
+ * each with its own five signatures and calibrated match profile. The
+ * signatures stay in user.signatures, tagged with their gesture's id, and
+ * the account counts as enrolled while any gesture is. Used by both the app
+ * and the server so their records keep the same shape.
+ *
+ * A duress gesture signs the user in like any other, but the session it
+ * starts is quietly restricted and an alert is logged where only the
+ * account's records, never its dashboard, show it. The app offers them to
+ * server accounts only, whose server raises that alert.
+ */
+const GestureCredentials = {
+    defaultName: 'Primary',
+    signaturesRequired: 5,
+    maxNameLength: 40,
+
+    create(name, duress = false) {
+        return {
+            id: `${Date.now()}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`,
+            name: name,
+            duress: Boolean(duress),
+            createdAt: new Date().toISOString(),
+            enrollmentComplete: false,
+            matchProfile: null
+        };
+    },
+
+    // Problem with a proposed gesture name, or null if it can be used
+    validateName(user, name, gestureId = null) {
+        if (typeof name !== 'string' || name.trim().length === 0) return 'Please give the gesture a name.';
+        if (name.trim().length > this.maxNameLength) return `Gesture names can be at most ${this.maxNameLength} characters long.`;
+
+        const taken = (user.gestures || []).some(gesture =>
+            gesture.id !== gestureId && gesture.name.toLowerCase() === name.trim().toLowerCase());
+        return taken ? `You already have a gesture called "${name.trim()}".` : null;
+    },
+
+    // Records from before gestures were named get one holding all their signatures
+    migrate(user) {
+        if (Array.isArray(user.gestures) || !Array.isArray(user.signatures)) return false;
+
+        const gesture = {
+            id: 'primary',
+            name: this.defaultName,
+            duress: false,
+            createdAt: user.createdAt || new Date().toISOString(),
+            enrollmentComplete: Boolean(user.enrollmentComplete),
+            matchProfile: user.matchProfile || null
+        };
+        if (user.enrollmentTemplates) gesture.enrollmentTemplates = user.enrollmentTemplates;
+
+        user.signatures.forEach(signature => { signature.gestureId = gesture.id; });
+        user.gestures = [gesture];
+        delete user.matchProfile;
+        delete user.enrollmentTemplates;
+        return true;
+    },
+
+    find(user, gestureId) {
+        return (user.gestures || []).find(gesture => gesture.id === gestureId) || null;
+    },
+
+    signatures(user, gestureId) {
+        return (user.signatures || []).filter(signature => signature.gestureId === gestureId);
+    },
+
+    // Template trajectories of one gesture, or of all of them without a gestureId
+    templates(user, gestureId = null) {
+        return (gestureId ? this.signatures(user, gestureId) : user.signatures || [])
+            .map(signature => signature.trajectory)
+            .filter(trajectory => Array.isArray(trajectory) && trajectory.length > 1);
+    },
+
+    enrolled(user) {
+        return (user.gestures || []).filter(gesture => gesture.enrollmentComplete);
+    },
+
+    // Bring the account-level flag in line with its gestures
+    refresh(user) {
+        user.enrollmentComplete = this.enrolled(user).length > 0;
+    },
+
+    /**
+     * Verify a sample against every enrolled gesture, each with a fresh
+     * recognizer and its own threshold. The best accepted gesture wins; with
+     * none accepted, the closest one is reported. Results name the gesture,
+     * except that a duress gesture is reported as the user's first ordinary
+     * one, without the figures that belong to the duress gesture, so nothing
+     * on screen gives it away; `duress` names the real one.
+     */
+    match(user, sample, createRecognizer) {
+        const results = this.enrolled(user).map(gesture => {
+            const recognizer = createRecognizer();
+            const profile = gesture.matchProfile;
+
+            // A threshold only applies to the recognizer whose distances it was computed from
+            recognizer.enroll(this.templates(user, gesture.id),
+                profile && profile.recognizer === recognizer.constructor.name ? profile : null);
+            return { ...recognizer.verify(sample), gesture: gesture };
+        });
+
+        if (results.length === 0) {
+            return { score: 0, decision: 'reject', reasons: ['No enrolled gestures to compare against.'] };
+        }
+
+        const accepted = results.filter(result => result.decision === 'accept');
+        const best = (accepted.length > 0 ? accepted : results)
+            .reduce((best, result) => result.score > best.score ? result : best);
+        const shown = best.gesture.duress
+            ? this.enrolled(user).find(gesture => !gesture.duress) || best.gesture
+            : best.gesture;
+        const duress = best.decision === 'accept' && best.gesture.duress;
+
+        // The closest signature, its distance and the threshold are the duress gesture's, so they are left out
+        const { distance, bestIndex, ...reported } = best;
+        return {
+            ...(duress ? reported : best),
+            gesture: { id: shown.id, name: shown.name },
+            duress: duress ? { id: best.gesture.id, name: best.gesture.name } : null,
+            reasons: [
+                best.decision === 'accept' ? `Matched your "${shown.name}" gesture.` : `Closest gesture: "${shown.name}".`,
+                ...(duress ? [`Similarity ${best.score}% meets the acceptance threshold.`] : best.reasons)
+            ]
+        };
+    }
+};
+
+// =============================================================================
+// Liveness Checks
+// =============================================================================
+
+// Dots an attempt may be asked to start from, in frame fractions
+const LIVENESS_TARGETS = [
+    { label: 'top-left', x: 0.2, y: 0.2 },
+    { label: 'top-right', x: 0.8, y: 0.2 },
+    { label: 'bottom-left', x: 0.2, y: 0.8 },
+    { label: 'bottom-right', x: 0.8, y: 0.8 },
+    { label: 'center', x: 0.5, y: 0.5 }
+];
+
+/**
+ * Checks that an attempt ({ trajectory, motion, start }) was signed live in
+ * front of the camera: it must begin at the randomly chosen start dot, the
+ * image must keep changing between frames as a live scene does, it must not
+ * be mostly frozen frames, and its trajectory must not be a near copy of an
+ * earlier attempt. check() returns one { name, label, passed, detail } per check.
+ */
+class LivenessChecker {
+    constructor(options = {}) {
+        this.matcher = new TrajectoryMatcher(options);
+        this.startRadius = options.startRadius || 0.2;                 // Frame fractions
+        this.minFrameDifference = options.minFrameDifference || 1;     // Median brightness change per frame
+        this.staticFrameDifference = options.staticFrameDifference || 0.25;
+        this.maxStaticFraction = options.maxStaticFraction || 0.5;     // Share of frames allowed below staticFrameDifference
+        this.replayDistance = options.replayDistance || 0.01;          // Closer than this to an earlier attempt is a copy
+    }
+
+    createChallenge() {
+        const target = LIVENESS_TARGETS[CryptoUtils.randomBytes(1)[0] % LIVENESS_TARGETS.length];
+        return { ...target };
+    }
+
+    check({ trajectory, motion = [], start }, previousAttempts = []) {
+        return [
+            this.checkStartPoint(trajectory, start),
+            this.checkFrameDifference(motion),
+            this.checkStaticFrames(motion),
+            this.checkReplay(trajectory, previousAttempts)
+        ];
+    }
+
+    checkStartPoint(trajectory, start) {
+        const first = trajectory[0];
+        const distance = start && first ? Math.hypot(first.x - start.x, first.y - start.y) : Infinity;
+        const passed = distance <= this.startRadius;
+
+        return {
+            name: 'start',
+            label: 'Start point',
+            passed: passed,
+            detail: !start ? 'No start challenge was issued.' : passed
+                ? `Started at the ${start.label} dot.`
+                : `Did not start at the ${start.label} dot.`
+        };
+    }
+
+    checkFrameDifference(motion) {
+        const median = motion.length ? motion.slice().sort((a, b) => a - b)[Math.floor(motion.length / 2)] : 0;
+        const passed = median >= this.minFrameDifference;
+
+        return {
+            name: 'motion',
+            label: 'Camera motion',
+            passed: passed,
+            detail: passed
+                ? `Live scene (median frame change ${median.toFixed(1)}).`
+                : `Too little change between frames (median ${median.toFixed(1)}, minimum ${this.minFrameDifference}).`
+        };
+    }
+
+    checkStaticFrames(motion) {
+        const staticFraction = motion.length
+            ? motion.filter(difference => difference < this.staticFrameDifference).length / motion.length
+            : 1;
+        const passed = staticFraction <= this.maxStaticFraction;
+
+        return {
+            name: 'static',
+            label: 'Static image',
+            passed: passed,
+            detail: passed
+                ? `${Math.round(staticFraction * 100)}% frozen frames.`
+                : `The camera image was frozen in ${Math.round(staticFraction * 100)}% of frames.`
+        };
+    }
+
+    checkReplay(trajectory, previousAttempts) {
+        const distances = previousAttempts.map(previous => this.matcher.distance(trajectory, previous));
+        const closest = distances.length ? Math.min(...distances) : Infinity;
+        const passed = closest > this.replayDistance;
+
+        return {
+            name: 'replay',
+            label: 'Replay',
+            passed: passed,
+            detail: passed
+                ? 'Not a copy of an earlier attempt.'
+                : `Nearly identical to an earlier attempt (distance ${closest.toFixed(4)}).`
+        };
+    }
+
+    // Result for an attempt that failed liveness, in the recognizers' verify() shape
+    reject(checks) {
+        return {
+            score: 0,
+            decision: 'reject',
+            reasons: checks.filter(check => !check.passed).map(check => check.detail),
+            liveness: checks
+        };
+    }
+}
+
+// =============================================================================
+// Crypto Helpers
+// =============================================================================
+
+const CryptoUtils = {
+    subtle() {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('Web Crypto is unavailable (a secure context such as HTTPS or localhost is required)');
+        }
+        return crypto.subtle;
+    },
+
+    randomBytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    },
+
+    toBase64(bytes) {
+        let binary = '';
+        new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    },
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+    },
+
+    toBase64Url(bytes) {
+        return CryptoUtils.toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        return CryptoUtils.fromBase64(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    },
+
+    // Compares every byte regardless of where the first difference is
+    constantTimeEqual(a, b) {
+        let difference = a.length ^ b.length;
+        const length = Math.max(a.length, b.length);
+
+        for (let i = 0; i < length; i++) {
+            difference |= (a[i] || 0) ^ (b[i] || 0);
+        }
+
+        return difference === 0;
+    },
+
+    // JSON with object keys sorted at every level, so signed or hashed text does not depend on key order
+    canonicalJson(value) {
+        if (Array.isArray(value)) return `[${value.map(item => CryptoUtils.canonicalJson(item)).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${CryptoUtils.canonicalJson(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+};
+
+/**
+ * Salted PBKDF2-SHA256 password hashing through Web Crypto. Records store
+ * their own parameters so the iteration count can be raised later and old
+ * hashes upgraded on the next successful login.
+ */
+class PasswordHasher {
+    constructor(options = {}) {
+        this.iterations = options.iterations || 600000;
+        this.saltLength = options.saltLength || 16;
+        this.hashLength = options.hashLength || 32;
+    }
+
+    async hash(password, salt = CryptoUtils.randomBytes(this.saltLength), iterations = this.iterations) {
+        const subtle = CryptoUtils.subtle();
+        const keyMaterial = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+            keyMaterial,
+            this.hashLength * 8
+        );
+
+        return {
+            algorithm: 'PBKDF2-SHA256',
+            iterations: iterations,
+            salt: CryptoUtils.toBase64(salt),
+            hash: CryptoUtils.toBase64(bits)
+        };
+    }
+
+    async verify(password, record) {
+        if (!record || record.algorithm !== 'PBKDF2-SHA256') return false;
+
+        const candidate = await this.hash(password, CryptoUtils.fromBase64(record.salt), record.iterations);
+        return CryptoUtils.constantTimeEqual(CryptoUtils.fromBase64(candidate.hash), CryptoUtils.fromBase64(record.hash));
+    }
+
+    needsRehash(record) {
+        return record.algorithm !== 'PBKDF2-SHA256' || record.iterations < this.iterations;
+    }
+}
+
+/**
+ * AES-GCM encryption for the private part of a user record. Each user gets a
+ * random data key; the stored copy of it is wrapped with a key derived from
+ * the user's password, so the record is unreadable until they sign in.
+ * Further copies wrapped with each recovery code let a user who forgot the
+ * password back in without losing their data.
+ */
+class UserVault {
+    constructor(options = {}) {
+        this.iterations = options.iterations || 600000;
+        this.recoveryIterations = options.recoveryIterations || 100000; // Codes are random, so need less stretching
+    }
+
+    async create(password) {
+        const key = await CryptoUtils.subtle().generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        return { key: key, keys: { password: await this.wrapKey(key, password) } };
+    }
+
+    async wrapKey(key, secret, iterations = this.iterations) {
+        const salt = CryptoUtils.randomBytes(16);
+        const iv = CryptoUtils.randomBytes(12);
+        const wrappingKey = await this.deriveWrappingKey(secret, salt, iterations);
+        const wrapped = await CryptoUtils.subtle().wrapKey('raw', key, wrappingKey, { name: 'AES-GCM', iv: iv });
+
+        return {
+            salt: CryptoUtils.toBase64(salt),
+            iterations: iterations,
+            iv: CryptoUtils.toBase64(iv),
+            wrappedKey: CryptoUtils.toBase64(wrapped)
+        };
+    }
+
+    async unwrapKey(record, secret) {
+        const wrappingKey = await this.deriveWrappingKey(secret, CryptoUtils.fromBase64(record.salt), record.iterations);
+        return CryptoUtils.subtle().unwrapKey(
+            'raw',
+            CryptoUtils.fromBase64(record.wrappedKey),
+            wrappingKey,
+            { name: 'AES-GCM', iv: CryptoUtils.fromBase64(record.iv) },
+            { name: 'AES-GCM' },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // One wrapped copy of the data key per recovery code
+    wrapRecoveryKeys(key, codes) {
+        return Promise.all(codes.map(code => this.wrapKey(key, RecoveryCodes.normalize(code), this.recoveryIterations)));
+    }
+
+    // { key, index } for the first wrapped copy the code opens, or null
+    async unwrapRecoveryKey(records, code) {
+        for (let index = 0; index < records.length; index++) {
+            try {
+                return { key: await this.unwrapKey(records[index], RecoveryCodes.normalize(code)), index: index };
+            } catch (error) {
+                // Wrapped with another code
+            }
+        }
+        return null;
+    }
+
+    async deriveWrappingKey(secret, salt, iterations) {
+        const subtle = CryptoUtils.subtle();
+        const material = await subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+        return subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    async encrypt(key, data) {
+        const iv = CryptoUtils.randomBytes(12);
+        const plaintext = new TextEncoder().encode(JSON.stringify(data));
+        const ciphertext = await CryptoUtils.subtle().encrypt({ name: 'AES-GCM', iv: iv }, key, plaintext);
+
+        return { iv: CryptoUtils.toBase64(iv), data: CryptoUtils.toBase64(ciphertext) };
+    }
+
+    async decrypt(key, payload) {
+        if (!payload.data) return {};
+
+        const plaintext = await CryptoUtils.subtle().decrypt(
+            { name: 'AES-GCM', iv: CryptoUtils.fromBase64(payload.iv) },
+            key,
+            CryptoUtils.fromBase64(payload.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    async encryptBytes(key, bytes) {
+        const iv = CryptoUtils.randomBytes(12);
+        const ciphertext = await CryptoUtils.subtle().encrypt({ name: 'AES-GCM', iv: iv }, key, bytes);
+
+        return { iv: iv, data: ciphertext };
+    }
+
+    async decryptBytes(key, payload) {
+        return CryptoUtils.subtle().decrypt({ name: 'AES-GCM', iv: payload.iv }, key, payload.data);
+    }
+
+    async exportKey(key) {
+        return CryptoUtils.toBase64(await CryptoUtils.subtle().exportKey('raw', key));
+    }
+
+    async importKey(encoded) {
+        return CryptoUtils.subtle().importKey('raw', CryptoUtils.fromBase64(encoded), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+    }
+
+    // Lookup digest so emails can be matched without being stored in plaintext
+    async digest(text) {
+        const bytes = new TextEncoder().encode(text.trim().toLowerCase());
+        return CryptoUtils.toBase64(await CryptoUtils.subtle().digest('SHA-256', bytes));
+    }
+}
+
+/**
+ * One-time account recovery codes such as `K7QX2-M9PDA`: ten characters
+ * from an alphabet without look-alikes, 50 random bits in all. Only digests
+ * of them are stored.
+ */
+const RecoveryCodes = {
+    alphabet: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+
+    generate(count = 8) {
+        return Array.from({ length: count }, () => {
+            // 256 is a multiple of 32, so every character is equally likely
+            const characters = Array.from(CryptoUtils.randomBytes(10), byte => this.alphabet[byte % 32]).join('');
+            return `${characters.slice(0, 5)}-${characters.slice(5)}`;
+        });
+    },
+
+    // Upper case without separators, so codes may be typed loosely
+    normalize(code) {
+        return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    },
+
+    async digest(code) {
+        const bytes = new TextEncoder().encode(this.normalize(code));
+        return CryptoUtils.toBase64(await CryptoUtils.subtle().digest('SHA-256', bytes));
+    }
+};
+
+/**
+ * Portable copy of a device-only account's enrollment: profile, gestures
+ * with their signature templates, and login settings, as one versioned JSON
+ * file. Keys derived from the account password sign the bundle with
+ * HMAC-SHA256 and, optionally, encrypt its contents with AES-GCM, so a
+ * bundle opens only with that password and any change to it is detected.
+ * Videos, history and sessions stay in the browser they were made in.
+ */
+const EnrollmentBundle = {
+    format: 'airauth-enrollment',
+    version: 1,
+    iterations: 600000,
+
+    async create(user, password, { encrypt = true } = {}) {
+        const salt = CryptoUtils.randomBytes(16);
+        const keys = await this.deriveKeys(password, salt, this.iterations);
+        const profile = {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            passwordHash: user.passwordHash,
+            createdAt: user.createdAt,
+            enrollmentComplete: Boolean(user.enrollmentComplete),
+            requireAirSignature: Boolean(user.requireAirSignature),
+            gestures: user.gestures || [],
+            signatures: (user.signatures || [])
+                .filter(signature => Array.isArray(signature.trajectory))
+                .map(({ id, gestureId, timestamp, duration, trajectory }) => ({ id, gestureId, timestamp, duration, trajectory }))
+        };
+
+        const bundle = {
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            username: user.username,
+            kdf: { algorithm: 'PBKDF2-SHA256', salt: CryptoUtils.toBase64(salt), iterations: this.iterations },
+            encrypted: encrypt
+        };
+
+        if (encrypt) {
+            const iv = CryptoUtils.randomBytes(12);
+            const plaintext = new TextEncoder().encode(JSON.stringify(profile));
+            const ciphertext = await CryptoUtils.subtle().encrypt({ name: 'AES-GCM', iv: iv }, keys.cipher, plaintext);
+            bundle.payload = { iv: CryptoUtils.toBase64(iv), data: CryptoUtils.toBase64(ciphertext) };
+        } else {
+            bundle.profile = profile;
+        }
+
+        const signature = await CryptoUtils.subtle().sign('HMAC', keys.mac, new TextEncoder().encode(CryptoUtils.canonicalJson(bundle)));
+        bundle.signature = CryptoUtils.toBase64(signature);
+        return bundle;
+    },
+
+    // The profile inside a bundle, once its version and signature check out
+    async open(bundle, password) {
+        if (!bundle || typeof bundle !== 'object' || bundle.format !== this.format) {
+            throw new Error('This file is not an AirAuth enrollment bundle.');
+        }
+        if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+            throw new Error('The bundle has no valid format version.');
+        }
+        if (bundle.version > this.version) {
+            throw new Error(`The bundle was made by a newer version of AirAuth (format ${bundle.version}); this one reads format ${this.version}.`);
+        }
+        if (!bundle.kdf || bundle.kdf.algorithm !== 'PBKDF2-SHA256' || typeof bundle.signature !== 'string') {
+            throw new Error('The bundle is not signed.');
+        }
+
+        const { signature, ...signed } = bundle;
+        const keys = await this.deriveKeys(password, CryptoUtils.fromBase64(bundle.kdf.salt), bundle.kdf.iterations);
+        const valid = await CryptoUtils.subtle().verify('HMAC', keys.mac, CryptoUtils.fromBase64(signature),
+            new TextEncoder().encode(CryptoUtils.canonicalJson(signed)));
+        if (!valid) {
+            throw new Error('The bundle\'s signature does not match: the password is wrong or the file has been altered.');
+        }
+
+        let profile = bundle.profile;
+        if (bundle.encrypted) {
+            const plaintext = await CryptoUtils.subtle().decrypt(
+                { name: 'AES-GCM', iv: CryptoUtils.fromBase64(bundle.payload.iv) },
+                keys.cipher,
+                CryptoUtils.fromBase64(bundle.payload.data)
+            );
+            profile = JSON.parse(new TextDecoder().decode(plaintext));
         }
-    }
 
-    stopCamera() {
-        if (this.webcamStream) {
-            console.log('🔴 Stopping camera...');
-            this.webcamStream.getTracks().forEach(track => track.stop());
-            this.webcamStream = null;
+        this.validate(profile);
+        return profile;
+    },
+
+    validate(profile) {
+        const isPoint = point => point && ['x', 'y', 't'].every(field => Number.isFinite(point[field]));
+        const valid = profile && typeof profile.id === 'string' && typeof profile.username === 'string' &&
+            typeof profile.email === 'string' && profile.passwordHash && Array.isArray(profile.gestures) &&
+            Array.isArray(profile.signatures) && profile.signatures.every(signature =>
+                Array.isArray(signature.trajectory) && signature.trajectory.every(isPoint));
+
+        if (!valid) throw new Error('The bundle\'s contents are incomplete.');
+    },
+
+    // One PBKDF2 run yields both keys: the first half signs, the second encrypts
+    async deriveKeys(password, salt, iterations) {
+        const subtle = CryptoUtils.subtle();
+        const material = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = new Uint8Array(await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations }, material, 512));
+
+        return {
+            mac: await subtle.importKey('raw', bits.slice(0, 32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']),
+            cipher: await subtle.importKey('raw', bits.slice(32), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt'])
+        };
+    }
+};
+
+/**
+ * Append-only, hash-chained record of an account's security events. Each
+ * entry carries a sequence number and the SHA-256 hash of the entry before
+ * it, and its own hash covers both, so editing, removing or reordering an
+ * entry breaks the chain from that point on and verify() says where. The
+ * chain is unkeyed: someone who rewrites every later hash, or cuts entries
+ * off the end, still leaves a valid log. It makes tampering evident, not
+ * impossible. A trimmed log keeps the last dropped hash as its anchor, and
+ * attempt trajectories stay outside the hashes so they can be pruned.
+ */
+const AuditLog = {
+    attachments: ['trajectory'],
+
+    create() {
+        return { anchor: null, entries: [] };
+    },
+
+    // A chain over plain history entries from before the audit log, oldest first
+    fromHistory(history = []) {
+        const log = this.create();
+        history.forEach(entry => this.append(log, entry));
+        return log;
+    },
+
+    // Entries are added unchained; seal() links them
+    append(log, fields) {
+        const last = log.entries[log.entries.length - 1] || log.anchor;
+        const { seq, prev, hash, ...details } = fields;
+        const entry = { timestamp: new Date().toISOString(), ...details, seq: last ? last.seq + 1 : 0 };
+
+        log.entries.push(entry);
+        return entry;
+    },
+
+    /**
+     * Sets prev and hash on every unchained entry, in order. `digest` may
+     * return the hash or a promise of it; with a synchronous one (as on the
+     * server) the entries are chained before seal() returns.
+     */
+    async seal(log, digest = text => this.sha256(text)) {
+        for (let i = 0; i < log.entries.length; i++) {
+            const entry = log.entries[i];
+            if (entry.hash) continue;
+
+            entry.prev = i > 0 ? log.entries[i - 1].hash : log.anchor ? log.anchor.hash : null;
+            const hash = digest(this.text(entry));
+            entry.hash = hash instanceof Promise ? await hash : hash;
+        }
+    },
+
+    // Drops the oldest sealed entries beyond the limit, remembering where the chain continues
+    trim(log, limit) {
+        const dropped = log.entries.splice(0, Math.max(0, log.entries.length - limit));
+        if (dropped.length > 0) {
+            const last = dropped[dropped.length - 1];
+            log.anchor = { seq: last.seq, hash: last.hash };
+        }
+    },
+
+    /**
+     * Walks the chain from its anchor. Returns { intact, checked, pending }
+     * or, at the first break, { intact: false, checked, brokenAt, reason }
+     * with brokenAt the sequence number where the chain stops holding.
+     * Unchained entries at the end are pending, not broken.
+     */
+    async verify(log, digest = text => this.sha256(text)) {
+        let expected = log.anchor ? log.anchor.seq + 1 : 0;
+        let previous = log.anchor ? log.anchor.hash : null;
+        let checked = 0;
+        const broken = reason => ({ intact: false, checked: checked, brokenAt: expected, reason: reason });
+
+        for (let i = 0; i < log.entries.length; i++) {
+            const entry = log.entries[i];
+
+            if (!entry.hash && log.entries.slice(i).every(later => !later.hash)) {
+                return { intact: true, checked: checked, pending: log.entries.length - i };
+            }
+            if (entry.seq !== expected) {
+                return broken(entry.seq > expected
+                    ? `entr${entry.seq - expected === 1 ? 'y' : 'ies'} ${expected}${entry.seq - expected === 1 ? '' : `–${entry.seq - 1}`} missing`
+                    : `entry ${entry.seq} out of order`);
+            }
+            if (!entry.hash || entry.prev !== previous) {
+                return broken(`entry ${expected} does not follow the one before it`);
+            }
+            const hash = digest(this.text(entry));
+            if ((hash instanceof Promise ? await hash : hash) !== entry.hash) {
+                return broken(`entry ${expected} has been altered`);
+            }
 
-            // Clear video elements
-            const enrollmentVideo = document.getElementById('enrollment-video');
-            const authVideo = document.getElementById('auth-video');
+            previous = entry.hash;
+            expected++;
+            checked++;
+        }
 
-            if (enrollmentVideo) enrollmentVideo.srcObject = null;
-            if (authVideo) authVideo.srcObject = null;
+        return { intact: true, checked: checked, pending: 0 };
+    },
 
-            // Show overlays
-            document.querySelectorAll('.video-overlay').forEach(overlay => {
-                overlay.classList.remove('hidden');
-            });
+    // The hashed form of an entry: everything but its own hash and the attachments
+    text(entry) {
+        const fields = { ...entry };
+        delete fields.hash;
+        this.attachments.forEach(field => delete fields[field]);
+        return CryptoUtils.canonicalJson(fields);
+    },
 
-            this.showNotification('Camera stopped', 'info');
-        }
+    async sha256(text) {
+        return CryptoUtils.toBase64(await CryptoUtils.subtle().digest('SHA-256', new TextEncoder().encode(text)));
     }
+};
 
-    updateControlStates(context, state) {
-        if (context === 'enrollment') {
-            const startCamera = document.getElementById('start-camera');
-            const startRecording = document.getElementById('start-recording');
-            const stopRecording = document.getElementById('stop-recording');
-            const saveSignature = document.getElementById('save-signature');
-            const finishEnrollment = document.getElementById('finish-enrollment');
+// User record fields kept in plaintext so accounts can be found and verified before decryption
+const USER_INDEX_FIELDS = ['id', 'username', 'emailDigest', 'passwordHash'];
 
-            switch(state) {
-                case 'initial':
-                    if (startCamera) startCamera.disabled = false;
-                    if (startRecording) startRecording.disabled = true;
-                    if (stopRecording) stopRecording.disabled = true;
-                    if (saveSignature) saveSignature.disabled = true;
-                    if (finishEnrollment) finishEnrollment.disabled = true;
-                    break;
-                case 'camera-ready':
-                    if (startCamera) startCamera.disabled = true;
-                    if (startRecording) startRecording.disabled = false;
-                    if (stopRecording) stopRecording.disabled = true;
-                    if (saveSignature) saveSignature.disabled = true;
-                    break;
-                case 'recording':
-                    if (startRecording) startRecording.disabled = true;
-                    if (stopRecording) stopRecording.disabled = false;
-                    if (saveSignature) saveSignature.disabled = true;
-                    break;
-                case 'recorded':
-                    if (startRecording) startRecording.disabled = false;
-                    if (stopRecording) stopRecording.disabled = true;
-                    if (saveSignature) saveSignature.disabled = false;
-                    break;
-                case 'enrollment-complete':
-                    if (finishEnrollment) finishEnrollment.disabled = false;
-                    break;
+// =============================================================================
+// Passkeys (WebAuthn)
+// =============================================================================
+
+/**
+ * WebAuthn passkeys for the app's device-only accounts and for the server.
+ * Credentials are created without attestation, so a passkey is trusted for
+ * what it proves later: every sign-in is an assertion over a single-use
+ * challenge, for this site, signed by the key registered with it. Binary
+ * fields travel as base64url strings on both sides.
+ *
+ * Chrome's DevTools WebAuthn panel (or the WebAuthn.addVirtualAuthenticator
+ * DevTools Protocol command) provides a virtual authenticator to test with;
+ * give it resident-key and user-verification support for passkey sign-in.
+ */
+const Passkeys = {
+    timeout: 60000,
+
+    // COSE algorithm ids the app accepts, with their Web Crypto parameters
+    algorithms: {
+        '-7': {
+            name: 'ES256',
+            importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+            verifyParams: { name: 'ECDSA', hash: 'SHA-256' }
+        },
+        '-257': {
+            name: 'RS256',
+            importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+            verifyParams: { name: 'RSASSA-PKCS1-v1_5' }
+        }
+    },
+
+    isSupported() {
+        return typeof window !== 'undefined' && typeof window.PublicKeyCredential !== 'undefined' &&
+            typeof navigator !== 'undefined' && Boolean(navigator.credentials);
+    },
+
+    createChallenge() {
+        return CryptoUtils.toBase64Url(CryptoUtils.randomBytes(32));
+    },
+
+    nextName(user) {
+        return `Passkey ${(user.passkeys || []).length + 1}`;
+    },
+
+    // What clients may see of a passkey; the public key and counter stay with the account
+    summary({ id, name, createdAt, lastUsed }) {
+        return { id, name, createdAt, lastUsed: lastUsed || null };
+    },
+
+    /**
+     * Options for navigator.credentials.create(). Passkeys are created as
+     * discoverable credentials, so signing in with one needs no username.
+     */
+    creationOptions(user, { rpId, challenge, exclude = [] }) {
+        return {
+            challenge: challenge,
+            rp: { id: rpId, name: 'AirAuth' },
+            user: {
+                id: CryptoUtils.toBase64Url(new TextEncoder().encode(user.id)),
+                name: user.username,
+                displayName: user.username
+            },
+            pubKeyCredParams: Object.keys(this.algorithms).map(alg => ({ type: 'public-key', alg: Number(alg) })),
+            authenticatorSelection: { residentKey: 'required', requireResidentKey: true, userVerification: 'preferred' },
+            excludeCredentials: exclude.map(id => ({ type: 'public-key', id })),
+            attestation: 'none',
+            timeout: this.timeout
+        };
+    },
+
+    // Options for navigator.credentials.get(); an empty allow list lets the authenticator offer any of its passkeys
+    requestOptions({ rpId, challenge, allow = [], userVerification = 'preferred' }) {
+        return {
+            challenge: challenge,
+            rpId: rpId,
+            allowCredentials: allow.map(id => ({ type: 'public-key', id })),
+            userVerification: userVerification,
+            timeout: this.timeout
+        };
+    },
+
+    // Browser only: create a passkey and return what verifyRegistration() needs
+    async create(options) {
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                ...options,
+                challenge: CryptoUtils.fromBase64Url(options.challenge),
+                user: { ...options.user, id: CryptoUtils.fromBase64Url(options.user.id) },
+                excludeCredentials: options.excludeCredentials.map(entry => ({ ...entry, id: CryptoUtils.fromBase64Url(entry.id) }))
             }
-        } else if (context === 'auth') {
-            const startAuthCamera = document.getElementById('start-auth-camera');
-            const authenticateBtn = document.getElementById('authenticate-btn');
+        });
 
-            switch(state) {
-                case 'initial':
-                    if (startAuthCamera) startAuthCamera.disabled = false;
-                    if (authenticateBtn) authenticateBtn.disabled = true;
-                    break;
-                case 'camera-ready':
-                    if (startAuthCamera) startAuthCamera.disabled = true;
-                    if (authenticateBtn) authenticateBtn.disabled = false;
-                    break;
+        const response = credential.response;
+        const publicKey = typeof response.getPublicKey === 'function' ? response.getPublicKey() : null;
+        if (!publicKey) throw new Error('This browser does not expose the passkey\'s public key');
+
+        return {
+            id: credential.id,
+            clientDataJSON: CryptoUtils.toBase64Url(response.clientDataJSON),
+            authenticatorData: CryptoUtils.toBase64Url(response.getAuthenticatorData()),
+            publicKey: CryptoUtils.toBase64Url(publicKey),
+            algorithm: response.getPublicKeyAlgorithm(),
+            transports: typeof response.getTransports === 'function' ? response.getTransports() : []
+        };
+    },
+
+    // Browser only: sign the challenge with a passkey and return what verifyAssertion() needs
+    async get(options) {
+        const credential = await navigator.credentials.get({
+            publicKey: {
+                ...options,
+                challenge: CryptoUtils.fromBase64Url(options.challenge),
+                allowCredentials: options.allowCredentials.map(entry => ({ ...entry, id: CryptoUtils.fromBase64Url(entry.id) }))
             }
-        }
-    }
+        });
 
-    // ==========================================================================
-    // Signature Enrollment
-    // ==========================================================================
+        const response = credential.response;
+        return {
+            id: credential.id,
+            clientDataJSON: CryptoUtils.toBase64Url(response.clientDataJSON),
+            authenticatorData: CryptoUtils.toBase64Url(response.authenticatorData),
+            signature: CryptoUtils.toBase64Url(response.signature),
+            userHandle: response.userHandle ? CryptoUtils.toBase64Url(response.userHandle) : null
+        };
+    },
 
-    async startRecording() {
-        if (!this.webcamStream) {
-            this.showNotification('Please start the camera first!', 'error');
-            return;
+    // Check a new passkey and return the record to keep with the account; throws when it is unacceptable
+    async verifyRegistration(credential, { challenge, rpId }) {
+        if (!credential || typeof credential.id !== 'string' || !/^[\w-]{16,1400}$/.test(credential.id)) {
+            throw new Error('Passkey id is missing or malformed');
         }
+        if (!this.algorithms[credential.algorithm]) throw new Error('Passkey uses an unsupported algorithm');
+
+        await this.checkClientData(credential.clientDataJSON, 'webauthn.create', challenge, rpId);
+        const { signCount } = await this.checkAuthenticatorData(credential.authenticatorData, rpId);
+        await this.importKey(credential.publicKey, credential.algorithm);
+
+        return {
+            id: credential.id,
+            publicKey: credential.publicKey,
+            algorithm: credential.algorithm,
+            signCount: signCount,
+            transports: Array.isArray(credential.transports) ? credential.transports.map(String) : [],
+            createdAt: new Date().toISOString(),
+            lastUsed: null
+        };
+    },
 
-        console.log('🎥 Starting signature recording...');
+    /**
+     * Check a sign-in with a stored passkey and return its new signature
+     * counter; throws with the reason when the assertion is not valid.
+     */
+    async verifyAssertion(passkey, credential, { challenge, rpId, userVerification = false }) {
+        if (!credential || credential.id !== passkey.id) throw new Error('Passkey does not belong to this account');
 
-        try {
-            // Configure MediaRecorder
-            const options = {
-                mimeType: 'video/webm;codecs=vp8,vorbis'
-            };
+        await this.checkClientData(credential.clientDataJSON, 'webauthn.get', challenge, rpId);
+        const { data, signCount } = await this.checkAuthenticatorData(credential.authenticatorData, rpId, userVerification);
 
-            if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-                options.mimeType = 'video/webm';
-            }
+        // Authenticators that keep a counter must move it on; one going back suggests a cloned key
+        if ((signCount > 0 || passkey.signCount > 0) && signCount <= passkey.signCount) {
+            throw new Error('Passkey signature counter went backwards; the passkey may have been copied');
+        }
 
-            this.mediaRecorder = new MediaRecorder(this.webcamStream, options);
-            this.recordedChunks = [];
+        const clientDataHash = new Uint8Array(await CryptoUtils.subtle().digest('SHA-256',
+            CryptoUtils.fromBase64Url(credential.clientDataJSON)));
+        const signed = new Uint8Array(data.length + clientDataHash.length);
+        signed.set(data);
+        signed.set(clientDataHash, data.length);
 
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.recordedChunks.push(event.data);
-                }
-            };
+        let signature = CryptoUtils.fromBase64Url(credential.signature);
+        if (passkey.algorithm === -7) signature = this.derToRawSignature(signature, 32);
 
-            this.mediaRecorder.onstop = () => {
-                console.log('📹 Recording stopped, chunks:', this.recordedChunks.length);
-                this.updateControlStates('enrollment', 'recorded');
-                this.updateEnrollmentStatus('Recording complete! Click "Save Signature" to save it.', 'success');
-            };
+        const key = await this.importKey(passkey.publicKey, passkey.algorithm);
+        const valid = await CryptoUtils.subtle().verify(this.algorithms[passkey.algorithm].verifyParams, key, signature, signed);
+        if (!valid) throw new Error('Passkey signature is invalid');
 
-            // Start recording
-            this.mediaRecorder.start(1000); // Collect data every second
-            this.isRecording = true;
+        return { signCount };
+    },
 
-            this.updateControlStates('enrollment', 'recording');
-            this.updateEnrollmentStatus('Recording... Draw your signature in the air!', 'info');
-            this.showNotification('Recording started! Draw your air signature now.', 'info');
+    async checkClientData(encoded, type, challenge, rpId) {
+        const clientData = JSON.parse(new TextDecoder().decode(CryptoUtils.fromBase64Url(encoded)));
 
-        } catch (error) {
-            console.error('Recording error:', error);
-            this.showNotification('Recording failed. Please try again.', 'error');
-            this.updateEnrollmentStatus('Recording failed. Please try again.', 'error');
-        }
-    }
+        if (clientData.type !== type) throw new Error('Passkey response is for a different operation');
+        if (clientData.challenge !== challenge) throw new Error('Passkey response does not answer this challenge');
 
-    stopRecording() {
-        if (this.mediaRecorder && this.isRecording) {
-            console.log('⏹️ Stopping recording...');
-            this.mediaRecorder.stop();
-            this.isRecording = false;
+        const host = new URL(clientData.origin).hostname;
+        if (host !== rpId && !host.endsWith(`.${rpId}`)) {
+            throw new Error(`Passkey was used from another site (${clientData.origin})`);
         }
-    }
+    },
 
-    async saveSignature() {
-        if (this.recordedChunks.length === 0) {
-            this.showNotification('No recording to save!', 'error');
-            return;
-        }
+    // rpIdHash (32 bytes), flags (1), signCount (4), then optional attested data and extensions
+    async checkAuthenticatorData(encoded, rpId, userVerification = false) {
+        const data = CryptoUtils.fromBase64Url(encoded);
+        if (data.length < 37) throw new Error('Passkey authenticator data is too short');
 
-        console.log('💾 Saving signature...');
+        const rpIdHash = new Uint8Array(await CryptoUtils.subtle().digest('SHA-256', new TextEncoder().encode(rpId)));
+        if (!CryptoUtils.constantTimeEqual(data.slice(0, 32), rpIdHash)) throw new Error('Passkey belongs to another site');
 
-        try {
-            // Create blob from recorded chunks
-            const blob = new Blob(this.recordedChunks, { type: 'video/webm' });
-            const videoUrl = URL.createObjectURL(blob);
+        const flags = data[32];
+        if (!(flags & 0x01)) throw new Error('Passkey was used without the user present');
+        if (userVerification && !(flags & 0x04)) throw new Error('Passkey did not verify the user with a PIN or biometric');
 
-            // Save signature data
-            const signatureData = {
-                id: Date.now().toString(),
-                videoUrl: videoUrl,
-                blob: blob,
-                timestamp: new Date().toISOString(),
-                duration: this.recordedChunks.length // Approximation
-            };
+        return { data: data, signCount: new DataView(data.buffer, data.byteOffset + 33, 4).getUint32(0) };
+    },
 
-            // Add to current user's signatures
-            if (this.currentUser) {
-                this.currentUser.signatures.push(signatureData);
-                this.signatureCount = this.currentUser.signatures.length;
-                this.saveUserData();
+    importKey(publicKey, algorithm) {
+        return CryptoUtils.subtle().importKey('spki', CryptoUtils.fromBase64Url(publicKey),
+            this.algorithms[algorithm].importParams, false, ['verify']);
+    },
 
-                // Update UI
-                this.updateSignatureGallery();
-                this.updateProgressIndicator();
-                this.updateEnrollmentStatus(`Signature ${this.signatureCount}/5 saved successfully!`, 'success');
-                this.showNotification(`Signature ${this.signatureCount} saved! ${5 - this.signatureCount} more to go.`, 'success');
+    // Authenticators sign ECDSA in DER; Web Crypto wants r and s as fixed-size big-endian halves
+    derToRawSignature(der, size) {
+        if (der[0] !== 0x30) throw new Error('Passkey signature is malformed');
 
-                // Check if enrollment is complete
-                if (this.signatureCount >= 5) {
-                    this.currentUser.enrollmentComplete = true;
-                    this.updateControlStates('enrollment', 'enrollment-complete');
-                    this.updateEnrollmentStatus('Enrollment complete! Click "Finish Enrollment" to complete setup.', 'success');
-                    this.showNotification('🎉 Enrollment complete! You can now use air signature authentication.', 'success');
-                }
+        const raw = new Uint8Array(size * 2);
+        let offset = der[1] & 0x80 ? 2 + (der[1] & 0x7f) : 2;
 
-                // Reset for next recording
-                this.recordedChunks = [];
-                this.updateControlStates('enrollment', 'camera-ready');
+        for (let part = 0; part < 2; part++) {
+            if (der[offset] !== 0x02) throw new Error('Passkey signature is malformed');
 
-            } else {
-                throw new Error('No user logged in');
-            }
+            const length = der[offset + 1];
+            let value = der.slice(offset + 2, offset + 2 + length);
+            while (value.length > size && value[0] === 0) value = value.slice(1);
+            if (value.length > size) throw new Error('Passkey signature is malformed');
 
-        } catch (error) {
-            console.error('Save signature error:', error);
-            this.showNotification('Failed to save signature. Please try again.', 'error');
-            this.updateEnrollmentStatus('Failed to save signature. Please try again.', 'error');
+            raw.set(value, part * size + size - value.length);
+            offset += 2 + length;
         }
+
+        return raw;
     }
+};
 
-    finishEnrollment() {
-        if (!this.currentUser || !this.currentUser.enrollmentComplete) {
-            this.showNotification('Please complete all 5 signatures first!', 'error');
-            return;
+// =============================================================================
+// Signature Store (IndexedDB)
+// =============================================================================
+
+/**
+ * Persists signature records in IndexedDB, keyed by [userId, id], so videos
+ * and trajectories survive reloads. Records are stored as given; AirAuthApp
+ * encrypts their contents before they get here.
+ */
+class SignatureStore {
+    constructor(databaseName = 'airauth', storeName = 'signatures') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.database = null;
+    }
+
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is unavailable'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.databaseName, 1);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: ['userId', 'id'] });
+                    store.createIndex('userId', 'userId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         }
 
-        console.log('✅ Finishing enrollment...');
+        return this.database;
+    }
 
-        this.stopCamera();
-        this.saveUserData();
-        this.updateAuthStatus();
+    async transaction(mode, operation) {
+        const database = await this.open();
 
-        this.showNotification('🎉 Enrollment completed successfully! You can now use air signature authentication.', 'success');
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
 
-        setTimeout(() => {
-            this.showPage('dashboard');
-        }, 2000);
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
     }
 
-    resetEnrollment() {
-        console.log('🔄 Resetting enrollment...');
+    put(record) {
+        return this.transaction('readwrite', store => store.put(record));
+    }
 
-        this.signatureCount = this.currentUser ? this.currentUser.signatures.length : 0;
-        this.recordedChunks = [];
-        this.isRecording = false;
+    get(userId, id) {
+        return this.transaction('readonly', store => store.get([userId, id]));
+    }
 
-        this.stopCamera();
-        this.updateControlStates('enrollment', 'initial');
-        this.updateProgressIndicator();
-        this.updateSignatureGallery();
-        this.updateEnrollmentStatus('Click "Start Camera" to begin enrollment process.', 'info');
+    list(userId) {
+        return this.transaction('readonly', store => store.index('userId').getAll(userId));
     }
 
-    updateProgressIndicator() {
-        const progressFill = document.querySelector('.progress-fill');
-        const signatureCountElement = document.getElementById('signature-count');
+    delete(userId, id) {
+        return this.transaction('readwrite', store => store.delete([userId, id]));
+    }
 
-        const progress = (this.signatureCount / 5) * 100;
+    clear(userId) {
+        return this.transaction('readwrite', store => {
+            const request = store.index('userId').openCursor(userId);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+    }
+}
 
-        if (progressFill) {
-            progressFill.style.width = `${progress}%`;
-        }
+// =============================================================================
+// Session Tokens
+// =============================================================================
 
-        if (signatureCountElement) {
-            signatureCountElement.textContent = this.signatureCount;
-        }
+/**
+ * HMAC-signed session tokens (`<payload>.<signature>`, base64url) carrying an
+ * issued-at time and an absolute expiry. Issued sessions are kept in a
+ * registry that tracks last activity for the idle timeout and lets sessions
+ * be revoked one at a time or all together for a user.
+ */
+class SessionManager {
+    constructor(options = {}) {
+        this.ttl = options.ttl || 8 * 60 * 60 * 1000;
+        this.idleTimeout = options.idleTimeout || 30 * 60 * 1000;
+        this.storage = options.storage || localStorage;
+        this.secretKey = options.secretKey || 'airauth_session_secret';
+        this.registryKey = options.registryKey || 'airauth_sessions';
+        this.signingKey = null;
     }
 
-    updateSignatureGallery() {
-        const gallery = document.getElementById('signature-gallery');
-        if (!gallery) return;
+    async issue(user, claims = {}) {
+        const now = Date.now();
+        const payload = {
+            sid: CryptoUtils.toBase64Url(CryptoUtils.randomBytes(16)),
+            sub: user.id,
+            username: user.username,
+            iat: now,
+            exp: now + this.ttl,
+            ...claims
+        };
 
-        gallery.innerHTML = '';
+        const registry = this.pruned(this.readRegistry());
+        registry[payload.sid] = { userId: user.id, iat: payload.iat, exp: payload.exp, lastActivity: now };
+        this.writeRegistry(registry);
 
-        // Create 5 thumbnail slots
-        for (let i = 0; i < 5; i++) {
-            const thumbnail = document.createElement('div');
-            thumbnail.className = 'signature-thumbnail';
+        const body = CryptoUtils.toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+        return `${body}.${CryptoUtils.toBase64Url(await this.sign(body))}`;
+    }
 
-            if (i < this.signatureCount) {
-                thumbnail.classList.add('recorded');
-                thumbnail.innerHTML = `<i class="fas fa-check"></i><br>Signature ${i + 1}`;
-            } else {
-                thumbnail.innerHTML = `<i class="fas fa-plus"></i><br>Record ${i + 1}`;
+    async validate(token) {
+        if (!token) return { valid: false, reason: 'missing' };
+
+        const [body, signature] = token.split('.');
+        if (!body || !signature) return { valid: false, reason: 'malformed' };
+
+        let payload;
+        try {
+            const expected = new Uint8Array(await this.sign(body));
+            if (!CryptoUtils.constantTimeEqual(expected, CryptoUtils.fromBase64Url(signature))) {
+                return { valid: false, reason: 'signature' };
             }
+            payload = this.decode(token);
+        } catch (error) {
+            return { valid: false, reason: 'malformed' };
+        }
 
-            gallery.appendChild(thumbnail);
+        const entry = this.readRegistry()[payload.sid];
+        const now = Date.now();
+
+        if (!entry) return { valid: false, reason: 'revoked', payload: payload };
+
+        if (now >= payload.exp) {
+            this.revoke(payload.sid);
+            return { valid: false, reason: 'expired', payload: payload };
         }
-    }
 
-    updateEnrollmentStatus(message, type = 'info') {
-        const statusElement = document.getElementById('enrollment-status');
-        if (statusElement) {
-            statusElement.textContent = message;
-            statusElement.className = `status-message ${type}`;
+        if (now - entry.lastActivity >= this.idleTimeout) {
+            this.revoke(payload.sid);
+            return { valid: false, reason: 'idle', payload: payload };
         }
+
+        return { valid: true, payload: payload };
     }
 
-    // ==========================================================================
-    // Authentication Testing
-    // ==========================================================================
+    // Claims of a token, without checking it
+    decode(token) {
+        return JSON.parse(new TextDecoder().decode(CryptoUtils.fromBase64Url(token.split('.')[0])));
+    }
 
-    async authenticateGesture() {
-        if (!this.currentUser || !this.currentUser.enrollmentComplete) {
-            this.showNotification('Please complete enrollment first!', 'error');
-            this.showPage('enrollment');
-            return;
-        }
+    touch(sid) {
+        const registry = this.readRegistry();
+        if (!registry[sid]) return;
 
-        if (!this.webcamStream) {
-            this.showNotification('Please start the camera first!', 'error');
-            return;
-        }
+        registry[sid].lastActivity = Date.now();
+        this.writeRegistry(registry);
+    }
+
+    revoke(sid) {
+        const registry = this.readRegistry();
+        delete registry[sid];
+        this.writeRegistry(registry);
+    }
+
+    revokeAll(userId) {
+        const registry = this.readRegistry();
+        const sids = Object.keys(registry).filter(sid => registry[sid].userId === userId);
 
-        console.log('🔐 Starting gesture authentication...');
+        sids.forEach(sid => delete registry[sid]);
+        this.writeRegistry(registry);
+        return sids.length;
+    }
+
+    list(userId) {
+        const registry = this.pruned(this.readRegistry());
+        return Object.keys(registry)
+            .filter(sid => registry[sid].userId === userId)
+            .map(sid => ({ sid: sid, ...registry[sid] }));
+    }
 
-        // Show loading state
-        this.showAuthResult('processing', 'Processing...', 'Analyzing your gesture...');
+    pruned(registry) {
+        const now = Date.now();
+        Object.keys(registry).forEach(sid => {
+            const entry = registry[sid];
+            if (now >= entry.exp || now - entry.lastActivity >= this.idleTimeout) {
+                delete registry[sid];
+            }
+        });
+        return registry;
+    }
 
-        // Simulate gesture recognition process
+    readRegistry() {
         try {
-            await this.simulateGestureRecognition();
+            return JSON.parse(this.storage.getItem(this.registryKey)) || {};
         } catch (error) {
-            console.error('Authentication error:', error);
-            this.showAuthResult('error', 'Authentication Failed', 'An error occurred during authentication.');
-            this.addAuthHistory('Air Signature', false, 'System error');
+            return {};
         }
     }
 
-    async simulateGestureRecognition() {
-        // Simulate processing time
-        await this.delay(3000);
-
-        // Simulate recognition result (90% success rate for demo)
-        const isAuthenticated = Math.random() > 0.1;
-        const confidence = isAuthenticated ? 
-            Math.round(85 + Math.random() * 10) : // 85-95% confidence for success
-            Math.round(30 + Math.random() * 40);   // 30-70% confidence for failure
-
-        if (isAuthenticated) {
-            this.showAuthResult('success', 'Authentication Successful!', 
-                `Gesture recognized with ${confidence}% confidence. Welcome, ${this.currentUser.username}!`);
-            this.addAuthHistory('Air Signature', true, `${confidence}% confidence`);
-            this.showNotification('🎉 Authentication successful!', 'success');
-        } else {
-            this.showAuthResult('error', 'Authentication Failed', 
-                `Gesture not recognized (${confidence}% confidence). Please try again.`);
-            this.addAuthHistory('Air Signature', false, `Low confidence (${confidence}%)`);
-            this.showNotification('❌ Authentication failed. Please try again.', 'error');
-        }
+    writeRegistry(registry) {
+        this.storage.setItem(this.registryKey, JSON.stringify(registry));
     }
 
-    showAuthResult(type, message, details) {
-        const resultCard = document.getElementById('auth-result');
-        const resultIcon = resultCard.querySelector('.result-icon');
-        const resultMessage = resultCard.querySelector('.result-message');
-        const resultDetails = resultCard.querySelector('.result-details');
+    async sign(body) {
+        const key = await this.getSigningKey();
+        return CryptoUtils.subtle().sign('HMAC', key, new TextEncoder().encode(body));
+    }
 
-        if (resultCard) {
-            resultCard.className = `result-card ${type}`;
-            resultCard.classList.remove('hidden');
-        }
+    // Per-browser HMAC key, created on first use
+    async getSigningKey() {
+        if (this.signingKey) return this.signingKey;
 
-        if (resultIcon) {
-            resultIcon.className = `result-icon ${type}`;
-        }
+        const subtle = CryptoUtils.subtle();
+        const algorithm = { name: 'HMAC', hash: 'SHA-256' };
+        let secret = this.storage.getItem(this.secretKey);
 
-        if (resultMessage) {
-            resultMessage.textContent = message;
-            resultMessage.className = `result-message ${type}`;
+        if (!secret) {
+            secret = CryptoUtils.toBase64(CryptoUtils.randomBytes(32));
+            this.storage.setItem(this.secretKey, secret);
         }
 
-        if (resultDetails) {
-            resultDetails.textContent = details;
-        }
+        this.signingKey = await subtle.importKey('raw', CryptoUtils.fromBase64(secret), algorithm, false, ['sign']);
+        return this.signingKey;
     }
+}
 
-    resetAuthTest() {
-        console.log('🔄 Resetting authentication test...');
-
-        this.stopCamera();
-        this.updateControlStates('auth', 'initial');
+// =============================================================================
+// Attempt Limits
+// =============================================================================
 
-        const resultCard = document.getElementById('auth-result');
-        if (resultCard) {
-            resultCard.classList.add('hidden');
-        }
+/**
+ * Failed-attempt counters with exponential backoff and temporary lockout.
+ * Counters are kept per key, such as `password:<account>` or
+ * `device:<id>`, and an attempt is allowed only while none of its keys is
+ * waiting or locked. Each failure inside the window doubles the wait before
+ * the next attempt; the maxFailures-th locks the key for lockoutDuration.
+ * scopeLimits overrides maxFailures by the part of the key before the colon,
+ * so a device shared by several accounts can be given more room. Such a
+ * shared key only starts backing off in its last maxFailures failures before
+ * that limit, so one account's mistakes do not slow down the others.
+ * With logLockouts each lockout is also kept per key, for up to
+ * lockoutRetention, until takeLockouts() collects it, so it can reach a
+ * history that was not readable at the time.
+ */
+class AttemptLimiter {
+    constructor(options = {}) {
+        this.maxFailures = options.maxFailures || 5;
+        this.scopeLimits = options.scopeLimits || {};
+        this.window = options.window || 15 * 60 * 1000;
+        this.lockoutDuration = options.lockoutDuration || 15 * 60 * 1000;
+        this.baseDelay = options.baseDelay || 1000;
+        this.maxDelay = options.maxDelay || 60 * 1000;
+        this.storage = options.storage || localStorage;
+        this.storageKey = options.storageKey || 'airauth_attempts';
+        this.logLockouts = options.logLockouts !== false;
+        this.lockoutRetention = options.lockoutRetention || 30 * 24 * 60 * 60 * 1000;
     }
 
-    // ==========================================================================
-    // Dashboard Management
-    // ==========================================================================
+    // { allowed, lockedOut, retryAfter (ms), failures } for the strictest of the keys
+    status(keys) {
+        const now = Date.now();
+        const counters = this.read();
+        const status = { allowed: true, lockedOut: false, retryAfter: 0, failures: 0 };
+
+        keys.forEach(key => {
+            const counter = this.current(counters[key], now);
+            const lockedOut = counter.lockedUntil > now;
+            const lastFailure = counter.failures[counter.failures.length - 1] || 0;
+            const backoff = counter.failures.length - (this.limit(key) - this.maxFailures);
+            const waitUntil = lockedOut ? counter.lockedUntil : lastFailure + this.delay(backoff);
+
+            status.lockedOut = status.lockedOut || lockedOut;
+            status.failures = Math.max(status.failures, counter.failures.length);
+            status.retryAfter = Math.max(status.retryAfter, waitUntil - now);
+        });
 
-    updateDashboard() {
-        if (!this.currentUser) {
-            this.showNotification('Please log in to access dashboard', 'error');
-            this.showPage('login');
-            return;
-        }
+        status.allowed = status.retryAfter === 0;
+        return status;
+    }
 
-        console.log('📊 Updating dashboard...');
+    recordFailure(keys) {
+        const now = Date.now();
+        const counters = this.read();
 
-        // Update profile information
-        this.updateProfileInfo();
+        keys.forEach(key => {
+            const counter = this.current(counters[key], now);
+            counter.failures.push(now);
 
-        // Update statistics
-        this.updateAuthStats();
+            if (counter.failures.length >= this.limit(key)) {
+                counter.lockedUntil = now + this.lockoutDuration;
+                if (this.logLockouts) {
+                    counter.lockouts = [...counter.lockouts, { at: now, until: counter.lockedUntil, failures: counter.failures.length }].slice(-10);
+                }
+                counter.failures = [];
+            }
+            counters[key] = counter;
+        });
 
-        // Update history table
-        this.updateAuthHistoryTable();
+        this.write(counters);
+        return this.status(keys);
     }
 
-    updateProfileInfo() {
-        const usernameElement = document.getElementById('profile-username');
-        const emailElement = document.getElementById('profile-email');
-        const enrollmentElement = document.getElementById('profile-enrollment');
-        const signaturesElement = document.getElementById('profile-signatures');
-
-        if (usernameElement) usernameElement.textContent = this.currentUser.username;
-        if (emailElement) emailElement.textContent = this.currentUser.email;
+    // Clears counters and lockouts, e.g. after a successful sign-in
+    reset(keys) {
+        const counters = this.read();
+        keys.forEach(key => {
+            if (counters[key]) {
+                counters[key] = { failures: [], lockedUntil: 0, lockouts: counters[key].lockouts || [] };
+            }
+        });
+        this.write(counters);
+    }
 
-        if (enrollmentElement) {
-            enrollmentElement.textContent = this.currentUser.enrollmentComplete ? 'Enrolled' : 'Not Enrolled';
-            enrollmentElement.className = `status-badge ${this.currentUser.enrollmentComplete ? 'enrolled' : 'not-enrolled'}`;
-        }
+    // Lockouts logged for a key since the last call
+    takeLockouts(key) {
+        const counters = this.read();
+        const lockouts = counters[key] ? counters[key].lockouts || [] : [];
 
-        if (signaturesElement) {
-            signaturesElement.textContent = `${this.currentUser.signatures.length}/5`;
+        if (lockouts.length > 0) {
+            counters[key].lockouts = [];
+            this.write(counters);
         }
+        return lockouts;
     }
 
-    updateAuthStats() {
-        const totalAttempts = this.currentUser.authHistory.length;
-        const successfulAuths = this.currentUser.authHistory.filter(entry => entry.success).length;
-        const successRate = totalAttempts > 0 ? Math.round((successfulAuths / totalAttempts) * 100) : 0;
-
-        const totalElement = document.getElementById('total-attempts');
-        const successfulElement = document.getElementById('successful-auths');
-        const rateElement = document.getElementById('success-rate');
+    // Message for an attempt that status() did not allow
+    describe(status) {
+        const wait = status.retryAfter >= 60 * 1000
+            ? `${Math.ceil(status.retryAfter / 60000)} min`
+            : `${Math.ceil(status.retryAfter / 1000)} s`;
 
-        if (totalElement) totalElement.textContent = totalAttempts;
-        if (successfulElement) successfulElement.textContent = successfulAuths;
-        if (rateElement) rateElement.textContent = `${successRate}%`;
+        return status.lockedOut
+            ? `Locked out after too many failed attempts. Try again in ${wait}.`
+            : `Too many failed attempts. Please wait ${wait} before trying again.`;
     }
 
-    updateAuthHistoryTable() {
-        const tbody = document.getElementById('auth-history-body');
-        if (!tbody) return;
+    // Failures that lock a key out
+    limit(key) {
+        return this.scopeLimits[key.split(':')[0]] || this.maxFailures;
+    }
 
-        tbody.innerHTML = '';
+    delay(failures) {
+        return failures > 0 ? Math.min(this.baseDelay * 2 ** (failures - 1), this.maxDelay) : 0;
+    }
 
-        const history = this.currentUser.authHistory.slice(-10).reverse(); // Show last 10, most recent first
+    // A key's counter with failures outside the window dropped
+    current(counter, now) {
+        return {
+            failures: ((counter && counter.failures) || []).filter(time => now - time < this.window),
+            lockedUntil: (counter && counter.lockedUntil) || 0,
+            lockouts: (counter && counter.lockouts) || []
+        };
+    }
 
-        if (history.length === 0) {
-            const row = tbody.insertRow();
-            const cell = row.insertCell();
-            cell.colSpan = 4;
-            cell.className = 'no-data';
-            cell.textContent = 'No authentication history available';
-            return;
+    read() {
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
         }
+    }
 
-        history.forEach(entry => {
-            const row = tbody.insertRow();
-
-            // Date & Time
-            const dateCell = row.insertCell();
-            const date = new Date(entry.timestamp);
-            dateCell.textContent = date.toLocaleString();
+    write(counters) {
+        const now = Date.now();
+        Object.keys(counters).forEach(key => {
+            const counter = counters[key];
+            counter.lockouts = counter.lockouts.filter(lockout => now - lockout.at < this.lockoutRetention);
 
-            // Method
-            const methodCell = row.insertCell();
-            methodCell.textContent = entry.method;
+            const idle = !counter.failures.some(time => now - time < this.window) && counter.lockedUntil <= now;
+            if (idle && counter.lockouts.length === 0) delete counters[key];
+        });
+        this.storage.setItem(this.storageKey, JSON.stringify(counters));
+    }
+}
 
-            // Result
-            const resultCell = row.insertCell();
-            resultCell.textContent = entry.success ? '✅ Success' : '❌ Failed';
-            resultCell.style.color = entry.success ? '#10b981' : '#ef4444';
+// =============================================================================
+// Server API Client
+// =============================================================================
 
-            // Details
-            const detailsCell = row.insertCell();
-            detailsCell.textContent = entry.details || '-';
-        });
+class ApiError extends Error {
+    constructor(message, status = 0) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
     }
 
-    // ==========================================================================
-    // Data Management
-    // ==========================================================================
+    // Status 0 means the server could not be reached at all
+    get offline() {
+        return this.status === 0;
+    }
+}
 
-    loadUserData() {
-        try {
-            const savedUsers = localStorage.getItem('airauth_users');
-            const savedCurrentUser = localStorage.getItem('airauth_current_user');
-            const savedAuthStatus = localStorage.getItem('airauth_authenticated');
+/**
+ * Thin client for the REST API in server/server.js. Requests carry the
+ * server-issued session token as a bearer token; failures throw ApiError,
+ * with `offline` set when the server is unreachable so callers can fall
+ * back to local storage.
+ */
+class AirAuthApiClient {
+    constructor(baseUrl, options = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.timeout = options.timeout || 10000;
+        this.token = null;
+    }
 
-            if (savedUsers) {
-                const usersData = JSON.parse(savedUsers);
-                this.users = new Map(usersData);
-                console.log(`💾 Loaded ${this.users.size} users from storage`);
-            }
+    setToken(token) {
+        this.token = token || null;
+    }
 
-            if (savedCurrentUser && savedAuthStatus === 'true') {
-                const userData = JSON.parse(savedCurrentUser);
-                this.currentUser = userData;
-                this.isAuthenticated = true;
-                console.log(`👤 Restored session for: ${userData.username}`);
-            }
+    async request(method, path, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
 
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, {
+                method: method,
+                headers: headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal
+            });
         } catch (error) {
-            console.error('Failed to load user data:', error);
-            this.users = new Map();
-            this.currentUser = null;
-            this.isAuthenticated = false;
+            throw new ApiError(`AirAuth server unreachable (${error.message})`);
+        } finally {
+            clearTimeout(timer);
         }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new ApiError(data.error || `Request failed with status ${response.status}`, response.status);
+        }
+        return data;
     }
 
-    saveUserData() {
-        try {
-            // Save users map
-            const usersArray = Array.from(this.users.entries());
-            localStorage.setItem('airauth_users', JSON.stringify(usersArray));
+    register(username, email, password) {
+        return this.request('POST', '/api/register', { username, email, password });
+    }
 
-            // Save current user and auth status
-            if (this.currentUser && this.isAuthenticated) {
-                localStorage.setItem('airauth_current_user', JSON.stringify(this.currentUser));
-                localStorage.setItem('airauth_authenticated', 'true');
-            } else {
-                localStorage.removeItem('airauth_current_user');
-                localStorage.removeItem('airauth_authenticated');
-            }
+    login(username, password) {
+        return this.request('POST', '/api/login', { username, password });
+    }
 
-            console.log('💾 User data saved successfully');
-        } catch (error) {
-            console.error('Failed to save user data:', error);
-        }
+    logout() {
+        return this.request('POST', '/api/logout');
     }
 
-    addAuthHistory(method, success, details) {
-        if (!this.currentUser) return;
+    logoutAll() {
+        return this.request('POST', '/api/sessions/revoke-all');
+    }
 
-        const authEntry = {
-            timestamp: new Date().toISOString(),
-            method: method,
-            success: success,
-            details: details
-        };
+    me() {
+        return this.request('GET', '/api/me');
+    }
 
-        this.currentUser.authHistory.push(authEntry);
-        this.saveUserData();
+    signatures() {
+        return this.request('GET', '/api/signatures');
+    }
 
-        console.log(`📝 Auth history added: ${method} - ${success ? 'Success' : 'Failed'}`);
+    async uploadSignature(signature) {
+        return this.request('POST', '/api/signatures', {
+            gestureId: signature.gestureId,
+            trajectory: signature.trajectory,
+            duration: signature.duration,
+            timestamp: signature.timestamp,
+            video: signature.blob ? CryptoUtils.toBase64(await signature.blob.arrayBuffer()) : null
+        });
     }
 
-    checkAuthStatus() {
-        const savedAuthStatus = localStorage.getItem('airauth_authenticated');
-        if (savedAuthStatus === 'true' && this.currentUser) {
-            this.updateAuthStatus();
-        }
+    finishEnrollment(gestureId) {
+        return this.request('POST', '/api/enrollment/finish', { gestureId });
     }
 
-    updateAuthStatus() {
-        // Update navigation based on auth status
-        this.updateNavigation(this.currentPage);
+    createGesture(name, duress = false) {
+        return this.request('POST', '/api/gestures', { name, duress });
+    }
 
-        // Update any auth-dependent UI elements
-        const authElements = document.querySelectorAll('[data-auth-required]');
-        authElements.forEach(element => {
-            element.style.display = this.isAuthenticated ? 'block' : 'none';
-        });
+    renameGesture(gestureId, name) {
+        return this.request('POST', `/api/gestures/${encodeURIComponent(gestureId)}`, { name });
     }
 
-    // ==========================================================================
-    // Utility Functions
-    // ==========================================================================
+    deleteGesture(gestureId) {
+        return this.request('POST', `/api/gestures/${encodeURIComponent(gestureId)}/delete`);
+    }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    challenge(username) {
+        return this.request('POST', '/api/challenge', { username });
     }
 
-    showNotification(message, type = 'info', duration = 5000) {
-        console.log(`🔔 Notification: ${message} (${type})`);
+    // attempt is { trajectory, motion } from captureAuthTrajectory()
+    verify({ trajectory, motion }, challenge) {
+        return this.request('POST', '/api/verify', { trajectory, motion, challenge });
+    }
 
-        const notification = document.getElementById('notification');
-        const messageElement = notification.querySelector('.notification-message');
-        const content = notification.querySelector('.notification-content');
+    completeStepUp(stepUpToken, { trajectory, motion }, challenge) {
+        return this.request('POST', '/api/login/step-up', { stepUpToken, trajectory, motion, challenge });
+    }
 
-        if (messageElement) messageElement.textContent = message;
-        if (content) {
-            content.className = `notification-content ${type}`;
-        }
+    updateSettings(settings) {
+        return this.request('POST', '/api/settings', settings);
+    }
 
-        notification.classList.remove('hidden');
-        notification.classList.add('show');
+    airSignatureLogin(username, { trajectory, motion }, challenge) {
+        return this.request('POST', '/api/login/airsign', { username, trajectory, motion, challenge });
+    }
 
-        // Auto-hide notification
-        setTimeout(() => {
-            this.hideNotification();
-        }, duration);
+    passkeyRegistrationOptions() {
+        return this.request('POST', '/api/passkeys/options');
     }
 
-    hideNotification() {
-        const notification = document.getElementById('notification');
-        notification.classList.remove('show');
-        notification.classList.add('hidden');
+    // credential is what Passkeys.create() returned for the options' challenge
+    addPasskey(credential, challenge) {
+        return this.request('POST', '/api/passkeys', { credential, challenge });
     }
 
-    handleKeyboard(e) {
-        // Escape key to close modals/notifications
-        if (e.key === 'Escape') {
-            this.hideNotification();
-            this.hideHelp();
-        }
+    // With a step-up token the options name that account's passkeys; without, any passkey may answer
+    passkeyLoginOptions(stepUpToken = null) {
+        return this.request('POST', '/api/login/passkey/options', { stepUpToken });
+    }
 
-        // Space bar to stop recording (when recording)
-        if (e.key === ' ' && this.isRecording) {
-            e.preventDefault();
-            this.stopRecording();
-        }
+    passkeyLogin(credential, challenge) {
+        return this.request('POST', '/api/login/passkey', { credential, challenge });
     }
 
-    logout() {
-        console.log('👋 Logging out...');
+    completeStepUpWithPasskey(stepUpToken, credential, challenge) {
+        return this.request('POST', '/api/login/step-up/passkey', { stepUpToken, credential, challenge });
+    }
 
-        this.stopCamera();
-        this.currentUser = null;
-        this.isAuthenticated = false;
-        this.signatureCount = 0;
+    // request is { identifier, code or token, newPassword, resetSignatures }
+    recover(request) {
+        return this.request('POST', '/api/recovery', request);
+    }
 
-        localStorage.removeItem('airauth_current_user');
-        localStorage.removeItem('airauth_authenticated');
+    sendRecoveryEmail(identifier) {
+        return this.request('POST', '/api/recovery/email', { identifier });
+    }
 
-        this.showNotification('Logged out successfully', 'info');
-        this.showPage('home');
+    regenerateRecoveryCodes() {
+        return this.request('POST', '/api/recovery/codes');
+    }
+
+    history() {
+        return this.request('GET', '/api/history');
     }
 }
 
@@ -1177,46 +6649,82 @@ function logout() {
     }
 }
 
+function signOutAllSessions() {
+    if (window.airAuthApp) {
+        window.airAuthApp.signOutAllSessions();
+    }
+}
+
 // =============================================================================
 // Application Bootstrap
 // =============================================================================
 
-document.addEventListener('DOMContentLoaded', function() {
-    console.log('🚀 AirAuth Application Starting...');
+// Only in a browser; under Node this file just provides the engine classes
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        console.log('🚀 AirAuth Application Starting...');
+
+        // Initialize the application
+        window.airAuthApp = new AirAuthApp(window.airAuthConfig);
 
-    // Initialize the application
-    window.airAuthApp = new AirAuthApp();
+        // Handle browser navigation
+        window.addEventListener('popstate', function(e) {
+            const hash = window.location.hash.substr(1);
+            if (hash && window.airAuthApp) {
+                window.airAuthApp.showPage(hash);
+            }
+        });
 
-    // Handle browser navigation
-    window.addEventListener('popstate', function(e) {
-        const hash = window.location.hash.substr(1);
-        if (hash && window.airAuthApp) {
-            window.airAuthApp.showPage(hash);
+        // Handle initial hash once stored data has been loaded
+        const initialHash = window.location.hash.substr(1);
+        if (initialHash && window.airAuthApp) {
+            window.airAuthApp.ready.then(() => {
+                window.airAuthApp.showPage(initialHash);
+            });
         }
+
+        console.log('✅ AirAuth Application Initialized Successfully!');
     });
 
-    // Handle initial hash
-    const initialHash = window.location.hash.substr(1);
-    if (initialHash && window.airAuthApp) {
-        setTimeout(() => {
-            window.airAuthApp.showPage(initialHash);
-        }, 100);
-    }
+    // Handle page visibility changes
+    document.addEventListener('visibilitychange', function() {
+        if (document.hidden && window.airAuthApp) {
+            // Stop camera when page becomes hidden
+            window.airAuthApp.stopCamera();
+        }
+    });
 
-    console.log('✅ AirAuth Application Initialized Successfully!');
-});
+    // Handle page unload
+    window.addEventListener('beforeunload', function() {
+        if (window.airAuthApp) {
+            window.airAuthApp.stopCamera();
+        }
+    });
+}
 
-// Handle page visibility changes
-document.addEventListener('visibilitychange', function() {
-    if (document.hidden && window.airAuthApp) {
-        // Stop camera when page becomes hidden
-        window.airAuthApp.stopCamera();
-    }
-});
+// =============================================================================
+// Node Exports (shared with server/server.js)
+// =============================================================================
 
-// Handle page unload
-window.addEventListener('beforeunload', function() {
-    if (window.airAuthApp) {
-        window.airAuthApp.stopCamera();
-    }
-});
\ No newline at end of file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TrajectoryMatcher,
+        GestureRecognizer,
+        DtwRecognizer,
+        ReferenceRecognizer,
+        RECOGNIZERS,
+        GestureCredentials,
+        LivenessChecker,
+        CryptoUtils,
+        PasswordHasher,
+        UserVault,
+        RecoveryCodes,
+        EnrollmentBundle,
+        AuditLog,
+        Passkeys,
+        SessionManager,
+        AttemptLimiter,
+        ApiError,
+        AirAuthApiClient
+    };
+}
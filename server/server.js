@@ -0,0 +1,1177 @@
+// =============================================================================
+// AirAuth - Local Authentication Server
+// REST API for registration, password login, signature enrollment, gesture
+// verification and history. Built on Node's standard library only (Node 20+)
+// and the recognizers from responsive design/app.js. Air-signature decisions
+// for server accounts are made here and nowhere else; clients only show them.
+// Accounts the app keeps on a device without a server (no apiBaseUrl) never
+// reach this server: the browser verifies those and issues their sessions.
+//
+//   node server/server.js
+//   node --test server/          (tests, in server/tests)
+//
+// Environment: PORT (default 3001), AIRAUTH_DATA (data directory, default
+// server/data), AIRAUTH_RECOGNIZER (name in RECOGNIZERS, default dtw),
+// AIRAUTH_RP_ID (host name of the pages passkeys are used from, default
+// localhost).
+// Recovery emails are not sent; they are written to <data>/outbox instead.
+// =============================================================================
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    CryptoUtils,
+    PasswordHasher,
+    RecoveryCodes,
+    AuditLog,
+    Passkeys,
+    SessionManager,
+    AttemptLimiter,
+    LivenessChecker,
+    RECOGNIZERS,
+    GestureCredentials
+} = require('../responsive design/app.js');
+
+const PORT = Number(process.env.PORT) || 3001;
+const DATA_DIR = process.env.AIRAUTH_DATA || path.join(__dirname, 'data');
+const RECOGNIZER = process.env.AIRAUTH_RECOGNIZER || 'dtw';
+const MAX_BODY_BYTES = 50 * 1024 * 1024; // Signature uploads carry their video
+const REQUIRED_SIGNATURES = GestureCredentials.signaturesRequired; // Per gesture
+const HISTORY_LIMIT = 100; // Audit log entries kept per user
+const CHALLENGE_TTL = 2 * 60 * 1000;
+const STEP_UP_TTL = 5 * 60 * 1000; // Time allowed between the password and the air signature
+const RECENT_ATTEMPTS = 10; // Earlier attempts kept per user for the replay check
+const REPLAY_ATTEMPTS = 20; // Latest attempts whose trajectories stay in the history for the replay viewer
+const RECOVERY_CODE_COUNT = 8;
+const RESET_TOKEN_TTL = 30 * 60 * 1000;
+const RP_ID = process.env.AIRAUTH_RP_ID || 'localhost';
+
+// Answer to every rejected signed-out attempt, so unknown accounts look like mismatches
+const NOT_RECOGNIZED = { score: 0, decision: 'reject', reasons: ['Air signature not recognized.'] };
+const PASSKEY_NOT_RECOGNIZED = { decision: 'reject', reasons: ['Passkey not recognized.'] };
+
+// Synchronous SHA-256, so audit entries are chained as soon as they are added
+function auditDigest(text) {
+    return crypto.createHash('sha256').update(text).digest('base64');
+}
+
+// Usernames are unique regardless of case; records are kept under the lower-cased name
+function userKey(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+// Drop entries whose expiresAt has passed from a Map of short-lived tokens
+function pruneExpired(entries) {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+        if (now >= entry.expiresAt) entries.delete(key);
+    });
+}
+
+class HttpError extends Error {
+    // details are sent to the client alongside the message
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// =============================================================================
+// Storage
+// =============================================================================
+
+/**
+ * Stand-in for an email service: each message is written to a text file in
+ * the outbox directory and logged, so reset tokens can be picked up locally.
+ */
+class OutboxMailer {
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    send(to, subject, text) {
+        fs.mkdirSync(this.directory, { recursive: true });
+        const file = path.join(this.directory, `${Date.now()}-${to.replace(/[^\w.@-]/g, '_')}.txt`);
+        fs.writeFileSync(file, `To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+        console.log(`📧 Email to ${to} written to ${file}`);
+    }
+}
+
+/**
+ * JSON file holding every user record plus a small key/value area. The
+ * key/value methods follow the Web Storage interface so SessionManager can
+ * keep its signing secret and session registry here.
+ */
+class JsonStore {
+    constructor(directory) {
+        this.directory = directory;
+        this.file = path.join(directory, 'airauth-db.json');
+        this.data = { users: {}, kv: {} };
+
+        fs.mkdirSync(directory, { recursive: true });
+        if (fs.existsSync(this.file)) {
+            this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        }
+
+        // Accounts enrolled before gestures were named
+        Object.values(this.data.users).forEach(user => GestureCredentials.migrate(user));
+        this.rekeyUsers();
+    }
+
+    save() {
+        // Write then rename so a crash never leaves a half-written database
+        const temporary = `${this.file}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(this.data, null, 2));
+        fs.renameSync(temporary, this.file);
+    }
+
+    getUser(username) {
+        return this.data.users[userKey(username)] || null;
+    }
+
+    findUser(identifier) {
+        const normalized = String(identifier || '').trim().toLowerCase();
+        return this.getUser(identifier) ||
+            Object.values(this.data.users).find(user => user.email.toLowerCase() === normalized) || null;
+    }
+
+    findUserById(id) {
+        return Object.values(this.data.users).find(user => user.id === id) || null;
+    }
+
+    findUserByPasskey(credentialId) {
+        return Object.values(this.data.users).find(user =>
+            (user.passkeys || []).some(passkey => passkey.id === credentialId)) || null;
+    }
+
+    putUser(user) {
+        this.data.users[userKey(user.username)] = user;
+        this.save();
+    }
+
+    // Records from before usernames were case-insensitive are keyed by the name as typed
+    rekeyUsers() {
+        const users = {};
+        // Records already under their lower-cased name keep it, so a clash can only move the others
+        const entries = Object.entries(this.data.users)
+            .sort(([a], [b]) => Number(userKey(a) !== a) - Number(userKey(b) !== b));
+
+        entries.forEach(([key, user]) => {
+            const normalized = userKey(user.username);
+            if (users[normalized]) {
+                console.warn(`⚠️ Accounts "${users[normalized].username}" and "${user.username}" differ only in case; only the first can sign in by name`);
+                users[key] = user;
+            } else {
+                users[normalized] = user;
+            }
+        });
+        this.data.users = users;
+    }
+
+    videoPath(userId, signatureId) {
+        return path.join(this.directory, 'videos', userId, `${signatureId}.webm`);
+    }
+
+    getItem(key) {
+        return key in this.data.kv ? this.data.kv[key] : null;
+    }
+
+    setItem(key, value) {
+        this.data.kv[key] = String(value);
+        this.save();
+    }
+
+    removeItem(key) {
+        delete this.data.kv[key];
+        this.save();
+    }
+}
+
+// =============================================================================
+// Authentication Service
+// =============================================================================
+
+class AirAuthService {
+    constructor(store, mailer = new OutboxMailer(path.join(store.directory, 'outbox'))) {
+        this.store = store;
+        this.mailer = mailer;
+        this.passwordHasher = new PasswordHasher();
+        this.sessionManager = new SessionManager({ storage: store });
+        // Lockouts go straight into the account's history here, so the limiter need not keep them.
+        // Clients share an address behind NAT or on localhost, so theirs get more room than an account
+        // and no backoff until they near that limit: one account's failures must not slow the others.
+        this.attemptLimiter = new AttemptLimiter({ storage: store, logLockouts: false, scopeLimits: { client: 50 } });
+        this.livenessChecker = new LivenessChecker();
+        this.challenges = new Map(); // nonce -> { username, start, expiresAt }
+        this.passkeyChallenges = new Map(); // challenge -> { purpose, userId, expiresAt }
+        this.pendingLogins = new Map(); // step-up token -> { userId, expiresAt }
+    }
+
+    createRecognizer() {
+        const factory = RECOGNIZERS[RECOGNIZER];
+        if (!factory) throw new Error(`Unknown recognizer "${RECOGNIZER}"`);
+        return factory({});
+    }
+
+    /**
+     * The part of a user record clients may see. Restricted sessions, started
+     * with a duress gesture, see neither the duress gestures nor that any exist.
+     */
+    publicUser(user, restricted = false) {
+        const gestures = restricted ? user.gestures.filter(gesture => !gesture.duress) : user.gestures;
+        return {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            enrollmentComplete: user.enrollmentComplete,
+            requireAirSignature: Boolean(user.requireAirSignature),
+            signatureCount: gestures.reduce((count, gesture) => count + GestureCredentials.signatures(user, gesture.id).length, 0),
+            gestures: gestures.map(gesture => this.publicGesture(user, gesture, restricted)),
+            passkeys: (user.passkeys || []).map(passkey => Passkeys.summary(passkey)),
+            createdAt: user.createdAt,
+            lastLogin: user.lastLogin
+        };
+    }
+
+    publicGesture(user, { id, name, duress, createdAt, enrollmentComplete, matchProfile }, restricted = false) {
+        return {
+            id, name, createdAt, enrollmentComplete,
+            ...(restricted ? {} : { duress: Boolean(duress) }),
+            matchProfile: matchProfile || null,
+            signatureCount: GestureCredentials.signatures(user, id).length
+        };
+    }
+
+    // Entries are chained as they are added; the oldest beyond the limit are dropped but anchor the rest
+    addAuditEntry(user, method, success, details, extra = {}) {
+        const log = this.auditLog(user);
+        AuditLog.append(log, { method, success, details, ...extra });
+        AuditLog.seal(log, auditDigest);
+        AuditLog.trim(log, HISTORY_LIMIT);
+    }
+
+    // The user's audit log, started from their plain history if the account predates it
+    auditLog(user) {
+        if (!user.auditLog) {
+            user.auditLog = AuditLog.fromHistory(user.authHistory);
+            AuditLog.seal(user.auditLog, auditDigest);
+            delete user.authHistory;
+        }
+        return user.auditLog;
+    }
+
+    // Entries about a duress gesture are kept but, like duress alerts, never sent
+    gestureAuditFields(gesture) {
+        return gesture.duress ? { kind: 'enrollment', hidden: true } : { kind: 'enrollment' };
+    }
+
+    // Limiter keys for an attempt: the account (or the name given, if unknown) and the client address
+    attemptKeys(kind, user, identifier, client) {
+        const account = user ? user.id : String(identifier || '').trim().toLowerCase();
+        return [`${kind}:${account}`, `client:${client}`];
+    }
+
+    checkAttempts(keys) {
+        const status = this.attemptLimiter.status(keys);
+        if (!status.allowed) {
+            throw new HttpError(429, this.attemptLimiter.describe(status), {
+                retryAfter: status.retryAfter,
+                lockedOut: status.lockedOut
+            });
+        }
+    }
+
+    // The failure that starts a lockout is also recorded in the account's history
+    recordFailedAttempt(keys, user, method) {
+        const status = this.attemptLimiter.recordFailure(keys);
+        if (status.lockedOut && user) {
+            this.addAuditEntry(user, method, false,
+                `Locked out for ${Math.ceil(status.retryAfter / 60000)} min after repeated failed attempts`,
+                { kind: 'lockout' });
+            this.store.putUser(user);
+        }
+    }
+
+    // A completed sign-in also lifts lockouts on the factors it proves. The client key is shared by
+    // every account at that address, so it only runs out its window: one sign-in must not reset it.
+    clearAttempts(user, kinds) {
+        this.attemptLimiter.reset(kinds.map(kind => `${kind}:${user.id}`));
+    }
+
+    // Claims for the session an accepted air signature earns; a duress match, or an already restricted session, stays restricted
+    signatureClaims(factors, duress, session = null) {
+        const restricted = Boolean(duress) || Boolean(session && session.restricted);
+        return { factors: factors, airSignatureAt: Date.now(), ...(restricted ? { restricted: true } : {}) };
+    }
+
+    async issueSession(user, claims = {}) {
+        const token = await this.sessionManager.issue(user, claims);
+        return { token: token, session: this.sessionManager.decode(token) };
+    }
+
+    async authenticate(request) {
+        const header = request.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+        const validation = await this.sessionManager.validate(token);
+
+        if (!validation.valid) throw new HttpError(401, `Session ${validation.reason}`);
+
+        const user = this.store.findUserById(validation.payload.sub);
+        if (!user) throw new HttpError(401, 'Session user no longer exists');
+
+        this.sessionManager.touch(validation.payload.sid);
+        return { user: user, session: validation.payload };
+    }
+
+    async register({ username, email, password }) {
+        username = String(username || '').trim();
+        email = String(email || '').trim();
+
+        if (!/^[a-zA-Z0-9_]{3,}$/.test(username)) {
+            throw new HttpError(400, 'Username must be at least 3 letters, numbers or underscores');
+        }
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            throw new HttpError(400, 'Please enter a valid email address');
+        }
+        if (typeof password !== 'string' || password.length < 8) {
+            throw new HttpError(400, 'Password must be at least 8 characters long');
+        }
+        if (this.store.getUser(username) || this.store.findUser(email)) {
+            throw new HttpError(409, 'Username or email already exists');
+        }
+
+        const user = {
+            id: Date.now().toString(),
+            username: username,
+            email: email,
+            passwordHash: await this.passwordHasher.hash(password),
+            signatures: [],
+            gestures: [GestureCredentials.create(GestureCredentials.defaultName)],
+            passkeys: [],
+            enrollmentComplete: false,
+            createdAt: new Date().toISOString(),
+            lastLogin: null,
+            auditLog: AuditLog.create()
+        };
+        const recoveryCodes = await this.issueRecoveryCodes(user);
+        this.addAuditEntry(user, 'Registration', true, 'Account created on the AirAuth server', { kind: 'account' });
+
+        this.store.putUser(user);
+        console.log(`📝 Registered ${username}`);
+
+        return {
+            user: this.publicUser(user),
+            recoveryCodes: recoveryCodes,
+            ...(await this.issueSession(user, { factors: ['password'] }))
+        };
+    }
+
+    async login({ username, password }, client) {
+        const user = this.store.findUser(username);
+        const keys = this.attemptKeys('password', user, username, client);
+        this.checkAttempts(keys);
+
+        let passwordValid = false;
+        if (user) {
+            passwordValid = await this.passwordHasher.verify(String(password || ''), user.passwordHash);
+        } else {
+            // Unknown accounts cost the same hash as known ones
+            await this.passwordHasher.hash(String(password || ''));
+        }
+
+        if (!passwordValid) {
+            if (user) {
+                this.addAuditEntry(user, 'Password Login', false, 'Invalid credentials');
+                this.store.putUser(user);
+            }
+            this.recordFailedAttempt(keys, user, 'Password Login');
+            throw new HttpError(401, 'Invalid username/email or password');
+        }
+
+        // Step-up accounts get a short-lived token to present with their air signature instead of a session
+        if (user.requireAirSignature && user.enrollmentComplete) {
+            this.clearAttempts(user, ['password']);
+            const stepUpToken = CryptoUtils.toBase64Url(CryptoUtils.randomBytes(24));
+            pruneExpired(this.pendingLogins);
+            this.pendingLogins.set(stepUpToken, { userId: user.id, expiresAt: Date.now() + STEP_UP_TTL });
+            return { user: this.publicUser(user), stepUpRequired: true, stepUpToken: stepUpToken };
+        }
+
+        user.lastLogin = new Date().toISOString();
+        this.addAuditEntry(user, 'Password Login', true, 'Successful login');
+        this.store.putUser(user);
+        this.clearAttempts(user, ['password', 'airsign']);
+
+        return { user: this.publicUser(user), ...(await this.issueSession(user, { factors: ['password'] })) };
+    }
+
+    // Account of a step-up login whose password has been accepted
+    pendingLoginUser(stepUpToken) {
+        const pending = this.pendingLogins.get(stepUpToken);
+        const user = pending && Date.now() < pending.expiresAt ? this.store.findUserById(pending.userId) : null;
+        if (!user) {
+            this.pendingLogins.delete(stepUpToken);
+            throw new HttpError(401, 'Sign-in expired, please enter your password again');
+        }
+        return user;
+    }
+
+    // Second factor of a step-up login
+    async completeStepUp({ stepUpToken, trajectory, motion, challenge }, client) {
+        const user = this.pendingLoginUser(stepUpToken);
+
+        const keys = this.attemptKeys('airsign', user, null, client);
+        this.checkAttempts(keys);
+        const start = this.consumeChallenge(challenge, user.username);
+
+        const { duress, ...result } = this.compare(user, { trajectory, motion }, start, 'Password + Air Signature');
+        if (result.decision !== 'accept') {
+            this.recordFailedAttempt(keys, user, 'Password + Air Signature');
+            return result;
+        }
+
+        this.pendingLogins.delete(stepUpToken);
+        this.clearAttempts(user, ['password', 'airsign']);
+        user.lastLogin = new Date().toISOString();
+        this.store.putUser(user);
+
+        return {
+            ...result,
+            user: this.publicUser(user, Boolean(duress)),
+            ...(await this.issueSession(user, this.signatureClaims(['password', 'airsign'], duress)))
+        };
+    }
+
+    updateSettings(user, { requireAirSignature }) {
+        if (requireAirSignature && !user.enrollmentComplete) {
+            throw new HttpError(409, 'Please complete enrollment first');
+        }
+
+        user.requireAirSignature = Boolean(requireAirSignature);
+        this.addAuditEntry(user, 'Settings', true, user.requireAirSignature
+            ? 'Air signature required at login' : 'Air signature no longer required at login', { kind: 'settings' });
+        this.store.putUser(user);
+        return { user: this.publicUser(user) };
+    }
+
+    logout(user, session) {
+        this.sessionManager.revoke(session.sid);
+        this.addAuditEntry(user, 'Logout', true, 'Session ended', { kind: 'session' });
+        this.store.putUser(user);
+        return { revoked: 1 };
+    }
+
+    logoutAll(user) {
+        const revoked = this.sessionManager.revokeAll(user.id);
+        this.addAuditEntry(user, 'Sign Out All Sessions', true, `${revoked} session${revoked === 1 ? '' : 's'} revoked`, { kind: 'session' });
+        this.store.putUser(user);
+        return { revoked: revoked };
+    }
+
+    listSignatures(user) {
+        return {
+            signatures: user.signatures.map(({ id, gestureId, timestamp, duration, trajectory, hasVideo }) =>
+                ({ id, gestureId, timestamp, duration, trajectory, hasVideo }))
+        };
+    }
+
+    // Clients from before named gestures send no gestureId; theirs go to the first gesture
+    addSignature(user, { gestureId, trajectory, duration, timestamp, video }) {
+        const gesture = gestureId ? this.getGesture(user, gestureId) : user.gestures[0];
+        if (!gesture) throw new HttpError(404, 'No such gesture');
+        if (GestureCredentials.signatures(user, gesture.id).length >= REQUIRED_SIGNATURES) {
+            throw new HttpError(409, `All ${REQUIRED_SIGNATURES} signatures of "${gesture.name}" are already enrolled`);
+        }
+
+        const points = this.validateTrajectory(trajectory);
+        const signature = {
+            id: `${Date.now()}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`,
+            gestureId: gesture.id,
+            timestamp: timestamp || new Date().toISOString(),
+            duration: Number(duration) || 0,
+            trajectory: points,
+            hasVideo: Boolean(video)
+        };
+
+        if (video) {
+            const file = this.store.videoPath(user.id, signature.id);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, Buffer.from(video, 'base64'));
+        }
+
+        user.signatures.push(signature);
+        const signatureCount = GestureCredentials.signatures(user, gesture.id).length;
+        gesture.enrollmentComplete = signatureCount >= REQUIRED_SIGNATURES;
+        GestureCredentials.refresh(user);
+        this.addAuditEntry(user, 'Enrollment', true, `Signature ${signatureCount} of "${gesture.name}" saved`, this.gestureAuditFields(gesture));
+        this.store.putUser(user);
+
+        return {
+            signature: { id: signature.id, gestureId: gesture.id, timestamp: signature.timestamp, duration: signature.duration },
+            signatureCount: signatureCount,
+            enrollmentComplete: gesture.enrollmentComplete
+        };
+    }
+
+    readVideo(user, signatureId) {
+        const signature = user.signatures.find(entry => entry.id === signatureId);
+        if (!signature || !signature.hasVideo) throw new HttpError(404, 'No video for this signature');
+
+        return fs.readFileSync(this.store.videoPath(user.id, signature.id));
+    }
+
+    // Calibrate a gesture's threshold once all its signatures are in
+    finishEnrollment(user, { gestureId } = {}) {
+        const gesture = gestureId ? this.getGesture(user, gestureId) : user.gestures[0];
+        if (!gesture) throw new HttpError(404, 'No such gesture');
+        if (GestureCredentials.signatures(user, gesture.id).length < REQUIRED_SIGNATURES) {
+            throw new HttpError(409, `Please complete all ${REQUIRED_SIGNATURES} signatures first`);
+        }
+
+        const recognizer = this.createRecognizer();
+        const statistics = recognizer.calibrate(this.getTemplates(user, gesture.id));
+
+        gesture.matchProfile = statistics ? {
+            recognizer: recognizer.constructor.name,
+            ...statistics,
+            computedAt: new Date().toISOString()
+        } : null;
+        gesture.enrollmentComplete = true;
+        GestureCredentials.refresh(user);
+        this.addAuditEntry(user, 'Enrollment', true, `"${gesture.name}" enrollment finished`, this.gestureAuditFields(gesture));
+        this.store.putUser(user);
+
+        return { user: this.publicUser(user) };
+    }
+
+    getGesture(user, gestureId) {
+        return GestureCredentials.find(user, gestureId);
+    }
+
+    createGesture(user, { name, duress }) {
+        const problem = GestureCredentials.validateName(user, name);
+        if (problem) throw new HttpError(400, problem);
+
+        const gesture = GestureCredentials.create(name.trim(), duress);
+        user.gestures.push(gesture);
+        this.addAuditEntry(user, 'Gesture', true, `${gesture.duress ? 'Duress gesture' : 'Gesture'} "${gesture.name}" added`,
+            this.gestureAuditFields(gesture));
+        this.store.putUser(user);
+
+        return { gesture: this.publicGesture(user, gesture) };
+    }
+
+    renameGesture(user, gestureId, { name }) {
+        const gesture = this.getGesture(user, gestureId);
+        if (!gesture) throw new HttpError(404, 'No such gesture');
+
+        const problem = GestureCredentials.validateName(user, name, gesture.id);
+        if (problem) throw new HttpError(400, problem);
+
+        this.addAuditEntry(user, 'Gesture', true, `"${gesture.name}" renamed to "${name.trim()}"`, this.gestureAuditFields(gesture));
+        gesture.name = name.trim();
+        this.store.putUser(user);
+        return { gesture: this.publicGesture(user, gesture) };
+    }
+
+    // Removes the gesture with its signatures and videos; the last gesture stays
+    deleteGesture(user, gestureId) {
+        const gesture = this.getGesture(user, gestureId);
+        if (!gesture) throw new HttpError(404, 'No such gesture');
+        if (user.gestures.length === 1) {
+            throw new HttpError(409, 'Your account needs at least one gesture. Add another before deleting this one.');
+        }
+
+        GestureCredentials.signatures(user, gesture.id).forEach(signature => {
+            fs.rmSync(this.store.videoPath(user.id, signature.id), { force: true });
+        });
+        user.signatures = user.signatures.filter(signature => signature.gestureId !== gesture.id);
+        user.gestures = user.gestures.filter(entry => entry.id !== gesture.id);
+        GestureCredentials.refresh(user);
+        this.addAuditEntry(user, 'Gesture', true, `"${gesture.name}" deleted with its signatures`, this.gestureAuditFields(gesture));
+        this.store.putUser(user);
+
+        return { user: this.publicUser(user) };
+    }
+
+    // Fresh one-time codes replacing any earlier ones; only their digests are kept
+    async issueRecoveryCodes(user) {
+        const codes = RecoveryCodes.generate(RECOVERY_CODE_COUNT);
+        user.recoveryCodes = await Promise.all(codes.map(code => RecoveryCodes.digest(code)));
+        return codes;
+    }
+
+    async regenerateRecoveryCodes(user) {
+        const codes = await this.issueRecoveryCodes(user);
+        this.addAuditEntry(user, 'Account Recovery', true, 'New recovery codes issued', { kind: 'recovery' });
+        this.store.putUser(user);
+        return { recoveryCodes: codes };
+    }
+
+    // Always answers the same, so it cannot be used to find out which accounts exist
+    async sendRecoveryEmail({ identifier }, client) {
+        identifier = String(identifier || '').trim();
+        const user = this.store.findUser(identifier);
+
+        // Every email counts against the account's limit, so nobody's inbox can be flooded; the
+        // client key is only checked, so asking for one does not slow the client's next sign-in
+        const keys = this.attemptKeys('email', user, identifier, client);
+        this.checkAttempts(keys);
+        this.attemptLimiter.recordFailure(keys.slice(0, 1));
+
+        if (user) {
+            const token = CryptoUtils.toBase64Url(CryptoUtils.randomBytes(24));
+            user.resetToken = { digest: await RecoveryCodes.digest(token), expiresAt: Date.now() + RESET_TOKEN_TTL };
+
+            this.mailer.send(user.email, 'AirAuth account recovery', [
+                `Hello ${user.username},`,
+                '',
+                'Someone asked to recover your AirAuth account. If it was you, enter this reset token',
+                `within ${RESET_TOKEN_TTL / 60000} minutes to set a new password or re-record your air signatures:`,
+                '',
+                token,
+                '',
+                'If it was not you, you can ignore this message.'
+            ].join('\n'));
+
+            this.addAuditEntry(user, 'Account Recovery', true, 'Reset email sent', { kind: 'recovery' });
+            this.store.putUser(user);
+        }
+
+        return { sent: true };
+    }
+
+    /**
+     * Reset the password, erase the enrolled signatures, or both, on the
+     * strength of a recovery code or an emailed reset token. Either is used
+     * up, and every session of the account is ended.
+     */
+    async recover({ identifier, code, token, newPassword, resetSignatures }, client) {
+        identifier = String(identifier || '').trim();
+        const user = this.store.findUser(identifier);
+        const keys = this.attemptKeys('recovery', user, identifier, client);
+        this.checkAttempts(keys);
+
+        // Either proof alone is spent on use; with both, a client mistake could spend a code by accident
+        if (code && token) {
+            throw new HttpError(400, 'Send either a recovery code or a reset token, not both');
+        }
+        if ((code && typeof code !== 'string') || (token && typeof token !== 'string')) {
+            throw new HttpError(400, 'The recovery code or reset token must be text');
+        }
+        if (!newPassword && !resetSignatures) {
+            throw new HttpError(400, 'Choose a new password, erasing your signatures, or both');
+        }
+        if (newPassword && (typeof newPassword !== 'string' || newPassword.length < 8)) {
+            throw new HttpError(400, 'Password must be at least 8 characters long');
+        }
+
+        const proof = user ? await this.useRecoveryProof(user, { code, token }) : null;
+        if (!proof) {
+            if (user) {
+                this.addAuditEntry(user, 'Account Recovery', false, 'Invalid recovery code or reset token', { kind: 'recovery' });
+                this.store.putUser(user);
+            }
+            this.recordFailedAttempt(keys, user, 'Account Recovery');
+            throw new HttpError(401, 'The recovery code or reset token is invalid or has expired');
+        }
+
+        const actions = [];
+        if (newPassword) {
+            user.passwordHash = await this.passwordHasher.hash(newPassword);
+            actions.push('password reset');
+        }
+        if (resetSignatures) {
+            this.eraseSignatures(user);
+            actions.push('signatures erased');
+        }
+
+        this.sessionManager.revokeAll(user.id);
+        this.clearAttempts(user, ['recovery', 'password', 'airsign']);
+        this.addAuditEntry(user, 'Account Recovery', true, `${proof} used: ${actions.join(', ')}`, { kind: 'recovery' });
+        this.store.putUser(user);
+        console.log(`🛟 Recovered ${user.username}: ${actions.join(', ')}`);
+
+        return { user: this.publicUser(user), recoveryCodesLeft: user.recoveryCodes.length };
+    }
+
+    // Uses up a matching code or unexpired token and says which it was
+    async useRecoveryProof(user, { code, token }) {
+        if (code) {
+            const digest = await RecoveryCodes.digest(code);
+            const index = (user.recoveryCodes || []).indexOf(digest);
+            if (index === -1) return null;
+
+            user.recoveryCodes.splice(index, 1);
+            return 'Recovery code';
+        }
+
+        if (token && user.resetToken && Date.now() < user.resetToken.expiresAt
+            && await RecoveryCodes.digest(token) === user.resetToken.digest) {
+            delete user.resetToken;
+            return 'Reset email';
+        }
+
+        return null;
+    }
+
+    // Back to an unenrolled account with one empty gesture; air signature step-up is switched off with it
+    eraseSignatures(user) {
+        fs.rmSync(path.join(this.store.directory, 'videos', user.id), { recursive: true, force: true });
+        user.signatures = [];
+        user.gestures = [GestureCredentials.create(GestureCredentials.defaultName)];
+        user.enrollmentComplete = false;
+        user.requireAirSignature = false;
+        user.recentAttempts = [];
+    }
+
+    /**
+     * Single-use nonce every verification must carry, so a captured request
+     * cannot be replayed, plus the randomly chosen dot the signature has to
+     * start from, so a recording made earlier will not fit.
+     */
+    issueChallenge({ username }) {
+        const now = Date.now();
+        pruneExpired(this.challenges);
+
+        const challenge = CryptoUtils.toBase64Url(CryptoUtils.randomBytes(16));
+        const start = this.livenessChecker.createChallenge();
+        const expiresAt = now + CHALLENGE_TTL;
+        this.challenges.set(challenge, { username: String(username || '').trim(), start: start, expiresAt: expiresAt });
+
+        return { challenge: challenge, start: start, expiresAt: expiresAt };
+    }
+
+    // Returns the start dot issued with the challenge
+    consumeChallenge(challenge, username) {
+        const entry = this.challenges.get(challenge);
+        this.challenges.delete(challenge);
+
+        if (!entry || userKey(entry.username) !== userKey(username) || Date.now() >= entry.expiresAt) {
+            throw new HttpError(400, 'Verification challenge is missing, expired or already used');
+        }
+
+        return entry.start;
+    }
+
+    // Re-verify the signed-in user; a match replaces their session with one recording it
+    async verify(user, session, { trajectory, motion, challenge }, client) {
+        const keys = this.attemptKeys('airsign', user, null, client);
+        this.checkAttempts(keys);
+        const start = this.consumeChallenge(challenge, user.username);
+
+        const { duress, ...result } = this.compare(user, { trajectory, motion }, start);
+        if (result.decision !== 'accept') {
+            this.recordFailedAttempt(keys, user, 'Air Signature');
+            return result;
+        }
+
+        this.clearAttempts(user, ['airsign']);
+
+        const factors = Array.from(new Set([...(session.factors || []), 'airsign']));
+        this.sessionManager.revoke(session.sid);
+        return { ...result, ...(await this.issueSession(user, this.signatureClaims(factors, duress, session))) };
+    }
+
+    // Sign in with the air signature alone
+    async airSignatureLogin({ username, trajectory, motion, challenge }, client) {
+        username = String(username || '').trim();
+        const user = this.store.getUser(username);
+        const keys = this.attemptKeys('airsign', user, username, client);
+        this.checkAttempts(keys);
+        const start = this.consumeChallenge(challenge, username);
+
+        // Unknown accounts still get liveness results and lockouts, so the answer does not reveal which usernames exist
+        if (!user || !user.enrollmentComplete) {
+            const liveness = this.checkLiveness({ trajectory, motion }, start, []);
+            this.recordFailedAttempt(keys, null, 'Air Signature Login');
+            return { ...NOT_RECOGNIZED, liveness: liveness };
+        }
+
+        // Scores would let a signed-out caller home in on the signature, so rejections say nothing more
+        const { duress, ...result } = this.compare(user, { trajectory, motion }, start, 'Air Signature Login');
+        if (result.decision !== 'accept') {
+            this.recordFailedAttempt(keys, user, 'Air Signature Login');
+            return { ...NOT_RECOGNIZED, liveness: result.liveness };
+        }
+
+        this.clearAttempts(user, ['password', 'airsign']);
+        user.lastLogin = new Date().toISOString();
+        this.store.putUser(user);
+
+        return {
+            ...result,
+            user: this.publicUser(user, Boolean(duress)),
+            ...(await this.issueSession(user, this.signatureClaims(['airsign'], duress)))
+        };
+    }
+
+    /**
+     * The only place a signature decision is made. An attempt failing any
+     * liveness check is rejected before it reaches the recognizer; it is
+     * recorded and kept for the replay check either way. A duress match is
+     * returned with `duress` set, which callers strip before responding.
+     */
+    compare(user, attempt, start, method = 'Air Signature') {
+        if (GestureCredentials.enrolled(user).length === 0 || this.getTemplates(user).length === 0) {
+            throw new HttpError(409, 'Please complete enrollment first');
+        }
+
+        const checks = this.checkLiveness(attempt, start, user.recentAttempts || []);
+        const sample = this.validateTrajectory(attempt.trajectory, 2);
+        user.recentAttempts = [...(user.recentAttempts || []), sample].slice(-RECENT_ATTEMPTS);
+
+        const failed = checks.filter(check => !check.passed);
+        let result;
+
+        if (failed.length > 0) {
+            result = this.livenessChecker.reject(checks);
+        } else {
+            result = { ...GestureCredentials.match(user, sample, () => this.createRecognizer()), liveness: checks };
+        }
+
+        const accepted = result.decision === 'accept';
+        const details = accepted ? `${result.score}% similarity with "${result.gesture.name}"`
+            : failed.length > 0 ? `Liveness check failed (${failed.map(check => check.label.toLowerCase()).join(', ')})`
+            : `Low similarity (${result.score}%)`;
+
+        this.addAuditEntry(user, method, accepted, details, { trajectory: sample });
+        this.auditLog(user).entries.filter(entry => entry.trajectory)
+            .slice(0, -REPLAY_ATTEMPTS)
+            .forEach(entry => delete entry.trajectory);
+        if (result.duress) {
+            // Kept with the account for whoever responds to it; history responses leave it out
+            this.addAuditEntry(user, 'Duress Alert', false, `Duress gesture "${result.duress.name}" used (${method})`,
+                { kind: 'duress', hidden: true });
+            console.warn(`🚨 Duress gesture used by ${user.username} (${method})`);
+        }
+        this.store.putUser(user);
+        console.log(`🔐 Verified ${user.username}: ${result.decision} (${result.score}%${result.gesture ? `, "${result.gesture.name}"` : ''})`);
+
+        return result;
+    }
+
+    // Single-use challenge for a passkey ceremony; sign-in challenges without a user may be answered by any passkey
+    issuePasskeyChallenge(purpose, user = null) {
+        pruneExpired(this.passkeyChallenges);
+
+        const challenge = Passkeys.createChallenge();
+        this.passkeyChallenges.set(challenge, {
+            purpose: purpose,
+            userId: user ? user.id : null,
+            expiresAt: Date.now() + Passkeys.timeout
+        });
+        return challenge;
+    }
+
+    consumePasskeyChallenge(challenge, purpose, user = null) {
+        const entry = this.passkeyChallenges.get(challenge);
+        this.passkeyChallenges.delete(challenge);
+
+        if (!entry || entry.purpose !== purpose || entry.userId !== (user ? user.id : null) || Date.now() >= entry.expiresAt) {
+            throw new HttpError(400, 'Passkey challenge is missing, expired or already used');
+        }
+    }
+
+    passkeyRegistrationOptions(user) {
+        const challenge = this.issuePasskeyChallenge('register', user);
+        const exclude = (user.passkeys || []).map(passkey => passkey.id);
+        return { options: Passkeys.creationOptions(user, { rpId: RP_ID, challenge, exclude }) };
+    }
+
+    async addPasskey(user, { credential, challenge }) {
+        this.consumePasskeyChallenge(challenge, 'register', user);
+
+        let passkey;
+        try {
+            passkey = await Passkeys.verifyRegistration(credential, { challenge, rpId: RP_ID });
+        } catch (error) {
+            throw new HttpError(400, `Passkey could not be added: ${error.message}`);
+        }
+        if (this.store.findUserByPasskey(passkey.id)) throw new HttpError(409, 'This passkey is already registered');
+
+        passkey.name = Passkeys.nextName(user);
+        user.passkeys = [...(user.passkeys || []), passkey];
+        this.addAuditEntry(user, 'Passkey', true, `Passkey "${passkey.name}" added`, { kind: 'passkey' });
+        this.store.putUser(user);
+        console.log(`🔑 Added passkey "${passkey.name}" for ${user.username}`);
+
+        return { passkey: Passkeys.summary(passkey), user: this.publicUser(user) };
+    }
+
+    // Options for a passkey sign-in, or, with a step-up token, for the passkey step of that login
+    passkeyLoginOptions({ stepUpToken }) {
+        if (!stepUpToken) {
+            return { options: Passkeys.requestOptions({ rpId: RP_ID, challenge: this.issuePasskeyChallenge('login'), userVerification: 'required' }) };
+        }
+
+        const user = this.pendingLoginUser(stepUpToken);
+        const challenge = this.issuePasskeyChallenge('step-up', user);
+        const allow = (user.passkeys || []).map(passkey => passkey.id);
+        return { options: Passkeys.requestOptions({ rpId: RP_ID, challenge, allow }) };
+    }
+
+    // Sign in with a passkey alone. It names its own account, and must have verified the user (PIN or biometric)
+    async passkeyLogin({ credential, challenge }, client) {
+        const user = credential && typeof credential.id === 'string' ? this.store.findUserByPasskey(credential.id) : null;
+        const keys = this.attemptKeys('passkey', user, null, client);
+        this.checkAttempts(keys);
+        this.consumePasskeyChallenge(challenge, 'login');
+
+        const result = user ? await this.checkPasskey(user, credential, challenge, 'Passkey Login', true) : PASSKEY_NOT_RECOGNIZED;
+        if (result.decision !== 'accept') {
+            this.recordFailedAttempt(keys, user, 'Passkey Login');
+            return PASSKEY_NOT_RECOGNIZED;
+        }
+
+        this.clearAttempts(user, ['password', 'passkey']);
+        user.lastLogin = new Date().toISOString();
+        this.store.putUser(user);
+
+        return {
+            ...result,
+            user: this.publicUser(user),
+            ...(await this.issueSession(user, { factors: ['passkey'] }))
+        };
+    }
+
+    // A passkey in place of the air signature as the second factor of a step-up login
+    async completePasskeyStepUp({ stepUpToken, credential, challenge }, client) {
+        const user = this.pendingLoginUser(stepUpToken);
+        const keys = this.attemptKeys('passkey', user, null, client);
+        this.checkAttempts(keys);
+        this.consumePasskeyChallenge(challenge, 'step-up', user);
+
+        const result = await this.checkPasskey(user, credential, challenge, 'Password + Passkey');
+        if (result.decision !== 'accept') {
+            this.recordFailedAttempt(keys, user, 'Password + Passkey');
+            return result;
+        }
+
+        this.pendingLogins.delete(stepUpToken);
+        this.clearAttempts(user, ['password', 'airsign', 'passkey']);
+        user.lastLogin = new Date().toISOString();
+        this.store.putUser(user);
+
+        return {
+            ...result,
+            user: this.publicUser(user),
+            ...(await this.issueSession(user, { factors: ['password', 'passkey'] }))
+        };
+    }
+
+    /**
+     * The only place a passkey assertion is checked. An accepted one moves
+     * the passkey's signature counter on; either way the attempt goes into
+     * the account's history under the given method.
+     */
+    async checkPasskey(user, credential, challenge, method, userVerification = false) {
+        const passkey = (user.passkeys || []).find(entry => credential && entry.id === credential.id);
+
+        let result;
+        try {
+            if (!passkey) throw new Error('This passkey does not belong to the account');
+
+            const { signCount } = await Passkeys.verifyAssertion(passkey, credential, { challenge, rpId: RP_ID, userVerification });
+            passkey.signCount = signCount;
+            passkey.lastUsed = new Date().toISOString();
+            result = { decision: 'accept', reasons: [], passkey: Passkeys.summary(passkey) };
+        } catch (error) {
+            result = { decision: 'reject', reasons: [error.message] };
+        }
+
+        const accepted = result.decision === 'accept';
+        this.addAuditEntry(user, method, accepted, accepted ? `Passkey "${passkey.name}"` : result.reasons[0]);
+        this.store.putUser(user);
+        console.log(`🔑 Passkey for ${user.username}: ${result.decision}`);
+
+        return result;
+    }
+
+    /**
+     * Audit log entries plus any lockout currently in force on the account,
+     * and the result of checking the log's hash chain (the client cannot:
+     * it never sees the hidden entries). Duress alerts are never sent, and a
+     * restricted session gets no attempt trajectories: they are as good as
+     * the signatures themselves.
+     */
+    async history(user, restricted = false) {
+        const log = this.auditLog(user);
+        return {
+            integrity: await AuditLog.verify(log, auditDigest),
+            history: log.entries
+                .filter(entry => !entry.hidden)
+                .map(({ trajectory, ...entry }) => restricted || !trajectory ? entry : { ...entry, trajectory }),
+            lockouts: {
+                password: this.attemptLimiter.status([`password:${user.id}`]),
+                airsign: this.attemptLimiter.status([`airsign:${user.id}`]),
+                passkey: this.attemptLimiter.status([`passkey:${user.id}`])
+            }
+        };
+    }
+
+    getTemplates(user, gestureId = null) {
+        return GestureCredentials.templates(user, gestureId);
+    }
+
+    /**
+     * The start dot and the earlier attempts for the replay check are the
+     * server's own. The camera-motion and frozen-feed checks only read
+     * `motion`, the brightness changes the client measured and sent, so here
+     * they are advisory: they catch a replayed recording, not a client that
+     * reports made-up values.
+     */
+    checkLiveness({ trajectory, motion }, start, previousAttempts) {
+        const sample = this.validateTrajectory(trajectory, 2);
+        return this.livenessChecker.check({ trajectory: sample, motion: this.validateMotion(motion), start }, previousAttempts);
+    }
+
+    // Per-frame brightness changes measured by the client's tracker
+    validateMotion(motion = []) {
+        if (!Array.isArray(motion) || !motion.every(Number.isFinite)) {
+            throw new HttpError(400, 'Motion must be an array of per-frame brightness changes');
+        }
+        return motion;
+    }
+
+    validateTrajectory(trajectory, minPoints = 15) {
+        const valid = Array.isArray(trajectory) && trajectory.every(point =>
+            point && Number.isFinite(point.x) && Number.isFinite(point.y) && Number.isFinite(point.t));
+
+        if (!valid) throw new HttpError(400, 'Trajectory must be an array of { x, y, t } points');
+        if (trajectory.length < minPoints) {
+            throw new HttpError(422, `Trajectory has ${trajectory.length} points, at least ${minPoints} are required`);
+        }
+
+        return trajectory.map(({ x, y, t }) => ({ x, y, t }));
+    }
+}
+
+// =============================================================================
+// HTTP Layer
+// =============================================================================
+
+// [method, path pattern, handler(service, context), requires a session, refused to restricted sessions]
+const ROUTES = [
+    ['POST', /^\/api\/register$/, (service, { body }) => service.register(body), false],
+    ['POST', /^\/api\/login$/, (service, { body, client }) => service.login(body, client), false],
+    ['POST', /^\/api\/login\/airsign$/, (service, { body, client }) => service.airSignatureLogin(body, client), false],
+    ['POST', /^\/api\/login\/step-up$/, (service, { body, client }) => service.completeStepUp(body, client), false],
+    ['POST', /^\/api\/login\/step-up\/passkey$/, (service, { body, client }) => service.completePasskeyStepUp(body, client), false],
+    ['POST', /^\/api\/login\/passkey\/options$/, (service, { body }) => service.passkeyLoginOptions(body), false],
+    ['POST', /^\/api\/login\/passkey$/, (service, { body, client }) => service.passkeyLogin(body, client), false],
+    ['POST', /^\/api\/challenge$/, (service, { body }) => service.issueChallenge(body), false],
+    ['POST', /^\/api\/recovery$/, (service, { body, client }) => service.recover(body, client), false],
+    ['POST', /^\/api\/recovery\/email$/, (service, { body, client }) => service.sendRecoveryEmail(body, client), false],
+    ['POST', /^\/api\/recovery\/codes$/, (service, { user }) => service.regenerateRecoveryCodes(user), true, true],
+    ['POST', /^\/api\/logout$/, (service, { user, session }) => service.logout(user, session), true],
+    ['POST', /^\/api\/sessions\/revoke-all$/, (service, { user }) => service.logoutAll(user), true, true],
+    ['GET', /^\/api\/me$/, (service, { user, session }) => ({ user: service.publicUser(user, Boolean(session.restricted)) }), true],
+    ['POST', /^\/api\/settings$/, (service, { user, body }) => service.updateSettings(user, body), true, true],
+    ['GET', /^\/api\/signatures$/, (service, { user }) => service.listSignatures(user), true, true],
+    ['POST', /^\/api\/signatures$/, (service, { user, body }) => service.addSignature(user, body), true, true],
+    ['GET', /^\/api\/signatures\/([\w-]+)\/video$/, (service, { user, params }) => service.readVideo(user, params[0]), true, true],
+    ['POST', /^\/api\/enrollment\/finish$/, (service, { user, body }) => service.finishEnrollment(user, body), true, true],
+    ['POST', /^\/api\/gestures$/, (service, { user, body }) => service.createGesture(user, body), true, true],
+    ['POST', /^\/api\/gestures\/([\w-]+)$/, (service, { user, params, body }) => service.renameGesture(user, params[0], body), true, true],
+    ['POST', /^\/api\/gestures\/([\w-]+)\/delete$/, (service, { user, params }) => service.deleteGesture(user, params[0]), true, true],
+    ['POST', /^\/api\/passkeys\/options$/, (service, { user }) => service.passkeyRegistrationOptions(user), true, true],
+    ['POST', /^\/api\/passkeys$/, (service, { user, body }) => service.addPasskey(user, body), true, true],
+    ['POST', /^\/api\/verify$/, (service, { user, session, body, client }) => service.verify(user, session, body, client), true],
+    ['GET', /^\/api\/history$/, (service, { user, session }) => service.history(user, Boolean(session.restricted)), true]
+];
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            if (chunks.length === 0) return resolve({});
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body must be JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function send(response, status, payload) {
+    const headers = {
+        // Tokens travel in the Authorization header, never cookies, so any local origin may call
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    };
+
+    if (Buffer.isBuffer(payload)) {
+        response.writeHead(status, { ...headers, 'Content-Type': 'video/webm' });
+        response.end(payload);
+        return;
+    }
+
+    response.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+    response.end(payload === undefined ? '' : JSON.stringify(payload));
+}
+
+function createServer(service) {
+    return http.createServer(async (request, response) => {
+        const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+
+        if (request.method === 'OPTIONS') {
+            send(response, 204);
+            return;
+        }
+
+        try {
+            const route = ROUTES.find(([method, pattern]) => method === request.method && pattern.test(url.pathname));
+            if (!route) throw new HttpError(404, `No route for ${request.method} ${url.pathname}`);
+
+            const [, pattern, handler, requiresSession, fullSessionOnly] = route;
+            const context = {
+                client: request.socket.remoteAddress,
+                params: url.pathname.match(pattern).slice(1),
+                body: request.method === 'POST' ? await readBody(request) : {}
+            };
+
+            if (requiresSession) {
+                Object.assign(context, await service.authenticate(request));
+                if (fullSessionOnly && context.session.restricted) throw new HttpError(403, 'Not available right now');
+            }
+
+            send(response, 200, await handler(service, context));
+        } catch (error) {
+            if (!(error instanceof HttpError)) console.error('Request failed:', error);
+            send(response, error.status || 500, error instanceof HttpError
+                ? { error: error.message, ...error.details }
+                : { error: 'Internal server error' });
+        }
+    });
+}
+
+if (require.main === module) {
+    const service = new AirAuthService(new JsonStore(DATA_DIR));
+    createServer(service).listen(PORT, () => {
+        console.log(`🚀 AirAuth server listening on http://localhost:${PORT} (data in ${DATA_DIR})`);
+    });
+}
+
+module.exports = { AirAuthService, JsonStore, OutboxMailer, HttpError, createServer };
@@ -0,0 +1,232 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { GestureCredentials } = require('../../responsive design/app.js');
+const { JsonStore } = require('../server.js');
+const { createService, registerUser, circle, zigzag } = require('./helpers.js');
+
+const CLIENT = '127.0.0.1';
+const LIVE_MOTION = Array.from({ length: 60 }, (_, i) => 3 + (i % 4));
+
+// A path of the given shape drawn from the start dot a challenge asks for
+function drawnFrom(start, shape) {
+    return shape.map(point => ({ ...point, x: point.x - shape[0].x + start.x, y: point.y - shape[0].y + start.y }));
+}
+
+// Challenge, trajectory and motion for one air-signature attempt
+function attempt(service, username, shape) {
+    const { challenge, start } = service.issueChallenge({ username: username });
+    return { challenge: challenge, trajectory: drawnFrom(start, shape), motion: LIVE_MOTION };
+}
+
+const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+async function enrolledUser(service, username) {
+    const registration = await registerUser(service, username);
+    const user = service.store.getUser(username);
+    for (let i = 0; i < GestureCredentials.signaturesRequired; i++) {
+        service.addSignature(user, { gestureId: user.gestures[0].id, trajectory: circle(0.005 * i), duration: 2000 });
+    }
+    service.finishEnrollment(user, { gestureId: user.gestures[0].id });
+    return { user, registration };
+}
+
+test('usernames are unique regardless of case', async t => {
+    const service = createService(t);
+    await registerUser(service, 'Alice');
+
+    await assert.rejects(service.register({ username: 'alice', email: 'other@example.com', password: 'Passw0rd!' }),
+        { status: 409, message: 'Username or email already exists' });
+
+    const response = await service.login({ username: 'ALICE', password: 'Passw0rd!' }, '127.0.0.1');
+    assert.equal(response.user.username, 'Alice');
+});
+
+test('a store from before case-insensitive usernames is keyed by the lower-cased name', t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'airauth-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const user = (id, username) => ({ id, username, email: `${id}@example.com`, signatures: [], gestures: [] });
+    fs.writeFileSync(path.join(directory, 'airauth-db.json'), JSON.stringify({
+        users: { Bob: user('1', 'Bob'), Carol: user('2', 'Carol'), carol: user('3', 'carol') },
+        kv: {}
+    }));
+
+    t.mock.method(console, 'warn', () => {});
+    const store = new JsonStore(directory);
+    assert.equal(store.getUser('bob').id, '1');
+    assert.equal(store.getUser('BOB').id, '1');
+    assert.equal(store.getUser('Carol').id, '3', 'the record already under the lower-cased name keeps it');
+    assert.equal(Object.keys(store.data.users).length, 3, 'a clashing record is kept, not dropped');
+});
+
+test('a recovery code resets the password once and signs out every session', async t => {
+    const service = createService(t);
+    const { recoveryCodes, token } = await registerUser(service, 'finn');
+
+    const response = await service.recover({ identifier: 'finn', code: recoveryCodes[0], newPassword: 'N3wPassw0rd!' }, CLIENT);
+    assert.equal(response.recoveryCodesLeft, recoveryCodes.length - 1);
+    await assert.rejects(service.authenticate(bearer(token)), { status: 401 });
+    assert.ok((await service.login({ username: 'finn', password: 'N3wPassw0rd!' }, CLIENT)).token);
+
+    await assert.rejects(service.recover({ identifier: 'finn', code: recoveryCodes[0], newPassword: 'Passw0rd!!' }, CLIENT), { status: 401 },
+        'a recovery code works once');
+});
+
+test('recovery refuses a code and a token together without spending either', async t => {
+    const service = createService(t);
+    const { recoveryCodes } = await registerUser(service, 'dana');
+    const mail = [];
+    service.mailer = { send: (to, subject, text) => mail.push(text) };
+
+    await service.sendRecoveryEmail({ identifier: 'dana' }, '127.0.0.1');
+    const token = mail[0].split('\n').find(line => /^[\w-]{32}$/.test(line.trim())).trim();
+
+    await assert.rejects(service.recover({ identifier: 'dana', code: recoveryCodes[0], token: token, newPassword: 'N3wPassw0rd!' }, '127.0.0.1'),
+        { status: 400 });
+    assert.equal(service.store.getUser('dana').recoveryCodes.length, recoveryCodes.length);
+
+    const response = await service.recover({ identifier: 'dana', token: token, newPassword: 'N3wPassw0rd!' }, '127.0.0.1');
+    assert.equal(response.recoveryCodesLeft, recoveryCodes.length);
+    await assert.rejects(service.recover({ identifier: 'dana', token: token, newPassword: 'Passw0rd!!' }, '127.0.0.1'), { status: 401 },
+        'a reset token works once');
+});
+
+test('recovery refuses a code or token that is not a string', async t => {
+    const service = createService(t);
+    const { recoveryCodes } = await registerUser(service, 'ivy');
+
+    await assert.rejects(service.recover({ identifier: 'ivy', code: [recoveryCodes[0]], newPassword: 'N3wPassw0rd!' }, CLIENT),
+        { status: 400 });
+    await assert.rejects(service.recover({ identifier: 'ivy', token: { digest: 'x' }, newPassword: 'N3wPassw0rd!' }, CLIENT),
+        { status: 400 });
+    assert.equal(service.store.getUser('ivy').recoveryCodes.length, recoveryCodes.length);
+    assert.equal(service.attemptLimiter.status(['client:127.0.0.1']).failures, 0);
+});
+
+test('enrollment takes exactly the required signatures and calibrates the gesture', async t => {
+    const service = createService(t);
+    await registerUser(service, 'gil');
+    const user = service.store.getUser('gil');
+    const gestureId = user.gestures[0].id;
+
+    assert.throws(() => service.finishEnrollment(user, { gestureId }), { status: 409 });
+    assert.throws(() => service.addSignature(user, { gestureId, trajectory: [{ x: 0 }] }), { status: 400 });
+    for (let i = 0; i < GestureCredentials.signaturesRequired; i++) {
+        const response = service.addSignature(user, { gestureId, trajectory: circle(0.005 * i), duration: 2000 });
+        assert.equal(response.signatureCount, i + 1);
+    }
+    assert.throws(() => service.addSignature(user, { gestureId, trajectory: circle(0.03), duration: 2000 }), { status: 409 });
+
+    const { user: profile } = service.finishEnrollment(user, { gestureId });
+    assert.equal(profile.enrollmentComplete, true);
+    assert.equal(profile.gestures[0].matchProfile.recognizer, 'DtwRecognizer');
+    assert.ok(profile.gestures[0].matchProfile.threshold > 0);
+});
+
+test('air signature login accepts the enrolled shape once per challenge and says nothing about rejections', async t => {
+    const service = createService(t);
+    await enrolledUser(service, 'Hana');
+
+    const accepted = attempt(service, 'HANA', circle(0.012)); // Challenge and login may differ in case
+    const response = await service.airSignatureLogin({ username: 'hana', ...accepted }, CLIENT);
+    assert.equal(response.decision, 'accept');
+    assert.ok(response.token);
+    assert.deepEqual(response.session.factors, ['airsign']);
+
+    await assert.rejects(service.airSignatureLogin({ username: 'hana', ...accepted }, CLIENT), { status: 400 }, 'challenges are single-use');
+
+    const rejected = await service.airSignatureLogin({ username: 'hana', ...attempt(service, 'hana', zigzag(0.01)) }, CLIENT);
+    assert.equal(rejected.decision, 'reject');
+    assert.equal(rejected.score, 0);
+    assert.deepEqual(rejected.reasons, ['Air signature not recognized.']);
+    assert.equal(rejected.token, undefined);
+
+    const unknown = await service.airSignatureLogin({ username: 'nobody', ...attempt(service, 'nobody', circle(0.014)) }, CLIENT);
+    assert.deepEqual(unknown.reasons, rejected.reasons);
+});
+
+test('a live, matching attempt is needed: a frozen feed or a replayed path is refused', async t => {
+    const service = createService(t);
+    await enrolledUser(service, 'ines');
+    await enrolledUser(service, 'ivy');
+
+    const frozen = attempt(service, 'ivy', circle(0.012));
+    const still = await service.airSignatureLogin({ username: 'ivy', ...frozen, motion: LIVE_MOTION.map(() => 0) }, CLIENT);
+    assert.equal(still.decision, 'reject');
+    assert.ok(still.liveness.some(check => !check.passed));
+
+    const first = attempt(service, 'ines', circle(0.016));
+    assert.equal((await service.airSignatureLogin({ username: 'ines', ...first }, CLIENT)).decision, 'accept');
+    const replayed = attempt(service, 'ines', circle(0.016));
+    assert.equal((await service.airSignatureLogin({ username: 'ines', ...replayed }, CLIENT)).decision, 'reject');
+});
+
+test('step-up accounts need the air signature after the password before getting a session', async t => {
+    const service = createService(t);
+    const { user } = await enrolledUser(service, 'jon');
+    service.updateSettings(user, { requireAirSignature: true });
+
+    const login = await service.login({ username: 'jon', password: 'Passw0rd!' }, CLIENT);
+    assert.equal(login.stepUpRequired, true);
+    assert.equal(login.token, undefined);
+
+    const response = await service.completeStepUp({ stepUpToken: login.stepUpToken, ...attempt(service, 'jon', circle(0.012)) }, CLIENT);
+    assert.equal(response.decision, 'accept');
+    assert.deepEqual(response.session.factors, ['password', 'airsign']);
+    await assert.rejects(service.completeStepUp({ stepUpToken: login.stepUpToken, ...attempt(service, 'jon', circle(0.014)) }, CLIENT),
+        'a step-up token is used up by its login');
+});
+
+test('verifying in a session adds the air signature factor; signing out everywhere revokes every session', async t => {
+    const service = createService(t);
+    const { user, registration } = await enrolledUser(service, 'kim');
+    const { session } = await service.authenticate(bearer(registration.token));
+
+    const verified = await service.verify(user, session, attempt(service, 'kim', circle(0.012)), CLIENT);
+    assert.deepEqual(verified.session.factors, ['password', 'airsign']);
+    await assert.rejects(service.authenticate(bearer(registration.token)), { status: 401 }, 'the old session is replaced');
+
+    const other = await service.login({ username: 'kim', password: 'Passw0rd!' }, CLIENT);
+    assert.equal(service.logoutAll(user).revoked, 2);
+    await assert.rejects(service.authenticate(bearer(verified.token)), { status: 401 });
+    await assert.rejects(service.authenticate(bearer(other.token)), { status: 401 });
+});
+
+test('restricted sessions get history without trajectories or duress alerts', async t => {
+    const service = createService(t);
+    const { user } = await enrolledUser(service, 'lee');
+    await service.airSignatureLogin({ username: 'lee', ...attempt(service, 'lee', circle(0.012)) }, CLIENT);
+    service.addAuditEntry(user, 'Duress Alert', false, 'Duress gesture used', { kind: 'duress', hidden: true });
+
+    const full = await service.history(user);
+    const restricted = await service.history(user, true);
+    assert.ok(full.history.some(entry => entry.trajectory));
+    assert.ok(restricted.history.every(entry => !entry.trajectory));
+    assert.ok(full.history.every(entry => entry.kind !== 'duress'));
+    assert.equal(restricted.integrity.intact, true);
+});
+
+test('a duress gesture signs in to a restricted session and leaves an alert the history does not show', async t => {
+    const service = createService(t);
+    const { user } = await enrolledUser(service, 'mia');
+    const { gesture } = service.createGesture(user, { name: 'Wave', duress: true });
+    for (let i = 0; i < GestureCredentials.signaturesRequired; i++) {
+        service.addSignature(user, { gestureId: gesture.id, trajectory: zigzag(0.005 * i), duration: 2000 });
+    }
+    service.finishEnrollment(user, { gestureId: gesture.id });
+
+    const response = await service.airSignatureLogin({ username: 'mia', ...attempt(service, 'mia', zigzag(0.012)) }, CLIENT);
+    assert.equal(response.decision, 'accept');
+    assert.equal(response.session.restricted, true);
+    assert.deepEqual(response.user.gestures.map(entry => entry.name), [user.gestures[0].name]);
+    assert.equal(response.duress, undefined);
+
+    assert.ok(user.auditLog.entries.some(entry => entry.kind === 'duress'));
+    assert.ok((await service.history(user)).history.every(entry => entry.kind !== 'duress'));
+});
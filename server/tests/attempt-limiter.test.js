@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AttemptLimiter } = require('../../responsive design/app.js');
+const { MemoryStorage, createService, registerUser } = require('./helpers.js');
+
+function createLimiter(options = {}) {
+    return new AttemptLimiter({ storage: new MemoryStorage(), scopeLimits: { client: 50 }, ...options });
+}
+
+test('an account backs off after every failure and locks out at maxFailures', () => {
+    const limiter = createLimiter();
+    const keys = ['password:alice'];
+
+    let status = limiter.recordFailure(keys);
+    assert.equal(status.allowed, false);
+    assert.ok(status.retryAfter > 0 && status.retryAfter <= 1000);
+
+    for (let i = 1; i < 5; i++) status = limiter.recordFailure(keys);
+    assert.equal(status.lockedOut, true);
+    assert.ok(status.retryAfter > 14 * 60 * 1000);
+});
+
+test('a shared scope key does not back off until it nears its own limit', () => {
+    const limiter = createLimiter();
+
+    limiter.recordFailure(['password:nobody0', 'client:127.0.0.1']);
+    const other = limiter.status(['password:alice', 'client:127.0.0.1']);
+    assert.equal(other.allowed, true);
+    assert.equal(other.retryAfter, 0);
+
+    for (let i = 1; i < 45; i++) limiter.recordFailure([`password:nobody${i}`, 'client:127.0.0.1']);
+    assert.equal(limiter.status(['client:127.0.0.1']).allowed, true, '45 of 50 failures: still no backoff');
+
+    limiter.recordFailure(['password:nobody45', 'client:127.0.0.1']);
+    assert.equal(limiter.status(['client:127.0.0.1']).allowed, false, 'backoff within maxFailures of the limit');
+
+    for (let i = 46; i < 50; i++) limiter.recordFailure([`password:nobody${i}`, 'client:127.0.0.1']);
+    assert.equal(limiter.status(['client:127.0.0.1']).lockedOut, true);
+});
+
+test('reset clears a key but keeps its logged lockouts for takeLockouts', () => {
+    const limiter = createLimiter({ maxFailures: 2 });
+    const keys = ['airsign:alice'];
+
+    limiter.recordFailure(keys);
+    limiter.recordFailure(keys);
+    limiter.reset(keys);
+
+    assert.equal(limiter.status(keys).allowed, true);
+    assert.equal(limiter.takeLockouts('airsign:alice').length, 1);
+    assert.equal(limiter.takeLockouts('airsign:alice').length, 0);
+});
+
+test('failures on one account from a shared address do not throttle another account', async t => {
+    const service = createService(t);
+    await registerUser(service, 'alice');
+
+    await assert.rejects(service.login({ username: 'nobody0', password: 'wrong-password' }, '127.0.0.1'), { status: 401 });
+    await assert.rejects(service.recover({ identifier: 'alice', code: 'AAAAA-BBBBB', newPassword: 'N3wPassw0rd!' }, '127.0.0.1'), { status: 401 });
+
+    const response = await service.login({ username: 'alice', password: 'Passw0rd!' }, '127.0.0.1');
+    assert.ok(response.token);
+});
+
+test('signing in to one account does not lift the failures counted against its address', async t => {
+    const service = createService(t);
+    await registerUser(service, 'alice');
+
+    for (let i = 0; i < 3; i++) {
+        await assert.rejects(service.login({ username: `nobody${i}`, password: 'wrong-password' }, '127.0.0.1'), { status: 401 });
+    }
+    await service.login({ username: 'alice', password: 'Passw0rd!' }, '127.0.0.1');
+
+    assert.equal(service.attemptLimiter.status(['client:127.0.0.1']).failures, 3);
+});
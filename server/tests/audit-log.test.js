@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { AuditLog } = require('../../responsive design/app.js');
+const { createService, registerUser } = require('./helpers.js');
+
+const digest = text => crypto.createHash('sha256').update(text).digest('base64');
+
+async function sealedLog(count = 5) {
+    const log = AuditLog.create();
+    for (let i = 0; i < count; i++) AuditLog.append(log, { method: `Event ${i}`, success: true, details: `Details ${i}` });
+    await AuditLog.seal(log);
+    return log;
+}
+
+const copy = log => JSON.parse(JSON.stringify(log));
+
+test('a sealed log verifies, with the same hashes from Web Crypto and node:crypto', async () => {
+    const log = await sealedLog();
+
+    assert.deepEqual(await AuditLog.verify(log), { intact: true, checked: 5, pending: 0 });
+    assert.deepEqual(await AuditLog.verify(log, digest), { intact: true, checked: 5, pending: 0 });
+    assert.equal(log.entries[0].prev, null);
+    assert.equal(log.entries[3].prev, log.entries[2].hash);
+});
+
+test('entries appended but not yet sealed are pending, not broken', async () => {
+    const log = await sealedLog(2);
+    AuditLog.append(log, { method: 'Later', success: true });
+
+    assert.deepEqual(await AuditLog.verify(log), { intact: true, checked: 2, pending: 1 });
+});
+
+test('verify reports where an edited, removed or reordered entry breaks the chain', async () => {
+    const log = await sealedLog();
+
+    const edited = copy(log);
+    edited.entries[2].success = false;
+    assert.deepEqual(await AuditLog.verify(edited),
+        { intact: false, checked: 2, brokenAt: 2, reason: 'entry 2 has been altered' });
+
+    const removed = copy(log);
+    removed.entries.splice(1, 2);
+    assert.deepEqual(await AuditLog.verify(removed),
+        { intact: false, checked: 1, brokenAt: 1, reason: 'entries 1–2 missing' });
+
+    const reordered = copy(log);
+    [reordered.entries[1], reordered.entries[2]] = [reordered.entries[2], reordered.entries[1]];
+    assert.equal((await AuditLog.verify(reordered)).brokenAt, 1);
+
+    const unlinked = copy(log);
+    delete unlinked.entries[1].hash;
+    assert.equal((await AuditLog.verify(unlinked)).reason, 'entry 1 does not follow the one before it');
+});
+
+test('attachments sit outside the hashes and can be pruned', async () => {
+    const log = AuditLog.create();
+    AuditLog.append(log, { method: 'Air Signature', success: true, trajectory: [{ x: 0, y: 0, t: 0 }] });
+    await AuditLog.seal(log);
+
+    delete log.entries[0].trajectory;
+    assert.equal((await AuditLog.verify(log)).intact, true);
+});
+
+test('a trimmed log is anchored on the last dropped entry and keeps verifying as it grows', async () => {
+    const log = await sealedLog();
+    const lastDropped = log.entries[2];
+
+    AuditLog.trim(log, 2);
+    assert.deepEqual(log.anchor, { seq: 2, hash: lastDropped.hash });
+    assert.deepEqual(log.entries.map(entry => entry.seq), [3, 4]);
+    assert.deepEqual(await AuditLog.verify(log), { intact: true, checked: 2, pending: 0 });
+
+    AuditLog.append(log, { method: 'After trim', success: true });
+    AuditLog.seal(log, digest);
+    assert.equal(log.entries[2].seq, 5, 'a synchronous digest chains the entry before seal() returns');
+    assert.equal((await AuditLog.verify(log, digest)).intact, true);
+
+    const forged = copy(log);
+    forged.anchor.hash = lastDropped.prev;
+    assert.equal((await AuditLog.verify(forged)).brokenAt, 3);
+});
+
+test('a plain history converts to a chain that keeps its timestamps', async () => {
+    const log = AuditLog.fromHistory([
+        { timestamp: '2024-01-01T00:00:00.000Z', method: 'Password Login', success: true, details: 'Successful login' },
+        { timestamp: '2024-01-02T00:00:00.000Z', method: 'Password Login', success: false, details: 'Invalid credentials', seq: 9 }
+    ]);
+    await AuditLog.seal(log);
+
+    assert.deepEqual(log.entries.map(entry => [entry.seq, entry.timestamp]),
+        [[0, '2024-01-01T00:00:00.000Z'], [1, '2024-01-02T00:00:00.000Z']]);
+    assert.equal((await AuditLog.verify(log)).intact, true);
+});
+
+test('the service records account events in the chain and reports its integrity', async t => {
+    const service = createService(t);
+    const { token } = await registerUser(service, 'erin');
+    const user = service.store.getUser('erin');
+    const { session } = await service.authenticate({ headers: { authorization: `Bearer ${token}` } });
+
+    service.updateSettings(user, { requireAirSignature: false });
+    await assert.rejects(service.login({ username: 'erin', password: 'wrong-password' }, '127.0.0.1'));
+    service.logout(user, session);
+
+    let history = await service.history(user);
+    assert.deepEqual(history.history.map(entry => entry.method), ['Registration', 'Settings', 'Password Login', 'Logout']);
+    assert.equal(history.integrity.intact, true);
+
+    user.auditLog.entries[2].success = true;
+    history = await service.history(user);
+    assert.deepEqual(history.integrity, { intact: false, checked: 2, brokenAt: 2, reason: 'entry 2 has been altered' });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EnrollmentBundle, GestureCredentials } = require('../../responsive design/app.js');
+const { circle } = require('./helpers.js');
+
+const PASSWORD = 'Passw0rd!';
+
+function account() {
+    const gesture = { ...GestureCredentials.create('Primary'), id: 'primary', enrollmentComplete: true };
+    return {
+        id: '1700000000000',
+        username: 'fay',
+        email: 'fay@example.com',
+        passwordHash: { algorithm: 'PBKDF2-SHA256', salt: 'c2FsdA==', iterations: 1000, hash: 'aGFzaA==' },
+        createdAt: '2024-01-01T00:00:00.000Z',
+        enrollmentComplete: true,
+        requireAirSignature: true,
+        gestures: [gesture],
+        signatures: Array.from({ length: 5 }, (_, i) => ({
+            id: `s${i}`, gestureId: gesture.id, timestamp: '2024-01-01T00:00:00.000Z', duration: 2000,
+            trajectory: circle(0.005 * i), videoUrl: 'blob:not-exported'
+        })),
+        auditLog: { anchor: null, entries: [] }
+    };
+}
+
+// Real bundles use 600000 PBKDF2 iterations; the format does not depend on the count
+const iterations = EnrollmentBundle.iterations;
+test.before(() => { EnrollmentBundle.iterations = 1000; });
+test.after(() => { EnrollmentBundle.iterations = iterations; });
+
+test('a plain bundle is signed and opens to the exported profile', async () => {
+    const bundle = await EnrollmentBundle.create(account(), PASSWORD, { encrypt: false });
+
+    assert.equal(bundle.format, 'airauth-enrollment');
+    assert.equal(bundle.encrypted, false);
+    assert.equal(typeof bundle.signature, 'string');
+    assert.equal(bundle.profile.signatures[0].videoUrl, undefined, 'videos stay behind');
+    assert.equal(bundle.profile.auditLog, undefined, 'history stays behind');
+
+    const profile = await EnrollmentBundle.open(JSON.parse(JSON.stringify(bundle)), PASSWORD);
+    assert.equal(profile.username, 'fay');
+    assert.equal(profile.signatures.length, 5);
+    assert.equal(profile.requireAirSignature, true);
+});
+
+test('an encrypted bundle carries no profile in the clear and opens only with the password', async () => {
+    const bundle = await EnrollmentBundle.create(account(), PASSWORD, { encrypt: true });
+
+    assert.equal(bundle.profile, undefined);
+    assert.ok(!JSON.stringify(bundle).includes('trajectory'));
+    assert.equal((await EnrollmentBundle.open(bundle, PASSWORD)).signatures.length, 5);
+    await assert.rejects(EnrollmentBundle.open(bundle, 'wrong password'), /signature does not match/);
+});
+
+test('any change to a signed bundle is detected, whatever its key order', async () => {
+    const bundle = await EnrollmentBundle.create(account(), PASSWORD, { encrypt: false });
+
+    const tampered = JSON.parse(JSON.stringify(bundle));
+    tampered.profile.signatures[0].trajectory[0].x += 0.1;
+    await assert.rejects(EnrollmentBundle.open(tampered, PASSWORD), /signature does not match/);
+
+    const renamed = { ...bundle, username: 'mallory' };
+    await assert.rejects(EnrollmentBundle.open(renamed, PASSWORD), /signature does not match/);
+
+    const reordered = Object.fromEntries(Object.entries(bundle).reverse());
+    assert.equal((await EnrollmentBundle.open(reordered, PASSWORD)).username, 'fay');
+
+    const encrypted = await EnrollmentBundle.create(account(), PASSWORD, { encrypt: true });
+    const data = Buffer.from(encrypted.payload.data, 'base64');
+    data[0] ^= 0x01;
+    await assert.rejects(EnrollmentBundle.open({ ...encrypted, payload: { ...encrypted.payload, data: data.toString('base64') } }, PASSWORD),
+        /signature does not match/);
+});
+
+test('bundles of another format, a newer version or without a signature are refused', async () => {
+    const bundle = await EnrollmentBundle.create(account(), PASSWORD, { encrypt: false });
+    const unsigned = { ...bundle };
+    delete unsigned.signature;
+
+    await assert.rejects(EnrollmentBundle.open({ ...bundle, format: 'other' }, PASSWORD), /not an AirAuth enrollment bundle/);
+    await assert.rejects(EnrollmentBundle.open({ ...bundle, version: 2 }, PASSWORD), /newer version of AirAuth \(format 2\)/);
+    await assert.rejects(EnrollmentBundle.open({ ...bundle, version: 0 }, PASSWORD), /no valid format version/);
+    await assert.rejects(EnrollmentBundle.open(unsigned, PASSWORD), /not signed/);
+});
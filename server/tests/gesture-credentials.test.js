@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { GestureCredentials, RECOGNIZERS } = require('../../responsive design/app.js');
+const { circle, zigzag } = require('./helpers.js');
+
+function enrolledUser() {
+    const primary = { ...GestureCredentials.create('Primary'), id: 'primary', enrollmentComplete: true };
+    const duress = { ...GestureCredentials.create('Wave', true), id: 'wave', enrollmentComplete: true };
+    const signatures = [];
+    for (let i = 0; i < GestureCredentials.signaturesRequired; i++) {
+        signatures.push({ id: `p${i}`, gestureId: primary.id, trajectory: circle(0.005 * i) });
+        signatures.push({ id: `w${i}`, gestureId: duress.id, trajectory: zigzag(0.005 * i) });
+    }
+    return { gestures: [primary, duress], signatures: signatures };
+}
+
+const createRecognizer = () => RECOGNIZERS.dtw({});
+
+test('an ordinary match names its gesture and reports its closest signature', () => {
+    const result = GestureCredentials.match(enrolledUser(), circle(0.01), createRecognizer);
+
+    assert.equal(result.decision, 'accept');
+    assert.equal(result.gesture.name, 'Primary');
+    assert.equal(result.duress, null);
+    assert.ok(Number.isInteger(result.bestIndex));
+    assert.ok(result.reasons.some(reason => reason.startsWith('Closest match: signature')));
+});
+
+test('a duress match is reported as the ordinary gesture without the duress gesture\'s figures', () => {
+    const result = GestureCredentials.match(enrolledUser(), zigzag(0.01), createRecognizer);
+
+    assert.equal(result.decision, 'accept');
+    assert.deepEqual(result.gesture, { id: 'primary', name: 'Primary' });
+    assert.deepEqual(result.duress, { id: 'wave', name: 'Wave' });
+    assert.equal(result.distance, undefined);
+    assert.equal(result.bestIndex, undefined);
+    assert.ok(result.reasons.every(reason => !/signature \d|distance|Wave/.test(reason)), result.reasons.join(' '));
+});
+
+test('a sample matching nothing is rejected and names the closest gesture', () => {
+    const line = Array.from({ length: 40 }, (_, i) => ({ x: 0.1 + i * 0.02, y: 0.1 + i * 0.02, t: i * 40 }));
+    const result = GestureCredentials.match(enrolledUser(), line, createRecognizer);
+
+    assert.equal(result.decision, 'reject');
+    assert.equal(result.duress, null);
+});
@@ -0,0 +1,64 @@
+// Shared setup for the server tests: a service over a throwaway data directory
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { PasswordHasher } = require('../../responsive design/app.js');
+const { AirAuthService, JsonStore } = require('../server.js');
+
+// localStorage stand-in for classes that persist through getItem/setItem
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+// A service with its own data directory, removed again by t.after(); passwords hash quickly.
+// Its progress messages are muted: they would interleave with the test runner's own output.
+function createService(t) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'airauth-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const service = new AirAuthService(new JsonStore(directory));
+    service.passwordHasher = new PasswordHasher({ iterations: 1000 });
+    return service;
+}
+
+async function registerUser(service, username, password = 'Passw0rd!') {
+    return service.register({ username: username, email: `${username}@example.com`, password: password });
+}
+
+// Fingertip paths of two clearly different shapes, with a deterministic wobble
+function circle(wobble = 0, points = 40) {
+    return Array.from({ length: points }, (_, i) => {
+        const angle = i / points * 2 * Math.PI;
+        return { x: 0.5 + (0.3 + wobble * Math.sin(5 * angle)) * Math.cos(angle), y: 0.5 + 0.3 * Math.sin(angle), t: i * 40 };
+    });
+}
+
+function zigzag(wobble = 0, points = 40) {
+    return Array.from({ length: points }, (_, i) => ({
+        x: 0.2 + 0.6 * i / points,
+        y: 0.5 + (0.2 + wobble) * Math.sin(i / points * 4 * Math.PI),
+        t: i * 40
+    }));
+}
+
+module.exports = { MemoryStorage, createService, registerUser, circle, zigzag };
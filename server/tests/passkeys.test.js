@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { CryptoUtils, Passkeys } = require('../../responsive design/app.js');
+
+const RP_ID = 'localhost';
+const challenge = CryptoUtils.toBase64Url(CryptoUtils.randomBytes(32));
+
+// An ES256 authenticator: its key pair, and assertions signed the way a browser returns them
+function authenticator() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const passkey = {
+        id: CryptoUtils.toBase64Url(CryptoUtils.randomBytes(16)),
+        publicKey: CryptoUtils.toBase64Url(publicKey.export({ type: 'spki', format: 'der' })),
+        algorithm: -7,
+        signCount: 0
+    };
+
+    function assertion({ signCount = 1, flags = 0x05, type = 'webauthn.get', origin = 'http://localhost:8080' } = {}) {
+        const authenticatorData = Buffer.alloc(37);
+        crypto.createHash('sha256').update(RP_ID).digest().copy(authenticatorData, 0);
+        authenticatorData[32] = flags;
+        authenticatorData.writeUInt32BE(signCount, 33);
+
+        const clientDataJSON = Buffer.from(JSON.stringify({ type, challenge, origin }));
+        const clientDataHash = crypto.createHash('sha256').update(clientDataJSON).digest();
+        const signature = crypto.sign('sha256', Buffer.concat([authenticatorData, clientDataHash]), privateKey); // DER
+
+        return {
+            id: passkey.id,
+            authenticatorData: CryptoUtils.toBase64Url(authenticatorData),
+            clientDataJSON: CryptoUtils.toBase64Url(clientDataJSON),
+            signature: CryptoUtils.toBase64Url(signature)
+        };
+    }
+
+    return { passkey, assertion };
+}
+
+// DER SEQUENCE of two INTEGERs, as authenticators encode ECDSA signatures
+function der(r, s) {
+    const integer = bytes => Buffer.concat([Buffer.from([0x02, bytes.length]), bytes]);
+    const body = Buffer.concat([integer(r), integer(s)]);
+    return new Uint8Array(Buffer.concat([Buffer.from([0x30, body.length]), body]));
+}
+
+test('DER signatures convert to fixed-size r and s, dropping sign padding and restoring short values', () => {
+    const r = Buffer.concat([Buffer.from([0x00, 0x80]), Buffer.alloc(31, 0x11)]); // 33 bytes: sign byte then 32
+    const s = Buffer.alloc(30, 0x22); // Two leading zero bytes left out
+
+    const raw = Passkeys.derToRawSignature(der(r, s), 32);
+
+    assert.equal(raw.length, 64);
+    assert.deepEqual(Buffer.from(raw.slice(0, 32)), r.subarray(1));
+    assert.deepEqual(Buffer.from(raw.slice(32)), Buffer.concat([Buffer.alloc(2), s]));
+});
+
+test('a converted signature matches what node:crypto verifies in IEEE P1363 form', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const data = Buffer.from('signed data');
+
+    const raw = Passkeys.derToRawSignature(new Uint8Array(crypto.sign('sha256', data, privateKey)), 32);
+    assert.equal(crypto.verify('sha256', data, { key: publicKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(raw)), true);
+});
+
+test('malformed DER signatures are refused', () => {
+    assert.throws(() => Passkeys.derToRawSignature(new Uint8Array([0x31, 0x00]), 32), /malformed/);
+    assert.throws(() => Passkeys.derToRawSignature(der(Buffer.alloc(34, 0x11), Buffer.alloc(32, 0x22)), 32), /malformed/);
+});
+
+test('an ES256 assertion verifies and returns the new signature counter', async () => {
+    const { passkey, assertion } = authenticator();
+
+    const result = await Passkeys.verifyAssertion(passkey, assertion({ signCount: 7 }), { challenge, rpId: RP_ID, userVerification: true });
+    assert.deepEqual(result, { signCount: 7 });
+});
+
+test('assertions are refused for the wrong challenge, site, flags, counter or signature', async () => {
+    const { passkey, assertion } = authenticator();
+    const options = { challenge, rpId: RP_ID };
+
+    await assert.rejects(Passkeys.verifyAssertion(passkey, assertion(), { ...options, challenge: 'other' }), /does not answer this challenge/);
+    await assert.rejects(Passkeys.verifyAssertion(passkey, assertion({ origin: 'https://evil.example' }), options), /another site/);
+    await assert.rejects(Passkeys.verifyAssertion(passkey, assertion({ type: 'webauthn.create' }), options), /different operation/);
+    await assert.rejects(Passkeys.verifyAssertion(passkey, assertion({ flags: 0x01 }), { ...options, userVerification: true }), /PIN or biometric/);
+    await assert.rejects(Passkeys.verifyAssertion({ ...passkey, signCount: 5 }, assertion({ signCount: 5 }), options), /counter went backwards/);
+
+    const tampered = assertion();
+    const data = CryptoUtils.fromBase64Url(tampered.authenticatorData);
+    data[36] ^= 0x01;
+    tampered.authenticatorData = CryptoUtils.toBase64Url(data);
+    await assert.rejects(Passkeys.verifyAssertion(passkey, tampered, options), /signature is invalid/);
+
+    const other = authenticator();
+    await assert.rejects(Passkeys.verifyAssertion(passkey, { ...other.assertion(), id: passkey.id }, options), /signature is invalid/);
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PasswordHasher } = require('../../responsive design/app.js');
+
+const hasher = new PasswordHasher({ iterations: 1000 });
+
+test('a hash verifies its own password and no other', async () => {
+    const record = await hasher.hash('Passw0rd!');
+
+    assert.equal(record.algorithm, 'PBKDF2-SHA256');
+    assert.equal(record.iterations, 1000);
+    assert.notEqual(record.hash, 'Passw0rd!');
+    assert.equal(await hasher.verify('Passw0rd!', record), true);
+    assert.equal(await hasher.verify('passw0rd!', record), false);
+    assert.equal(await hasher.verify('', record), false);
+});
+
+test('each hash gets its own salt', async () => {
+    const first = await hasher.hash('Passw0rd!');
+    const second = await hasher.hash('Passw0rd!');
+
+    assert.notEqual(first.salt, second.salt);
+    assert.notEqual(first.hash, second.hash);
+});
+
+test('records hashed with fewer iterations still verify and are marked for rehashing', async () => {
+    const old = await new PasswordHasher({ iterations: 500 }).hash('Passw0rd!');
+
+    assert.equal(await hasher.verify('Passw0rd!', old), true);
+    assert.equal(hasher.needsRehash(old), true);
+    assert.equal(hasher.needsRehash(await hasher.hash('Passw0rd!')), false);
+});
+
+test('a legacy plaintext record is not accepted as a hash, and its replacement verifies', async () => {
+    // Before hashing, records kept `password` and had no `passwordHash`
+    const legacy = { username: 'alice', password: 'Passw0rd!' };
+
+    assert.equal(await hasher.verify('Passw0rd!', legacy.passwordHash), false);
+    assert.equal(await hasher.verify('Passw0rd!', { algorithm: 'plaintext', hash: legacy.password }), false);
+    assert.equal(hasher.needsRehash({ algorithm: 'plaintext' }), true);
+
+    // What a successful login does with it
+    legacy.passwordHash = await hasher.hash(legacy.password);
+    delete legacy.password;
+
+    assert.equal(await hasher.verify('Passw0rd!', legacy.passwordHash), true);
+    assert.equal(hasher.needsRehash(legacy.passwordHash), false);
+    assert.equal('password' in legacy, false);
+});
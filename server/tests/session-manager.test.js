@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SessionManager } = require('../../responsive design/app.js');
+const { MemoryStorage } = require('./helpers.js');
+
+const MINUTE = 60 * 1000;
+const alice = { id: 'u1', username: 'alice' };
+const bob = { id: 'u2', username: 'bob' };
+
+// A manager on its own storage whose clock the test moves by hand
+function createManager(t) {
+    const clock = { now: 1700000000000 };
+    t.mock.method(Date, 'now', () => clock.now);
+
+    const manager = new SessionManager({ ttl: 60 * MINUTE, idleTimeout: 10 * MINUTE, storage: new MemoryStorage() });
+    return { manager, clock };
+}
+
+test('an issued token validates and carries its claims', async t => {
+    const { manager } = createManager(t);
+    const token = await manager.issue(alice, { factors: ['password'] });
+
+    const validation = await manager.validate(token);
+    assert.equal(validation.valid, true);
+    assert.equal(validation.payload.sub, 'u1');
+    assert.equal(validation.payload.exp - validation.payload.iat, 60 * MINUTE);
+    assert.deepEqual(validation.payload.factors, ['password']);
+});
+
+test('a token with altered claims or from another browser is rejected', async t => {
+    const { manager } = createManager(t);
+    const token = await manager.issue(alice);
+    const [body, signature] = token.split('.');
+
+    const forged = Buffer.from(JSON.stringify({ ...manager.decode(token), sub: 'u2' })).toString('base64url');
+    assert.deepEqual(await manager.validate(`${forged}.${signature}`), { valid: false, reason: 'signature' });
+    assert.deepEqual(await manager.validate(body), { valid: false, reason: 'malformed' });
+    assert.deepEqual(await manager.validate(null), { valid: false, reason: 'missing' });
+
+    const elsewhere = new SessionManager({ storage: new MemoryStorage() });
+    assert.equal((await elsewhere.validate(token)).reason, 'signature');
+});
+
+test('a session ends at its absolute expiry even while in use', async t => {
+    const { manager, clock } = createManager(t);
+    const token = await manager.issue(alice);
+    const { sid } = manager.decode(token);
+
+    for (let elapsed = 0; elapsed < 60 * MINUTE; elapsed += 5 * MINUTE) {
+        clock.now += 5 * MINUTE;
+        manager.touch(sid);
+    }
+
+    const validation = await manager.validate(token);
+    assert.equal(validation.valid, false);
+    assert.equal(validation.reason, 'expired');
+    assert.equal((await manager.validate(token)).reason, 'revoked');
+});
+
+test('activity keeps a session open and idling ends it', async t => {
+    const { manager, clock } = createManager(t);
+    const token = await manager.issue(alice);
+    const { sid } = manager.decode(token);
+
+    clock.now += 9 * MINUTE;
+    manager.touch(sid);
+    clock.now += 9 * MINUTE;
+    assert.equal((await manager.validate(token)).valid, true);
+
+    clock.now += 10 * MINUTE;
+    assert.equal((await manager.validate(token)).reason, 'idle');
+    assert.deepEqual(manager.list('u1'), []);
+});
+
+test('sessions are revoked one at a time or all together for a user', async t => {
+    const { manager } = createManager(t);
+    const first = await manager.issue(alice);
+    const second = await manager.issue(alice);
+    const third = await manager.issue(alice);
+    const other = await manager.issue(bob);
+
+    manager.revoke(manager.decode(first).sid);
+    assert.equal((await manager.validate(first)).reason, 'revoked');
+    assert.equal((await manager.validate(second)).valid, true);
+    assert.equal(manager.list('u1').length, 2);
+
+    assert.equal(manager.revokeAll('u1'), 2);
+    assert.equal((await manager.validate(second)).reason, 'revoked');
+    assert.equal((await manager.validate(third)).reason, 'revoked');
+    assert.equal((await manager.validate(other)).valid, true);
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TrajectoryMatcher } = require('../../responsive design/app.js');
+const { circle, zigzag } = require('./helpers.js');
+
+const matcher = new TrajectoryMatcher();
+
+// The same path drawn elsewhere in the frame and at another size
+const moved = (points, scale, dx, dy) => points.map(({ x, y, t }) => ({ x: x * scale + dx, y: y * scale + dy, t: t }));
+
+test('identical paths are at distance zero and score 100', () => {
+    const result = matcher.compare(circle(0.02), [circle(0.02)]);
+
+    assert.equal(result.distance, 0);
+    assert.equal(result.score, 100);
+    assert.equal(result.accepted, true);
+});
+
+test('a path moved and scaled in the frame still matches itself', () => {
+    const distance = matcher.distance(circle(0.02), moved(circle(0.02), 0.5, 0.2, -0.1));
+
+    assert.ok(distance < 1e-9, `distance ${distance}`);
+    assert.equal(matcher.scoreFromDistance(distance), 100);
+});
+
+test('unrelated paths are rejected, and compare picks the closest template', () => {
+    const unrelated = matcher.compare(zigzag(), [circle()]);
+    assert.ok(unrelated.score < matcher.acceptScore, `score ${unrelated.score}`);
+    assert.equal(unrelated.accepted, false);
+
+    const result = matcher.compare(circle(0.03), [zigzag(), circle(), zigzag(0.05)]);
+    assert.equal(result.bestIndex, 1);
+    assert.equal(result.accepted, true);
+    assert.equal(result.distances.length, 3);
+    assert.ok(result.distances[1] < result.distances[0] && result.distances[1] < result.distances[2]);
+});
+
+test('the score falls linearly to zero at maxDistance', () => {
+    assert.equal(matcher.scoreFromDistance(0), 100);
+    assert.equal(matcher.scoreFromDistance(matcher.maxDistance / 2), 50);
+    assert.equal(matcher.scoreFromDistance(matcher.maxDistance), 0);
+    assert.equal(matcher.scoreFromDistance(matcher.maxDistance * 2), 0);
+});
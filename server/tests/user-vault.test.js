@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { UserVault, RecoveryCodes } = require('../../responsive design/app.js');
+
+const vault = new UserVault({ iterations: 1000, recoveryIterations: 1000 });
+
+test('the data key unwraps with the password and decrypts what it encrypted', async () => {
+    const { key, keys } = await vault.create('Passw0rd!');
+    const sealed = await vault.encrypt(key, { email: 'alice@example.com', signatures: [{ id: 's1' }] });
+
+    assert.equal(sealed.data.includes('alice'), false);
+
+    const opened = await vault.unwrapKey(keys.password, 'Passw0rd!');
+    assert.deepEqual(await vault.decrypt(opened, sealed), { email: 'alice@example.com', signatures: [{ id: 's1' }] });
+    assert.equal(await vault.exportKey(opened), await vault.exportKey(key));
+});
+
+test('the wrong password does not unwrap the data key', async () => {
+    const { keys } = await vault.create('Passw0rd!');
+
+    await assert.rejects(vault.unwrapKey(keys.password, 'wrong'));
+});
+
+test('a tampered ciphertext does not decrypt', async () => {
+    const { key } = await vault.create('Passw0rd!');
+    const sealed = await vault.encrypt(key, { secret: 1 });
+    const bytes = Buffer.from(sealed.data, 'base64');
+    bytes[0] ^= 1;
+
+    await assert.rejects(vault.decrypt(key, { ...sealed, data: bytes.toString('base64') }));
+});
+
+test('each recovery code opens its own copy of the data key, however it is typed', async () => {
+    const { key } = await vault.create('Passw0rd!');
+    const sealed = await vault.encrypt(key, { email: 'alice@example.com' });
+    const codes = RecoveryCodes.generate(3);
+    const records = await vault.wrapRecoveryKeys(key, codes);
+
+    const opened = await vault.unwrapRecoveryKey(records, codes[1].toLowerCase().replace('-', ' '));
+    assert.equal(opened.index, 1);
+    assert.deepEqual(await vault.decrypt(opened.key, sealed), { email: 'alice@example.com' });
+
+    assert.equal(await vault.unwrapRecoveryKey(records, 'AAAAA-AAAAA'), null);
+    assert.equal(await vault.unwrapRecoveryKey(records.filter((record, index) => index !== 1), codes[1]), null);
+});
+
+test('a key opened by a recovery code can be wrapped with a new password', async () => {
+    const { key, keys } = await vault.create('forgotten');
+    const sealed = await vault.encrypt(key, { email: 'alice@example.com' });
+    const [code] = RecoveryCodes.generate(1);
+
+    // What recovery does: open with the code, then replace the password copy
+    const { key: recovered } = await vault.unwrapRecoveryKey(await vault.wrapRecoveryKeys(key, [code]), code);
+    keys.password = await vault.wrapKey(recovered, 'N3w-passw0rd');
+
+    const opened = await vault.unwrapKey(keys.password, 'N3w-passw0rd');
+    assert.deepEqual(await vault.decrypt(opened, sealed), { email: 'alice@example.com' });
+    await assert.rejects(vault.unwrapKey(keys.password, 'forgotten'));
+});